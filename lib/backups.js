@@ -0,0 +1,159 @@
+/**
+ * Portfolio Backup Management
+ * Creates, lists, compares, restores and prunes portfolio.backup-*.json files
+ * next to a tenant's portfolio.json in storage
+ */
+
+import { readObject, writeObject, readJson, deleteObject, listObjects } from './storage.js';
+import { savePortfolio } from './portfolio.js';
+
+const PORTFOLIO_FILE = 'portfolio.json';
+
+const BACKUP_PATTERN = /^portfolio\.backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+/**
+ * Get the retention policy from the environment
+ * BACKUP_RETENTION_COUNT keeps the newest N backups,
+ * BACKUP_RETENTION_DAYS keeps backups younger than N days.
+ * Either may be unset (0) to disable that rule.
+ */
+export function getRetentionPolicy() {
+    return {
+        keep: parseInt(process.env.BACKUP_RETENTION_COUNT, 10) || 0,
+        maxAgeDays: parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 0
+    };
+}
+
+/**
+ * Check that a name refers to a backup file (guards against path traversal)
+ */
+export function isBackupName(name) {
+    return typeof name === 'string' && BACKUP_PATTERN.test(name);
+}
+
+/**
+ * Derive the creation date from a backup filename
+ */
+function parseBackupDate(name) {
+    const [, date, hours, minutes, seconds, millis] = name.match(BACKUP_PATTERN);
+    return new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+/**
+ * Copy the current portfolio.json to a timestamped backup, then apply retention
+ * @returns {Promise<string|null>} Backup filename, or null if there was nothing to back up
+ */
+export async function createBackup(tenant) {
+    const content = await readObject(tenant, PORTFOLIO_FILE);
+    if (content === null) return null;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `portfolio.backup-${timestamp}.json`;
+    await writeObject(tenant, name, content);
+
+    try {
+        await pruneBackups(tenant);
+    } catch (error) {
+        console.error('Error pruning backups:', error);
+    }
+
+    return name;
+}
+
+/**
+ * List all backups, newest first
+ * @returns {Promise<Array<{name: string, size: number, createdAt: string}>>}
+ */
+export async function listBackups(tenant) {
+    const files = await listObjects(tenant);
+    const backups = files
+        .filter(file => isBackupName(file.name))
+        .map(({ name, size }) => ({
+            name,
+            size,
+            createdAt: parseBackupDate(name).toISOString()
+        }));
+
+    backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return backups;
+}
+
+/**
+ * Read and parse a backup file
+ * @returns {Promise<object|null>} Null when the backup does not exist
+ */
+export async function readBackup(tenant, name) {
+    if (!isBackupName(name)) {
+        throw new Error(`Invalid backup name: ${name}`);
+    }
+    return readJson(tenant, name);
+}
+
+/**
+ * Compare two portfolio documents section by section
+ * @returns {Array<{section: string, status: 'added'|'removed'|'changed'|'unchanged', before: any, after: any}>}
+ */
+export function diffSections(before, after) {
+    const sections = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+    return sections.map(section => {
+        const oldValue = before?.[section];
+        const newValue = after?.[section];
+        let status = 'unchanged';
+
+        if (oldValue === undefined) {
+            status = 'added';
+        } else if (newValue === undefined) {
+            status = 'removed';
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            status = 'changed';
+        }
+
+        return { section, status, before: oldValue, after: newValue };
+    });
+}
+
+/**
+ * Diff a backup against the live portfolio.json
+ * "before" is the live document, "after" is what restoring the backup would produce.
+ */
+export async function diffBackup(tenant, name) {
+    const backup = await readBackup(tenant, name);
+    const current = await readJson(tenant, PORTFOLIO_FILE);
+    return diffSections(current, backup);
+}
+
+/**
+ * Replace portfolio.json with the contents of a backup
+ * The live document is backed up first so a restore can itself be undone.
+ * @returns {Promise<{data: object, etag: string, before: object}>} See savePortfolio()
+ */
+export async function restoreBackup(tenant, name) {
+    return savePortfolio(tenant, await readBackup(tenant, name));
+}
+
+/**
+ * Delete backups outside the retention policy
+ * @param {{keep?: number, maxAgeDays?: number}} policy - Defaults to the environment policy
+ * @returns {Promise<string[]>} Names of deleted backups
+ */
+export async function pruneBackups(tenant, policy = getRetentionPolicy()) {
+    const { keep = 0, maxAgeDays = 0 } = policy;
+    if (!keep && !maxAgeDays) return [];
+
+    const backups = await listBackups(tenant);
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const deleted = [];
+
+    for (const [index, backup] of backups.entries()) {
+        const overCount = keep > 0 && index >= keep;
+        const tooOld = maxAgeDays > 0 && new Date(backup.createdAt).getTime() < cutoff;
+
+        if (overCount || tooOld) {
+            await deleteObject(tenant, backup.name);
+            deleted.push(backup.name);
+        }
+    }
+
+    return deleted;
+}
@@ -0,0 +1,214 @@
+/**
+ * Contact Form Inbox
+ * Messages sent through POST /api/contact, stored per tenant in inbox.json next to
+ * portfolio.json and optionally forwarded by mail (see lib/mailer.js).
+ *
+ * Spam protection:
+ *   honeypot     a hidden "website" field that people leave empty and bots fill in
+ *   time trap    the form carries the time it was rendered; bots submit instantly
+ *   rate limit   at most CONTACT_RATE_LIMIT messages per client per window
+ * Honeypot and time-trap hits are accepted silently, so bots learn nothing.
+ */
+
+import { randomUUID } from 'crypto';
+import { EMAIL_PATTERN } from '../public/js/schema.js';
+import { sendMail } from './mailer.js';
+import { readJson, updateJson } from './storage.js';
+
+const INBOX_FILE = 'inbox.json';
+
+export const CONTACT_RATE_LIMIT = 5;
+export const CONTACT_RATE_WINDOW_MS = 15 * 60 * 1000;
+
+// Time-trap bounds: faster than a person can type, or a page left open for over a day
+const MIN_FILL_TIME_MS = 3000;
+const MAX_FILL_TIME_MS = 24 * 60 * 60 * 1000;
+
+const FIELD_LIMITS = { name: 100, email: 200, subject: 150, message: 5000 };
+
+export class ContactError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'ContactError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Validate a submitted message
+ * @returns {Array<{path: string, message: string}>} Errors keyed by JSON pointer (empty when valid)
+ */
+export function validateContactMessage(body) {
+    const errors = [];
+    const field = name => (typeof body?.[name] === 'string' ? body[name].trim() : '');
+
+    for (const name of ['name', 'email', 'message']) {
+        if (!field(name)) errors.push({ path: `/${name}`, message: 'Must not be empty' });
+    }
+    for (const [name, limit] of Object.entries(FIELD_LIMITS)) {
+        if (field(name).length > limit) errors.push({ path: `/${name}`, message: `Must be at most ${limit} characters` });
+    }
+    if (field('email') && !EMAIL_PATTERN.test(field('email'))) {
+        errors.push({ path: '/email', message: 'Must be a valid email address' });
+    }
+    if (field('message') && field('message').length < 10) {
+        errors.push({ path: '/message', message: 'Must be at least 10 characters' });
+    }
+
+    return errors;
+}
+
+/**
+ * Check the honeypot and time-trap fields
+ * @returns {string|null} Why the submission looks automated, or null
+ * @throws {ContactError} When the form is too old to trust (the visitor should reload)
+ */
+export function detectSpam(body, now = Date.now()) {
+    if (typeof body?.website === 'string' && body.website.trim()) return 'honeypot';
+
+    const startedAt = Number(body?.startedAt);
+    if (!Number.isFinite(startedAt)) return 'missing time trap';
+    if (now - startedAt < MIN_FILL_TIME_MS) return 'submitted too fast';
+    if (now - startedAt > MAX_FILL_TIME_MS) {
+        throw new ContactError('This form has expired. Please reload the page and try again.');
+    }
+    return null;
+}
+
+// Recent submission times per tenant and client
+const submissions = new Map();
+
+/**
+ * Record a submission attempt and check it against the rate limit
+ * @param {string} clientId - Usually the client IP
+ * @returns {{allowed: boolean, retryAfter: number}} retryAfter in seconds
+ */
+export function checkRateLimit(tenant, clientId, now = Date.now()) {
+    const key = `${tenant.slug}:${clientId}`;
+    const recent = (submissions.get(key) || []).filter(time => now - time < CONTACT_RATE_WINDOW_MS);
+
+    if (recent.length >= CONTACT_RATE_LIMIT) {
+        submissions.set(key, recent);
+        return { allowed: false, retryAfter: Math.ceil((recent[0] + CONTACT_RATE_WINDOW_MS - now) / 1000) };
+    }
+
+    recent.push(now);
+    submissions.set(key, recent);
+
+    // Drop clients whose window has passed so the map stays small
+    if (submissions.size > 1000) {
+        for (const [otherKey, times] of submissions) {
+            if (times.every(time => now - time >= CONTACT_RATE_WINDOW_MS)) submissions.delete(otherKey);
+        }
+    }
+
+    return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Collapse line breaks and runs of whitespace (names and subjects end up in mail headers)
+ */
+function singleLine(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+async function readInbox(tenant) {
+    return readJson(tenant, INBOX_FILE, []);
+}
+
+/**
+ * Change the stored messages in place; submissions and admin actions must not overwrite each other
+ */
+function updateInbox(tenant, update) {
+    return updateJson(tenant, INBOX_FILE, update, []);
+}
+
+/**
+ * List stored messages, newest first
+ * @returns {Promise<{messages: object[], unread: number}>}
+ */
+export async function listMessages(tenant) {
+    const messages = (await readInbox(tenant)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { messages, unread: messages.filter(message => !message.read).length };
+}
+
+/**
+ * Store a validated message
+ * @returns {Promise<object>} The stored message
+ */
+export async function saveMessage(tenant, body) {
+    const message = {
+        id: randomUUID(),
+        name: singleLine(body.name),
+        email: body.email.trim(),
+        subject: typeof body.subject === 'string' ? singleLine(body.subject) : '',
+        message: body.message.trim(),
+        createdAt: new Date().toISOString(),
+        read: false
+    };
+
+    await updateInbox(tenant, messages => { messages.push(message); });
+    return message;
+}
+
+/**
+ * Change stored fields of a message
+ * @param {object} changes - Currently only { read: boolean }
+ * @throws {ContactError} 404 if there is no such message
+ */
+export async function updateMessage(tenant, id, changes) {
+    return updateInbox(tenant, messages => {
+        const message = messages.find(item => item.id === id);
+        if (!message) {
+            throw new ContactError('Message not found', 404);
+        }
+
+        if (typeof changes.read === 'boolean') message.read = changes.read;
+        return message;
+    });
+}
+
+/**
+ * Delete a message
+ * @throws {ContactError} 404 if there is no such message
+ */
+export async function deleteMessage(tenant, id) {
+    await updateInbox(tenant, messages => {
+        const index = messages.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new ContactError('Message not found', 404);
+        }
+        messages.splice(index, 1);
+    });
+}
+
+/**
+ * Forward a stored message by mail and record the outcome on it
+ * Failures are recorded rather than thrown: the message is already safe in the inbox.
+ * @param {string|null} to - Forwarding address; nothing is sent without one
+ */
+export async function forwardMessage(tenant, message, to) {
+    if (!to) return message;
+
+    let outcome;
+    try {
+        const result = await sendMail({
+            to,
+            replyTo: { name: message.name, address: message.email },
+            subject: `Portfolio contact: ${message.subject || `message from ${message.name}`}`,
+            text: `${message.message}\n\n— ${message.name} <${message.email}>, ${message.createdAt}`
+        });
+        if (!result) return message;
+        outcome = { forwardedAt: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error forwarding contact message:', error.message);
+        outcome = { forwardError: error.message };
+    }
+
+    await updateInbox(tenant, messages => {
+        const stored = messages.find(item => item.id === message.id);
+        if (stored) Object.assign(stored, outcome);
+    });
+    return { ...message, ...outcome };
+}
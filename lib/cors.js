@@ -0,0 +1,27 @@
+/**
+ * Cross-Origin Read Access
+ * Lets a tenant's allowlisted origins (CORS_ORIGINS, or cors.origins in tenant.json) read the
+ * public API from the browser. Only reads are shared; writes stay same-origin.
+ */
+
+/**
+ * Response headers for a cross-origin read
+ * @param {string[]} origins - Allowed origins (see getCorsOrigins() in lib/tenants.js); "*" allows any
+ * @param {string} [origin] - The request's Origin header
+ * @param {boolean} [preflight] - Whether the request is an OPTIONS preflight
+ * @returns {object|null} Headers to set, or null when the origin is not allowed
+ */
+export function getCorsHeaders(origins, origin, preflight = false) {
+    if (!origin || !(origins.includes('*') || origins.includes(origin))) return null;
+
+    const headers = {
+        'Access-Control-Allow-Origin': origins.includes('*') ? '*' : origin,
+        'Access-Control-Expose-Headers': 'ETag, Last-Modified, Content-Language'
+    };
+    if (preflight) {
+        headers['Access-Control-Allow-Methods'] = 'GET, HEAD';
+        headers['Access-Control-Allow-Headers'] = 'If-None-Match, If-Modified-Since';
+        headers['Access-Control-Max-Age'] = '600';
+    }
+    return headers;
+}
@@ -0,0 +1,132 @@
+/**
+ * Portfolio Drafts
+ * Unpublished changes are kept in portfolio.draft.json next to a tenant's portfolio.json,
+ * together with a secret preview token and an optional scheduled publish time.
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { savePortfolio, computeEtag } from './portfolio.js';
+import { readJson, writeJson, deleteObject, withLock } from './storage.js';
+
+const DRAFT_FILE = 'portfolio.draft.json';
+
+/**
+ * Generate an unguessable token for preview links
+ */
+function createPreviewToken() {
+    return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Write the draft file (the ETag is derived, never stored)
+ */
+async function writeDraft(tenant, { data, previewToken, publishAt, updatedAt }) {
+    const draft = { data, previewToken, publishAt, updatedAt };
+    await writeJson(tenant, DRAFT_FILE, draft);
+    return { ...draft, etag: computeEtag(JSON.stringify(data, null, 2)) };
+}
+
+/**
+ * Read a tenant's draft
+ * @returns {Promise<{data: object, etag: string, previewToken: string, publishAt: string|null, updatedAt: string}|null>}
+ */
+export async function readDraft(tenant) {
+    const draft = await readJson(tenant, DRAFT_FILE);
+    if (!draft) return null;
+
+    return { ...draft, etag: computeEtag(JSON.stringify(draft.data, null, 2)) };
+}
+
+/**
+ * Run a read-modify-write of the draft under its lock
+ */
+function lockDraft(tenant, task) {
+    return withLock(tenant, DRAFT_FILE, task);
+}
+
+/**
+ * Create or replace the draft document
+ * An existing draft keeps its preview token and scheduled publish time.
+ */
+export async function saveDraft(tenant, data) {
+    return lockDraft(tenant, async () => {
+        const existing = await readDraft(tenant);
+        return writeDraft(tenant, {
+            data,
+            previewToken: existing?.previewToken || createPreviewToken(),
+            publishAt: existing?.publishAt || null,
+            updatedAt: new Date().toISOString()
+        });
+    });
+}
+
+/**
+ * Apply a change to the draft document, if there is one
+ * Used to carry changes made outside the draft (photo, resume) into it.
+ * @param {function(object): void} update - Mutates the draft data
+ * @returns {Promise<object|null>} The updated draft
+ */
+export async function updateDraft(tenant, update) {
+    return lockDraft(tenant, async () => {
+        const draft = await readDraft(tenant);
+        if (!draft) return null;
+
+        update(draft.data);
+        return writeDraft(tenant, draft);
+    });
+}
+
+/**
+ * Set or clear the scheduled publish time
+ * @param {string|null} publishAt - ISO timestamp, or null to unschedule
+ * @returns {Promise<object|null>} The updated draft, or null if there is no draft
+ */
+export async function scheduleDraft(tenant, publishAt) {
+    return lockDraft(tenant, async () => {
+        const draft = await readDraft(tenant);
+        if (!draft) return null;
+
+        return writeDraft(tenant, { ...draft, publishAt });
+    });
+}
+
+/**
+ * Delete the draft
+ * @returns {Promise<boolean>} Whether a draft existed
+ */
+export async function discardDraft(tenant) {
+    return lockDraft(tenant, () => deleteObject(tenant, DRAFT_FILE));
+}
+
+/**
+ * Make the draft the live portfolio (backing up the current one) and delete it
+ * @returns {Promise<{data: object, etag: string, before: object}|null>} See savePortfolio(); null without a draft
+ */
+export async function publishDraft(tenant) {
+    return lockDraft(tenant, async () => {
+        const draft = await readDraft(tenant);
+        if (!draft) return null;
+
+        const saved = await savePortfolio(tenant, draft.data);
+        await deleteObject(tenant, DRAFT_FILE);
+        return saved;
+    });
+}
+
+/**
+ * Check whether a scheduled draft is due for publishing
+ */
+export function isDraftDue(draft, now = Date.now()) {
+    return Boolean(draft?.publishAt) && new Date(draft.publishAt).getTime() <= now;
+}
+
+/**
+ * Compare a preview token against the draft's in constant time
+ */
+export function matchesPreviewToken(draft, token) {
+    if (!draft?.previewToken || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(draft.previewToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
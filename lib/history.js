@@ -0,0 +1,316 @@
+/**
+ * Content History
+ * With PORTFOLIO_HISTORY=git, every write to portfolio.json is committed to a local git
+ * repository kept in .history/ inside the tenant's data directory (data/.history for the
+ * default portfolio), so the project's own checkout never picks it up. Commits are authored
+ * by the admin user and their messages name the sections that changed.
+ *
+ * The repository has no working tree: commits are built from portfolio.json as read through
+ * the storage layer, so the history works with every storage backend. It always lives on
+ * the local disk.
+ *
+ * Only the git command line is used; nothing is ever fetched or pushed.
+ */
+
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { diffSections } from './backups.js';
+import { readText } from './storage.js';
+
+const PORTFOLIO_FILE = 'portfolio.json';
+const COMMIT_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+// Field and record separators for parsing git log output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+export const MAX_HISTORY_LIMIT = 200;
+
+export class HistoryError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'HistoryError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Check whether content history is turned on
+ */
+export function isHistoryEnabled() {
+    return process.env.PORTFOLIO_HISTORY === 'git';
+}
+
+function getGitDir(tenant) {
+    return join(tenant.dataDir, '.history');
+}
+
+/**
+ * Run git against a tenant's history repository
+ * Signing and hooks from the user's global config are turned off; commits must work offline.
+ * @param {object} [options]
+ * @param {object} [options.env] - Extra environment variables
+ * @param {string} [options.input] - Written to git's standard input
+ */
+function git(tenant, args, { env = {}, input } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', [
+            '-c', 'commit.gpgsign=false',
+            '-c', 'core.hooksPath=/dev/null',
+            `--git-dir=${getGitDir(tenant)}`,
+            ...args
+        ], {
+            env: { ...process.env, ...env },
+            maxBuffer: 20 * 1024 * 1024
+        }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Name and email for a commit's author and committer
+ */
+function getIdentity(author) {
+    const name = author || 'Portfolio';
+    const email = `${name.toLowerCase().replace(/[^a-z0-9._-]+/g, '') || 'portfolio'}@localhost`;
+    return {
+        GIT_AUTHOR_NAME: name,
+        GIT_AUTHOR_EMAIL: email,
+        GIT_COMMITTER_NAME: name,
+        GIT_COMMITTER_EMAIL: email
+    };
+}
+
+// Pending git operations per tenant; git refuses to run two commits on one repository at once
+const queues = new Map();
+
+function enqueue(tenant, task) {
+    const previous = queues.get(tenant.slug) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(tenant.slug, next);
+    return next;
+}
+
+/**
+ * Hash of the commit HEAD points at
+ * @returns {Promise<string|null>} Null before the first commit
+ */
+async function getHead(tenant) {
+    try {
+        return (await git(tenant, ['rev-parse', '--verify', '--quiet', 'HEAD'])).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Commit a portfolio.json content on top of HEAD
+ * Only the blob, a one-file tree and the commit are written; no working tree is involved.
+ * @param {string[]} messages - Subject, then body paragraphs
+ * @returns {Promise<string|null>} Hash of the new commit, or null when the content equals HEAD's
+ */
+async function commitContent(tenant, content, messages, author) {
+    const blob = (await git(tenant, ['hash-object', '-w', '--stdin'], { input: content })).trim();
+    const parent = await getHead(tenant);
+    if (parent) {
+        const current = (await git(tenant, ['rev-parse', `${parent}:${PORTFOLIO_FILE}`]).catch(() => '')).trim();
+        if (current === blob) return null;
+    }
+
+    const tree = (await git(tenant, ['mktree'], { input: `100644 blob ${blob}\t${PORTFOLIO_FILE}\n` })).trim();
+    const commit = (await git(tenant, [
+        'commit-tree', tree,
+        ...(parent ? ['-p', parent] : []),
+        ...messages.flatMap(message => ['-m', message])
+    ], { env: getIdentity(author) })).trim();
+
+    await git(tenant, ['update-ref', 'HEAD', commit]);
+    return commit;
+}
+
+/**
+ * Create the repository with the current portfolio.json as its first commit
+ */
+async function ensureRepository(tenant) {
+    if (existsSync(getGitDir(tenant))) return;
+
+    await git(tenant, ['init', '--quiet', '--bare']);
+
+    const content = await readText(tenant, PORTFOLIO_FILE);
+    if (content !== null) {
+        await commitContent(tenant, content, ['Start content history']);
+    }
+}
+
+/**
+ * Start the history for a tenant if it is turned on and does not exist yet
+ */
+export async function initHistory(tenant) {
+    if (!isHistoryEnabled()) return;
+    await enqueue(tenant, () => ensureRepository(tenant));
+}
+
+/**
+ * Read portfolio.json as of a revision
+ * @returns {Promise<object|null>} Null when the file did not exist there
+ */
+async function readRevision(tenant, revision) {
+    try {
+        return JSON.parse(await git(tenant, ['show', `${revision}:${PORTFOLIO_FILE}`]));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Describe section changes for a commit subject ("projects and skills changed, interests added")
+ */
+function describeChanges(changes) {
+    const groups = ['changed', 'added', 'removed']
+        .map(status => {
+            const sections = changes.filter(change => change.status === status).map(change => change.section);
+            if (sections.length === 0) return null;
+            const names = sections.length > 1
+                ? `${sections.slice(0, -1).join(', ')} and ${sections[sections.length - 1]}`
+                : sections[0];
+            return `${names} ${status}`;
+        })
+        .filter(Boolean);
+    return groups.length > 0 ? groups.join(', ') : 'formatting only';
+}
+
+/**
+ * Commit the current portfolio.json if it differs from the last commit
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {string} action - What changed it, e.g. "Upload portfolio"; starts the commit subject
+ * @param {string} [author] - Admin user who made the change
+ * @returns {Promise<string|null>} Hash of the new commit, or null when history is off or nothing changed
+ */
+export async function commitHistory(tenant, action, author) {
+    if (!isHistoryEnabled()) return null;
+
+    return enqueue(tenant, async () => {
+        await ensureRepository(tenant);
+
+        const content = await readText(tenant, PORTFOLIO_FILE);
+        if (content === null) return null;
+
+        const before = await readRevision(tenant, 'HEAD');
+        const changes = diffSections(before, JSON.parse(content)).filter(({ status }) => status !== 'unchanged');
+        const body = changes.map(({ section, status }) => `${section}: ${status}`).join('\n');
+
+        return commitContent(tenant, content, [`${action}: ${describeChanges(changes)}`, ...(body ? [body] : [])], author);
+    });
+}
+
+/**
+ * Parse git log records written with the format below
+ */
+const LOG_FORMAT = ['%H', '%an', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+function parseLog(output) {
+    return output.split(RECORD).map(record => record.trim()).filter(Boolean).map(record => {
+        const [hash, author, date, subject, body = ''] = record.split(FIELD);
+        const changes = body.split('\n')
+            .map(line => line.match(/^(\S+): (changed|added|removed)$/))
+            .filter(Boolean)
+            .map(([, section, status]) => ({ section, status }));
+        return { hash, shortHash: hash.slice(0, 7), author, date, subject, changes };
+    });
+}
+
+/**
+ * List history commits, newest first
+ * @param {{limit?: number, skip?: number}} [options]
+ * @returns {Promise<{total: number, commits: object[]}>}
+ */
+export async function listHistory(tenant, { limit = 50, skip = 0 } = {}) {
+    if (!existsSync(getGitDir(tenant))) return { total: 0, commits: [] };
+
+    return enqueue(tenant, async () => {
+        let total = 0;
+        try {
+            total = Number((await git(tenant, ['rev-list', '--count', 'HEAD'])).trim());
+        } catch {
+            // No commits yet
+            return { total: 0, commits: [] };
+        }
+
+        const output = await git(tenant, ['log', `--format=${LOG_FORMAT}`, `--max-count=${limit}`, `--skip=${skip}`]);
+        return { total, commits: parseLog(output) };
+    });
+}
+
+/**
+ * Resolve a (possibly abbreviated) commit hash
+ * @throws {HistoryError} For malformed or unknown hashes
+ */
+async function resolveCommit(tenant, commit) {
+    if (!COMMIT_PATTERN.test(commit || '')) {
+        throw new HistoryError('Invalid commit hash');
+    }
+    if (!existsSync(getGitDir(tenant))) {
+        throw new HistoryError('Commit not found', 404);
+    }
+    try {
+        return (await git(tenant, ['rev-parse', '--verify', '--quiet', `${commit}^{commit}`])).trim();
+    } catch {
+        throw new HistoryError('Commit not found', 404);
+    }
+}
+
+/**
+ * Get one commit with its section-by-section diff and the textual patch of portfolio.json
+ * "before" is the parent commit's document (null for the first commit).
+ */
+export async function getHistoryCommit(tenant, commit) {
+    return enqueue(tenant, async () => {
+        const hash = await resolveCommit(tenant, commit);
+        const [entry] = parseLog(await git(tenant, ['log', '-1', `--format=${LOG_FORMAT}`, hash]));
+        const before = await readRevision(tenant, `${hash}^`);
+        const after = await readRevision(tenant, hash);
+        const patch = await git(tenant, ['show', '--format=', '--no-color', hash, '--', PORTFOLIO_FILE]);
+
+        return { ...entry, sections: diffSections(before, after), patch };
+    });
+}
+
+/**
+ * Undo one commit's section changes in the current portfolio
+ * Sections changed again by later commits are not touched; the revert is refused instead.
+ * @param {object} current - The live portfolio data; call this under the portfolio lock (see updatePortfolio())
+ * @returns {Promise<{data: object, commit: object}>} The reverted document (not saved yet) and the reverted commit
+ * @throws {HistoryError} 409 with the conflicting sections, or 400 for the first commit
+ */
+export async function revertCommit(tenant, commit, current) {
+    return enqueue(tenant, async () => {
+        const hash = await resolveCommit(tenant, commit);
+        const [entry] = parseLog(await git(tenant, ['log', '-1', `--format=${LOG_FORMAT}`, hash]));
+        const before = await readRevision(tenant, `${hash}^`);
+        if (!before) {
+            throw new HistoryError('The first commit cannot be reverted');
+        }
+
+        const after = await readRevision(tenant, hash);
+        const data = structuredClone(current);
+        const conflicts = [];
+
+        for (const { section, status } of diffSections(before, after)) {
+            if (status === 'unchanged') continue;
+            if (JSON.stringify(current[section]) !== JSON.stringify(after[section])) {
+                conflicts.push(section);
+            } else if (before[section] === undefined) {
+                delete data[section];
+            } else {
+                data[section] = before[section];
+            }
+        }
+
+        if (conflicts.length > 0) {
+            throw new HistoryError('Later changes touch the same sections', 409, { conflicts });
+        }
+        return { data, commit: entry };
+    });
+}
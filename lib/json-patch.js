@@ -0,0 +1,190 @@
+/**
+ * JSON Patch (RFC 6902)
+ * Applies add/remove/replace/move/copy/test operations to a JSON document
+ */
+
+export class JsonPatchError extends Error {
+    constructor(message, index) {
+        super(index === undefined ? message : `Operation ${index}: ${message}`);
+        this.name = 'JsonPatchError';
+        this.index = index;
+    }
+}
+
+// Tokens that would reach Object.prototype instead of the document's own data
+const FORBIDDEN_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Split a JSON pointer (RFC 6901) into unescaped reference tokens
+ */
+export function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new JsonPatchError(`Invalid JSON pointer "${pointer}"`);
+    }
+    const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const forbidden = tokens.find(token => FORBIDDEN_TOKENS.includes(token));
+    if (forbidden !== undefined) {
+        throw new JsonPatchError(`Forbidden token "${forbidden}" in JSON pointer "${pointer}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Resolve an array index token; "-" means one past the end when allowed
+ */
+function toIndex(array, token, allowEnd) {
+    if (token === '-' && allowEnd) return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(token)) {
+        throw new JsonPatchError(`Invalid array index "${token}"`);
+    }
+    const index = Number(token);
+    const max = allowEnd ? array.length : array.length - 1;
+    if (index > max) {
+        throw new JsonPatchError(`Array index ${index} out of bounds`);
+    }
+    return index;
+}
+
+/**
+ * Walk to the parent container of the value a pointer references
+ */
+function resolveParent(document, tokens) {
+    let current = document;
+    for (const token of tokens.slice(0, -1)) {
+        if (Array.isArray(current)) {
+            current = current[toIndex(current, token, false)];
+        } else if (current !== null && typeof current === 'object' && Object.hasOwn(current, token)) {
+            current = current[token];
+        } else {
+            throw new JsonPatchError(`Path not found at "${token}"`);
+        }
+    }
+    if (current === null || typeof current !== 'object') {
+        throw new JsonPatchError('Parent of target is not a container');
+    }
+    return { parent: current, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return document;
+    const { parent, key } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) return parent[toIndex(parent, key, false)];
+    if (!Object.hasOwn(parent, key)) throw new JsonPatchError(`Path "${pointer}" not found`);
+    return parent[key];
+}
+
+function addValue(document, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    const { parent, key } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(parent, key, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+    return document;
+}
+
+function removeValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw new JsonPatchError('Cannot remove the document root');
+    const { parent, key } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(parent, key, false), 1);
+    } else {
+        if (!Object.hasOwn(parent, key)) throw new JsonPatchError(`Path "${pointer}" not found`);
+        delete parent[key];
+    }
+    return document;
+}
+
+function replaceValue(document, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    const { parent, key } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) {
+        parent[toIndex(parent, key, false)] = value;
+    } else {
+        if (!Object.hasOwn(parent, key)) throw new JsonPatchError(`Path "${pointer}" not found`);
+        parent[key] = value;
+    }
+    return document;
+}
+
+/**
+ * Structural equality of two JSON values; object key order does not matter
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) &&
+            a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Apply a JSON Patch to a document
+ * The input document is never mutated; either every operation applies or none do.
+ * @param {any} document - Target JSON document
+ * @param {Array<{op: string, path: string, value?: any, from?: string}>} operations
+ * @returns {any} The patched copy of the document
+ */
+export function applyPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+        throw new JsonPatchError('Patch must be an array of operations');
+    }
+
+    let result = clone(document);
+
+    operations.forEach((operation, index) => {
+        try {
+            const { op, path, value, from } = operation || {};
+            if (typeof path !== 'string') throw new JsonPatchError('Missing "path"');
+
+            switch (op) {
+                case 'add':
+                    if (!('value' in operation)) throw new JsonPatchError('Missing "value"');
+                    result = addValue(result, path, clone(value));
+                    break;
+                case 'remove':
+                    result = removeValue(result, path);
+                    break;
+                case 'replace':
+                    if (!('value' in operation)) throw new JsonPatchError('Missing "value"');
+                    result = replaceValue(result, path, clone(value));
+                    break;
+                case 'move': {
+                    if (path.startsWith(`${from}/`)) throw new JsonPatchError('Cannot move a value into itself');
+                    const moved = getValue(result, from);
+                    result = addValue(removeValue(result, from), path, moved);
+                    break;
+                }
+                case 'copy':
+                    result = addValue(result, path, clone(getValue(result, from)));
+                    break;
+                case 'test':
+                    if (!isEqual(getValue(result, path), value)) {
+                        throw new JsonPatchError(`Test failed at "${path}"`);
+                    }
+                    break;
+                default:
+                    throw new JsonPatchError(`Unknown operation "${op}"`);
+            }
+        } catch (error) {
+            if (error instanceof JsonPatchError && error.index === undefined) {
+                throw new JsonPatchError(error.message, index);
+            }
+            throw error;
+        }
+    });
+
+    return result;
+}
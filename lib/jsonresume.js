@@ -0,0 +1,278 @@
+/**
+ * JSON Resume Conversion
+ * Maps between the jsonresume.org schema and the internal portfolio structure.
+ * Anything without a counterpart is reported as a warning instead of being dropped silently.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const OPEN_ENDED = ['present', 'current', 'now', 'ongoing'];
+const KNOWN_ICONS = ['github', 'linkedin', 'twitter', 'medium', 'email', 'website'];
+
+/**
+ * Detect a JSON Resume document (has "basics" and no portfolio "profile")
+ */
+export function isJsonResume(doc) {
+    return Boolean(doc && typeof doc === 'object' && doc.basics && !doc.profile);
+}
+
+/**
+ * Record a warning for each key of an object not in the handled list
+ */
+function warnUnmapped(source, handled, path, warnings) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (!handled.includes(key) && value !== undefined && value !== '') {
+            warnings.push({ path: `${path}/${key}`, message: 'No matching field; value was not converted' });
+        }
+    }
+}
+
+/**
+ * "2020-01-15" / "2020-01" / "2020" -> "Jan 2020" / "2020"
+ */
+function formatDate(date) {
+    const match = /^(\d{4})(?:-(\d{2}))?/.exec(date || '');
+    if (!match) return date || '';
+    const [, year, month] = match;
+    return month ? `${MONTH_LABELS[Number(month) - 1]} ${year}` : year;
+}
+
+function formatPeriod(startDate, endDate) {
+    if (!startDate && !endDate) return '';
+    return `${formatDate(startDate)} - ${endDate ? formatDate(endDate) : 'Present'}`;
+}
+
+/**
+ * "Sept 2024" / "2024" -> "2024-09" / "2024"; undefined when unparseable
+ */
+function parseDate(text) {
+    const value = String(text).trim();
+    if (/^\d{4}$/.test(value)) return value;
+
+    const match = /^([A-Za-z]+)\.?\s+(\d{4})$/.exec(value);
+    if (match) {
+        const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+        if (month !== -1) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+    }
+    return undefined;
+}
+
+/**
+ * "Jan 2025 - Present" -> { startDate: '2025-01' }; warns on anything unparseable
+ */
+function parsePeriod(period, path, warnings) {
+    if (period === undefined || period === '') return {};
+
+    const [start, end] = String(period).split(/\s+(?:-|–|—|to)\s+/);
+    const result = {};
+
+    const startDate = parseDate(start);
+    if (startDate) {
+        result.startDate = startDate;
+    }
+
+    const endDate = end && !OPEN_ENDED.includes(end.trim().toLowerCase()) ? parseDate(end) : undefined;
+    if (endDate) {
+        result.endDate = endDate;
+    }
+
+    const endUnparsed = end && !endDate && !OPEN_ENDED.includes(end.trim().toLowerCase());
+    if (!startDate || endUnparsed) {
+        warnings.push({ path, message: `Could not convert "${period}" to ISO dates` });
+    }
+    return result;
+}
+
+function formatLocation(location) {
+    if (!location) return undefined;
+    const parts = [location.city, location.region, location.countryCode].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : undefined;
+}
+
+function iconForNetwork(network) {
+    const name = String(network || '').toLowerCase();
+    if (name === 'x') return 'twitter';
+    return KNOWN_ICONS.includes(name) ? name : 'website';
+}
+
+/**
+ * Convert a JSON Resume document into the portfolio structure
+ * @returns {{portfolio: object, warnings: Array<{path: string, message: string}>}}
+ */
+export function fromJsonResume(resume) {
+    const warnings = [];
+    const portfolio = {};
+    const basics = resume.basics || {};
+
+    warnUnmapped(basics, ['name', 'label', 'image', 'email', 'summary', 'location', 'url', 'profiles'], '/basics', warnings);
+    warnUnmapped(basics.location, ['city', 'region', 'countryCode'], '/basics/location', warnings);
+
+    portfolio.profile = {
+        name: basics.name,
+        title: basics.label,
+        avatar: basics.image,
+        location: formatLocation(basics.location),
+        email: basics.email,
+        summary: basics.summary
+    };
+
+    portfolio.socials = (basics.profiles || []).map((profile, index) => {
+        warnUnmapped(profile, ['network', 'url', 'username'], `/basics/profiles/${index}`, warnings);
+        return {
+            platform: profile.network,
+            url: profile.url || '',
+            icon: iconForNetwork(profile.network)
+        };
+    });
+    if (basics.url) {
+        portfolio.socials.push({ platform: 'Website', url: basics.url, icon: 'website' });
+    }
+    if (basics.email) {
+        portfolio.socials.push({ platform: 'Email', url: `mailto:${basics.email}`, icon: 'email' });
+    }
+
+    portfolio.skills = (resume.skills || []).map((skill, index) => {
+        warnUnmapped(skill, ['name', 'keywords'], `/skills/${index}`, warnings);
+        return { category: skill.name, items: skill.keywords || [] };
+    });
+
+    portfolio.projects = (resume.projects || []).map((project, index) => {
+        warnUnmapped(project, ['name', 'description', 'keywords', 'url'], `/projects/${index}`, warnings);
+        return {
+            title: project.name,
+            description: project.description || '',
+            technologies: project.keywords || [],
+            url: project.url || '',
+            github: ''
+        };
+    });
+
+    portfolio.experience = (resume.work || []).map((work, index) => {
+        warnUnmapped(work, ['name', 'position', 'startDate', 'endDate', 'highlights', 'summary'], `/work/${index}`, warnings);
+        const item = {
+            company: work.name,
+            role: work.position,
+            period: formatPeriod(work.startDate, work.endDate)
+        };
+        if (work.highlights?.length) item.highlights = work.highlights;
+        if (work.summary) item.description = work.summary;
+        return item;
+    });
+
+    portfolio.education = (resume.education || []).map((edu, index) => {
+        warnUnmapped(edu, ['institution', 'studyType', 'area', 'startDate', 'endDate'], `/education/${index}`, warnings);
+        return {
+            institution: edu.institution,
+            degree: [edu.studyType, edu.area].filter(Boolean).join(' in '),
+            year: [edu.startDate, edu.endDate].filter(Boolean).map(date => String(date).slice(0, 4)).join(' - ')
+        };
+    });
+
+    portfolio.certifications = (resume.certificates || []).map((cert, index) => {
+        warnUnmapped(cert, ['name', 'issuer', 'date', 'url'], `/certificates/${index}`, warnings);
+        return {
+            name: cert.name,
+            issuer: cert.issuer,
+            // Hand-written files often give a bare number (2019)
+            year: String(cert.date || '').slice(0, 4),
+            url: cert.url || ''
+        };
+    });
+
+    portfolio.interests = (resume.interests || []).map((interest, index) => {
+        warnUnmapped(interest, ['name'], `/interests/${index}`, warnings);
+        return interest.name;
+    });
+
+    warnUnmapped(resume, ['basics', 'skills', 'projects', 'work', 'education', 'certificates', 'interests', '$schema'], '', warnings);
+
+    return { portfolio: JSON.parse(JSON.stringify(portfolio)), warnings };
+}
+
+/**
+ * Convert the portfolio structure into a JSON Resume document
+ * @returns {{resume: object, warnings: Array<{path: string, message: string}>}}
+ */
+export function toJsonResume(portfolio) {
+    const warnings = [];
+    const profile = portfolio.profile || {};
+
+    warnUnmapped(profile, ['name', 'title', 'photo', 'avatar', 'email', 'summary', 'location'], '/profile', warnings);
+
+    const [city, ...region] = (profile.location || '').split(',').map(part => part.trim());
+    (portfolio.socials || []).forEach((social, index) => warnUnmapped(social, ['platform', 'url', 'icon'], `/socials/${index}`, warnings));
+    const socials = (portfolio.socials || []).filter(social => !String(social.url).startsWith('mailto:'));
+
+    const resume = {
+        $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: {
+            name: profile.name,
+            label: profile.title,
+            image: profile.photo || profile.avatar,
+            email: profile.email,
+            summary: profile.summary,
+            location: city ? { city, region: region.join(', ') || undefined } : undefined,
+            profiles: socials.map(social => ({ network: social.platform, url: social.url }))
+        }
+    };
+
+    resume.work = (portfolio.experience || []).map((exp, index) => {
+        warnUnmapped(exp, ['company', 'role', 'period', 'description', 'highlights'], `/experience/${index}`, warnings);
+        const item = {
+            name: exp.company,
+            position: exp.role,
+            ...parsePeriod(exp.period, `/experience/${index}/period`, warnings)
+        };
+        if (exp.description) item.summary = exp.description;
+        if (exp.highlights?.length) item.highlights = exp.highlights;
+        return item;
+    });
+
+    resume.education = (portfolio.education || []).map((edu, index) => {
+        warnUnmapped(edu, ['institution', 'degree', 'year'], `/education/${index}`, warnings);
+        const years = String(edu.year ?? '').match(/\d{4}/g) || [];
+        return {
+            institution: edu.institution,
+            studyType: edu.degree,
+            startDate: years.length > 1 ? years[0] : undefined,
+            endDate: years.length > 0 ? years[years.length - 1] : undefined
+        };
+    });
+
+    resume.certificates = (portfolio.certifications || []).map((cert, index) => {
+        warnUnmapped(cert, ['name', 'issuer', 'year', 'url'], `/certifications/${index}`, warnings);
+        return {
+            name: cert.name,
+            issuer: cert.issuer,
+            date: cert.year ? String(cert.year) : undefined,
+            url: cert.url || undefined
+        };
+    });
+
+    resume.skills = (portfolio.skills || []).map((skill, index) => {
+        warnUnmapped(skill, ['category', 'items'], `/skills/${index}`, warnings);
+        return { name: skill.category, keywords: skill.items };
+    });
+
+    resume.projects = (portfolio.projects || []).map((project, index) => {
+        warnUnmapped(project, ['title', 'description', 'technologies', 'url', 'github'], `/projects/${index}`, warnings);
+        if (project.url && project.github) {
+            warnings.push({
+                path: `/projects/${index}/github`,
+                message: 'JSON Resume projects have a single url; kept the live URL and dropped the GitHub link'
+            });
+        }
+        return {
+            name: project.title,
+            description: project.description,
+            keywords: project.technologies,
+            url: project.url || project.github || undefined
+        };
+    });
+
+    resume.interests = (portfolio.interests || []).map(name => ({ name }));
+
+    warnUnmapped(portfolio, ['profile', 'socials', 'experience', 'education', 'certifications', 'skills', 'projects', 'interests'], '', warnings);
+
+    return { resume: JSON.parse(JSON.stringify(resume)), warnings };
+}
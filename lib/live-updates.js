@@ -0,0 +1,199 @@
+/**
+ * Live Updates
+ * Watches each tenant's portfolio.json and tells open pages when it changes, over
+ * Server-Sent Events (GET /api/portfolio/events). Changes are picked up whether they come
+ * from the admin API or from an edit to the file on disk.
+ *
+ * With the fs backend the tenant's data directory is watched (writes replace the file by
+ * renaming, which a watch on the file itself would miss); other backends are polled.
+ * A change is reported once per new version, identified by the portfolio's ETag, and only
+ * when the file parses as JSON, so a half-saved edit in a text editor is skipped. Routes that
+ * save the portfolio announce the version they wrote, so the watcher leaves it to them.
+ *
+ * Open streams are capped per tenant (LIVE_UPDATES_MAX_CLIENTS, default 500) and per client IP
+ * (LIVE_UPDATES_MAX_CLIENTS_PER_IP, default 10); further requests get 503 and the page simply
+ * goes without live updates.
+ */
+
+import { watch } from 'fs';
+import { computeEtag } from './portfolio.js';
+import { readText, statObject, getStorageBackendName } from './storage.js';
+
+const PORTFOLIO_FILE = 'portfolio.json';
+
+// Editors often write a file in several steps; wait for them to settle
+const DEBOUNCE_DELAY = 250;
+const POLL_INTERVAL = 5000;
+const HEARTBEAT_INTERVAL = 30000;
+const RECONNECT_DELAY = 5000;
+
+// Open event streams per tenant slug
+const clients = new Map();
+
+// Number of open event streams per client IP, across tenants
+const clientsPerIp = new Map();
+
+// ETag of the latest version seen or announced, per tenant slug
+const knownEtags = new Map();
+
+/**
+ * Read the current ETag of a tenant's portfolio.json
+ * @returns {Promise<string|null>} Null when the file is missing or not valid JSON
+ */
+async function readPortfolioEtag(tenant) {
+    const content = await readText(tenant, PORTFOLIO_FILE);
+    if (content === null) return null;
+    try {
+        JSON.parse(content);
+    } catch {
+        return null;
+    }
+    return computeEtag(content);
+}
+
+/**
+ * Call onChange(etag) whenever a tenant's portfolio.json gets new content
+ * @param {function(string): Promise<void>} onChange - Calls never overlap
+ * @returns {Promise<function(): void>} Stops watching
+ */
+export async function watchPortfolio(tenant, onChange) {
+    knownEtags.set(tenant.slug, await readPortfolioEtag(tenant));
+    let checking = Promise.resolve();
+    let timer = null;
+
+    const check = async () => {
+        const latest = await readPortfolioEtag(tenant);
+        if (!latest || latest === knownEtags.get(tenant.slug)) return;
+        knownEtags.set(tenant.slug, latest);
+        await onChange(latest);
+    };
+
+    const scheduleCheck = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            checking = checking.then(check).catch(error => {
+                console.error(`Error checking portfolio.json of tenant "${tenant.slug}":`, error);
+            });
+        }, DEBOUNCE_DELAY);
+    };
+
+    if (getStorageBackendName() === 'fs') {
+        const watcher = watch(tenant.dataDir, (eventType, filename) => {
+            if (filename === PORTFOLIO_FILE) scheduleCheck();
+        });
+        watcher.on('error', error => {
+            console.error(`Error watching ${tenant.dataDir}:`, error);
+        });
+        watcher.unref();
+        return () => {
+            clearTimeout(timer);
+            watcher.close();
+        };
+    }
+
+    // Only read the file again when its size or modification time moved
+    let info = await statObject(tenant, PORTFOLIO_FILE);
+    const poll = setInterval(async () => {
+        try {
+            const latest = await statObject(tenant, PORTFOLIO_FILE);
+            if (!latest || (info && latest.size === info.size && latest.modified.getTime() === info.modified.getTime())) return;
+            info = latest;
+            scheduleCheck();
+        } catch (error) {
+            console.error(`Error checking portfolio.json of tenant "${tenant.slug}":`, error);
+        }
+    }, POLL_INTERVAL);
+    poll.unref();
+    return () => {
+        clearTimeout(timer);
+        clearInterval(poll);
+    };
+}
+
+/**
+ * Get the caps on open event streams from the environment
+ */
+export function getEventClientLimits() {
+    return {
+        perTenant: parseInt(process.env.LIVE_UPDATES_MAX_CLIENTS, 10) || 500,
+        perIp: parseInt(process.env.LIVE_UPDATES_MAX_CLIENTS_PER_IP, 10) || 10
+    };
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Keep a response open as an event stream of a tenant's portfolio changes
+ * The first event reports the current version, so a client that reconnects can tell
+ * whether it missed a change.
+ * @returns {Promise<boolean>} False when a cap was reached and a 503 response was sent
+ */
+export async function addEventClient(tenant, req, res) {
+    const limits = getEventClientLimits();
+    const tenantClients = clients.get(tenant.slug) || new Set();
+    const ipClients = clientsPerIp.get(req.ip) || 0;
+    if (tenantClients.size >= limits.perTenant || ipClients >= limits.perIp) {
+        res.setHeader('Retry-After', '60');
+        res.status(503).json({ error: 'Too many open event streams' });
+        return false;
+    }
+
+    clients.set(tenant.slug, tenantClients);
+    tenantClients.add(res);
+    clientsPerIp.set(req.ip, ipClients + 1);
+    req.on('close', () => {
+        tenantClients.delete(res);
+        const remaining = clientsPerIp.get(req.ip) - 1;
+        if (remaining > 0) {
+            clientsPerIp.set(req.ip, remaining);
+        } else {
+            clientsPerIp.delete(req.ip);
+        }
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    sendEvent(res, 'portfolio', { etag: await readPortfolioEtag(tenant) });
+    return true;
+}
+
+/**
+ * Tell open pages about a version of portfolio.json the server just wrote
+ * Call it right after saving: the watcher then skips the version, since the caller takes
+ * care of it (re-embedding).
+ * @param {string} [etag] - ETag of the written content; read from storage when omitted
+ */
+export async function announcePortfolioChange(tenant, etag) {
+    const version = etag || await readPortfolioEtag(tenant);
+    knownEtags.set(tenant.slug, version);
+    broadcastPortfolioChange(tenant, version);
+}
+
+/**
+ * Tell every open page of a tenant that its portfolio changed
+ */
+export function broadcastPortfolioChange(tenant, etag) {
+    const data = { etag, updatedAt: new Date().toISOString() };
+    for (const res of clients.get(tenant.slug) || []) {
+        sendEvent(res, 'portfolio', data);
+    }
+}
+
+// Comment lines keep idle connections from being closed by proxies
+setInterval(() => {
+    for (const tenantClients of clients.values()) {
+        for (const res of tenantClients) {
+            res.write(': keep-alive\n\n');
+        }
+    }
+}, HEARTBEAT_INTERVAL).unref();
@@ -0,0 +1,180 @@
+/**
+ * Markdown Rendering
+ * A small Markdown subset for blog posts: headings, paragraphs, lists, blockquotes,
+ * fenced code, rules, links, images, emphasis and inline code.
+ *
+ * Output is safe by construction: all source text is HTML-escaped before any markup is
+ * added, raw HTML is shown as text, and link/image URLs are limited to http(s), mailto
+ * and relative paths.
+ */
+
+import { escapeHtml } from '../public/js/render.js';
+
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|[^:]*$)/i;
+
+/**
+ * Check that a URL cannot run script (no javascript:, data: or other schemes)
+ */
+function isSafeUrl(url) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    return SAFE_URL_PATTERN.test(url.replace(/[\u0000- ]/g, ''));
+}
+
+/**
+ * Apply bold and italic markup (underscores only at word boundaries, so snake_case survives)
+ */
+function formatEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Render inline markup of one block of text
+ */
+function renderInline(text) {
+    // Generated tags are set aside so emphasis never rewrites code or URLs
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    const marked = String(text).replace(/\u0000/g, '')
+        .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+            isSafeUrl(src) ? stash(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">`) : alt
+        )
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            if (!isSafeUrl(href)) return label;
+            const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `${stash(`<a href="${escapeHtml(href)}"${external}>`)}${label}${stash('</a>')}`;
+        });
+
+    return formatEmphasis(escapeHtml(marked)).replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Split Markdown source into blocks
+ * @returns {Array<{type: string, text?: string, level?: number, items?: string[], ordered?: boolean, lang?: string}>}
+ */
+export function parseBlocks(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(/^```\s*([\w-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push({ type: 'code', lang: fence[1], text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (/^(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (/^>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^>/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            blocks.push({ type: 'quote', text: quote.join(' ') });
+            continue;
+        }
+
+        const listItem = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+        if (listItem) {
+            const ordered = Boolean(listItem[2]);
+            const itemPattern = ordered ? /^\s*\d+[.)]\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+            const otherPattern = ordered ? /^\s*[-*+]\s+/ : /^\s*\d+[.)]\s+/;
+            const items = [];
+            while (i < lines.length && lines[i].trim() && !otherPattern.test(lines[i])) {
+                const item = lines[i].match(itemPattern);
+                if (item) {
+                    items.push(item[1]);
+                } else if (items.length > 0) {
+                    // Continuation line of the previous item
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                }
+                i++;
+            }
+            blocks.push({ type: 'list', ordered, items });
+            continue;
+        }
+
+        // Paragraph: everything up to the next blank line or block start
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !/^(?:```|#{1,6}\s|>)/.test(lines[i])) {
+            paragraph.push(lines[i++].trim());
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+
+    return blocks;
+}
+
+/**
+ * Render Markdown to sanitized HTML
+ * Headings are shifted down one level so the post title stays the page's only <h1>.
+ */
+export function renderMarkdown(source) {
+    return parseBlocks(source).map(block => {
+        switch (block.type) {
+            case 'heading': {
+                const level = Math.min(block.level + 1, 6);
+                return `<h${level}>${renderInline(block.text)}</h${level}>`;
+            }
+            case 'code': {
+                const lang = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+                return `<pre><code${lang}>${escapeHtml(block.text)}</code></pre>`;
+            }
+            case 'rule':
+                return '<hr>';
+            case 'quote':
+                return `<blockquote><p>${renderInline(block.text)}</p></blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                return `<${tag}>${block.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`;
+            }
+            default:
+                return `<p>${renderInline(block.text)}</p>`;
+        }
+    }).join('\n');
+}
+
+/**
+ * Strip inline markup, keeping the readable text (link labels, image alt text)
+ */
+export function toPlainText(text) {
+    return String(text || '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/(\*\*?)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        .replace(/(^|\W)(__?)(?=\S)([\s\S]*?\S)\2(?!\w)/g, '$1$3')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
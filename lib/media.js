@@ -0,0 +1,231 @@
+/**
+ * Media Library
+ * Uploaded images and documents stored under a tenant's uploads/media/ with content-hashed
+ * filenames, resized WebP variants (see public/js/media.js for the naming scheme) and an
+ * index in media.json next to portfolio.json.
+ *
+ * Files that portfolio.json (or the draft) still points at cannot be deleted.
+ */
+
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { getVariantWidths, getVariantUrl, parseMediaUrl } from '../public/js/media.js';
+import { readDraft } from './drafts.js';
+import { readJson, writeObject, deleteObject, updateJson } from './storage.js';
+
+// Accepted file types: how to recognize them and the extension they are stored with
+// (types come from the file content, never from the client-supplied MIME type)
+const MEDIA_TYPES = [
+    { type: 'image/jpeg', ext: 'jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { type: 'image/png', ext: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/gif', ext: 'gif', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'GIF8' },
+    { type: 'image/webp', ext: 'webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { type: 'image/avif', ext: 'avif', matches: buffer => buffer.subarray(4, 12).toString('latin1') === 'ftypavif' },
+    { type: 'application/pdf', ext: 'pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+export const MAX_MEDIA_SIZE = 10 * 1024 * 1024;
+
+const WEBP_QUALITY = 80;
+
+export class MediaError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'MediaError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const INDEX_FILE = 'media.json';
+
+function getMediaName(filename) {
+    return `uploads/media/${filename}`;
+}
+
+function getMediaUrl(tenant, filename) {
+    return `${tenant.uploadsUrl}/media/${filename}`;
+}
+
+async function readIndex(tenant) {
+    return readJson(tenant, INDEX_FILE, []);
+}
+
+/**
+ * Change the index in place, one upload or deletion at a time
+ */
+function updateIndex(tenant, update) {
+    return updateJson(tenant, INDEX_FILE, update, []);
+}
+
+/**
+ * Every URL a media entry is served under (original and variants)
+ */
+function getEntryUrls(entry) {
+    return [entry.url, ...(entry.variants || []).map(variant => variant.url)];
+}
+
+/**
+ * Find the JSON pointers of all string values in a document that equal one of the URLs
+ */
+export function findReferences(document, urls, path = '') {
+    if (typeof document === 'string') {
+        return urls.includes(document) ? [path] : [];
+    }
+    if (document === null || typeof document !== 'object') return [];
+
+    return Object.entries(document).flatMap(([key, value]) =>
+        findReferences(value, urls, `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    );
+}
+
+/**
+ * Where an entry is used: pointers into portfolio.json and the draft, if any
+ */
+async function getReferences(tenant, entry) {
+    const urls = getEntryUrls(entry);
+    const portfolio = await readJson(tenant, 'portfolio.json');
+    const draft = await readDraft(tenant);
+
+    return [
+        ...findReferences(portfolio, urls).map(path => ({ document: 'portfolio', path })),
+        ...(draft ? findReferences(draft.data, urls).map(path => ({ document: 'draft', path })) : [])
+    ];
+}
+
+/**
+ * List a tenant's media, newest first, with where each item is referenced
+ * @returns {Promise<object[]>}
+ */
+export async function listMedia(tenant) {
+    const entries = await readIndex(tenant);
+    const withReferences = await Promise.all(entries.map(async entry => ({
+        ...entry,
+        references: await getReferences(tenant, entry)
+    })));
+    return withReferences.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Write the resized WebP variants of an image
+ * @returns {Promise<Array<{width: number, url: string}>>}
+ */
+async function createVariants(tenant, buffer, media) {
+    const variants = [];
+
+    for (const width of getVariantWidths(media.width)) {
+        const url = getVariantUrl(media, width);
+        const filename = url.slice(url.lastIndexOf('/') + 1);
+
+        // A full-size variant of a WebP original is the original itself
+        if (!(media.ext === 'webp' && width === media.width)) {
+            const output = await sharp(buffer, { animated: true })
+                .rotate()
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: WEBP_QUALITY })
+                .toBuffer();
+            await writeObject(tenant, getMediaName(filename), output);
+        }
+        variants.push({ width, url });
+    }
+
+    return variants;
+}
+
+/**
+ * Check an uploaded file's size and detect its type from the content
+ * @returns {{type: string, ext: string}}
+ * @throws {MediaError} For unsupported or oversized files
+ */
+export function checkMediaFile(file) {
+    const mediaType = MEDIA_TYPES.find(candidate => candidate.matches(file.buffer));
+    if (!mediaType) {
+        throw new MediaError(`Unsupported file type for "${file.originalname}". Allowed: JPEG, PNG, WebP, GIF, AVIF and PDF.`);
+    }
+    if (file.size > MAX_MEDIA_SIZE) {
+        throw new MediaError(`"${file.originalname}" is too large. Maximum size: 10MB`);
+    }
+    return { type: mediaType.type, ext: mediaType.ext };
+}
+
+/**
+ * Store one uploaded file
+ * Uploading identical content again returns the existing entry.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {{buffer: Buffer, originalname: string, size: number}} file - Multer file
+ * @returns {Promise<object>} The media entry
+ */
+export async function saveMedia(tenant, file) {
+    const { type, ext } = checkMediaFile(file);
+
+    const hash = createHash('sha256').update(file.buffer).digest('hex').slice(0, 16);
+    const existing = (await readIndex(tenant)).find(entry => entry.id === hash);
+    if (existing) return existing;
+
+    const entry = {
+        id: hash,
+        originalName: file.originalname,
+        type,
+        size: file.size,
+        createdAt: new Date().toISOString()
+    };
+
+    if (ext === 'pdf') {
+        entry.filename = `${hash}.pdf`;
+    } else {
+        let metadata;
+        try {
+            metadata = await sharp(file.buffer).metadata();
+        } catch {
+            throw new MediaError(`"${file.originalname}" is not a readable image`);
+        }
+
+        // EXIF orientations 5-8 are rotated by 90 degrees
+        const rotated = metadata.orientation >= 5;
+        entry.width = rotated ? metadata.height : metadata.width;
+        entry.height = rotated ? metadata.width : metadata.height;
+        entry.filename = `${hash}-${entry.width}w.${ext}`;
+    }
+
+    entry.url = getMediaUrl(tenant, entry.filename);
+    await writeObject(tenant, getMediaName(entry.filename), file.buffer);
+
+    if (entry.width) {
+        entry.variants = await createVariants(tenant, file.buffer, parseMediaUrl(entry.url));
+    }
+
+    // The same file may have been stored meanwhile by a parallel upload
+    return updateIndex(tenant, entries => {
+        const stored = entries.find(item => item.id === entry.id);
+        if (stored) return stored;
+        entries.push(entry);
+        return entry;
+    });
+}
+
+/**
+ * Delete a media entry and its variants
+ * @throws {MediaError} 404 if unknown, 409 while portfolio.json or the draft references it
+ */
+export async function deleteMedia(tenant, id) {
+    const entries = await readIndex(tenant);
+    const entry = entries.find(item => item.id === id);
+    if (!entry) {
+        throw new MediaError('Media not found', 404);
+    }
+
+    const references = await getReferences(tenant, entry);
+    if (references.length > 0) {
+        throw new MediaError('Media is still in use', 409, references);
+    }
+
+    const filenames = new Set(getEntryUrls(entry).map(url => url.slice(url.lastIndexOf('/') + 1)));
+    for (const filename of filenames) {
+        await deleteObject(tenant, getMediaName(filename));
+    }
+
+    await updateIndex(tenant, items => {
+        const index = items.findIndex(item => item.id === id);
+        if (index !== -1) items.splice(index, 1);
+    });
+}
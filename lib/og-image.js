@@ -0,0 +1,190 @@
+/**
+ * Social Share Image
+ * A 1200×630 card with the profile name, title, location and photo in a theme's colors,
+ * served at /og-image as SVG or PNG and referenced by the og:image tags (see lib/ssr.js).
+ *
+ * Cards are cached in memory per tenant, theme and format until portfolio.json or the
+ * photo file changes. Text is drawn with the system fonts available to sharp; the web
+ * fonts named by each theme are listed first and used when installed.
+ */
+
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { escapeHtml } from '../public/js/render.js';
+import { localizePortfolio } from '../public/js/i18n.js';
+import { getUploadName } from './tenants.js';
+import { readText, readObject, statObject } from './storage.js';
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+export const OG_IMAGE_FORMATS = ['png', 'svg'];
+
+// Colors and fonts of each theme, matching the custom properties in public/css/theme-*.css
+const THEME_PALETTES = {
+    minimal: {
+        background: '#fffcf5', backgroundEnd: '#fef9e7', text: '#1a0a00', muted: '#5d4037',
+        accent: '#d35400', accentEnd: '#c0392b', font: "'Hind', 'Noto Sans', 'DejaVu Sans', sans-serif"
+    },
+    modern: {
+        background: '#0f0f1a', backgroundEnd: '#16162a', text: '#ffffff', muted: '#a0a0b8',
+        accent: '#7c3aed', accentEnd: '#06b6d4', font: "'Inter', 'DejaVu Sans', sans-serif"
+    },
+    elegant: {
+        background: '#772953', backgroundEnd: '#2C001E', text: '#FFFFFF', muted: '#AEA79F',
+        accent: '#E95420', accentEnd: '#F97C52', font: "'Ubuntu', 'DejaVu Sans', sans-serif"
+    },
+    retro: {
+        background: '#1a1a2e', backgroundEnd: '#0f3460', text: '#e9f5db', muted: '#a9d6e5',
+        accent: '#e94560', accentEnd: '#00ff88', font: "'Space Mono', 'Courier New', 'DejaVu Sans Mono', monospace"
+    }
+};
+
+const PHOTO_SIZE = 340;
+const TEXT_X = 530;
+const TEXT_WIDTH = OG_IMAGE_WIDTH - TEXT_X - 60;
+
+// Average glyph width relative to the font size, used to shrink lines that would not fit
+const GLYPH_WIDTH = 0.66;
+
+// Rendered cards by tenant, theme and format
+const cache = new Map();
+
+/**
+ * Break text into lines of at most maxChars, ending with "…" when it needs more than maxLines
+ */
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+        }
+    }
+
+    if (lines.length <= maxLines) return lines;
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).replace(/\s+$/, '')}…`;
+    return kept;
+}
+
+/**
+ * Initials for the placeholder shown when there is no local photo ("Jane Q. Doe" -> "JD")
+ */
+function getInitials(name) {
+    const words = String(name || '').split(/\s+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    const first = words[0].charAt(0);
+    const last = words.length > 1 ? words[words.length - 1].charAt(0) : '';
+    return `${first}${last}`.toUpperCase();
+}
+
+/**
+ * Build the share card as an SVG document
+ * @param {object} profile - Localized profile (name, title, location)
+ * @param {string} theme - Theme name; unknown themes use the modern palette
+ * @param {Buffer} [photo] - Square JPEG of the profile photo
+ * @returns {string}
+ */
+export function renderOgSvg(profile, theme, photo) {
+    const palette = THEME_PALETTES[theme] || THEME_PALETTES.modern;
+    const photoX = 110;
+    const photoY = (OG_IMAGE_HEIGHT - PHOTO_SIZE) / 2;
+    const center = { x: photoX + PHOTO_SIZE / 2, y: OG_IMAGE_HEIGHT / 2 };
+    // Wrap a field and shrink all of its lines until the longest fits
+    const block = (value, maxChars, maxLines, style) => {
+        const wrapped = wrapText(value, maxChars, maxLines);
+        const longest = Math.max(...wrapped.map(line => line.length));
+        const size = Math.min(style.size, Math.floor(TEXT_WIDTH / (longest * GLYPH_WIDTH)));
+        return wrapped.map(text => ({ ...style, text, size }));
+    };
+
+    // Lines with their font size, weight and color, laid out top to bottom
+    const lines = [
+        ...block(profile.name, 20, 2, { size: 68, weight: 700, fill: palette.text }),
+        ...block(profile.title, 36, 2, { size: 36, weight: 600, fill: 'url(#accent)' }),
+        ...block(profile.location, 40, 1, { size: 30, weight: 400, fill: palette.muted })
+    ];
+    const lineHeight = line => Math.round(line.size * 1.3);
+    let y = center.y - lines.reduce((sum, line) => sum + lineHeight(line), 0) / 2;
+
+    const text = lines.map(line => {
+        y += lineHeight(line);
+        const baseline = Math.round(y - line.size * 0.3);
+        return `<text x="${TEXT_X}" y="${baseline}" font-size="${line.size}" font-weight="${line.weight}" fill="${line.fill}">${escapeHtml(line.text)}</text>`;
+    });
+
+    const portrait = photo
+        ? `<image href="data:image/jpeg;base64,${photo.toString('base64')}" x="${photoX}" y="${photoY}" width="${PHOTO_SIZE}" height="${PHOTO_SIZE}" clip-path="url(#photo)"/>`
+        : [
+            `<circle cx="${center.x}" cy="${center.y}" r="${PHOTO_SIZE / 2}" fill="url(#accent)"/>`,
+            `<text x="${center.x}" y="${center.y + 44}" font-size="128" font-weight="700" fill="#ffffff" text-anchor="middle">${escapeHtml(getInitials(profile.name))}</text>`
+        ].join('\n  ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}" font-family="${escapeHtml(palette.font)}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${palette.background}"/>
+      <stop offset="1" stop-color="${palette.backgroundEnd}"/>
+    </linearGradient>
+    <linearGradient id="accent" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="${palette.accent}"/>
+      <stop offset="1" stop-color="${palette.accentEnd}"/>
+    </linearGradient>
+    <clipPath id="photo"><circle cx="${center.x}" cy="${center.y}" r="${PHOTO_SIZE / 2}"/></clipPath>
+  </defs>
+  <rect width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" fill="url(#background)"/>
+  <rect width="${OG_IMAGE_WIDTH}" height="14" fill="url(#accent)"/>
+  <rect y="${OG_IMAGE_HEIGHT - 14}" width="${OG_IMAGE_WIDTH}" height="14" fill="url(#accent)"/>
+  <circle cx="${center.x}" cy="${center.y}" r="${PHOTO_SIZE / 2 + 10}" fill="none" stroke="url(#accent)" stroke-width="8"/>
+  ${portrait}
+  ${text.join('\n  ')}
+</svg>
+`;
+}
+
+/**
+ * Get a tenant's share card, rendering it only when the portfolio or photo changed
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {string} theme - Theme whose colors to use
+ * @param {string} [format] - "png" or "svg"
+ * @returns {Promise<{body: Buffer, type: string, etag: string}>}
+ */
+export async function getOgImage(tenant, theme, format = 'png') {
+    const content = await readText(tenant, 'portfolio.json');
+    const { profile = {} } = localizePortfolio(JSON.parse(content));
+
+    // Photos hosted elsewhere are not fetched
+    const photoName = getUploadName(tenant, profile.photo);
+    const photoStat = photoName ? await statObject(tenant, photoName) : null;
+    const version = createHash('sha256')
+        .update(content)
+        .update(photoStat ? `${photoStat.size}:${photoStat.modified.getTime()}` : '')
+        .digest('hex')
+        .slice(0, 16);
+
+    const key = `${tenant.slug}:${theme}:${format}`;
+    const cached = cache.get(key);
+    if (cached?.version === version) return cached;
+
+    let photo;
+    if (photoStat) {
+        try {
+            const buffer = await readObject(tenant, photoName);
+            photo = await sharp(buffer).rotate().resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' }).jpeg({ quality: 85 }).toBuffer();
+        } catch (error) {
+            console.warn(`Share image: could not read ${photoName}:`, error.message);
+        }
+    }
+
+    const svg = renderOgSvg(profile, theme, photo);
+    const image = {
+        version,
+        body: format === 'svg' ? Buffer.from(svg) : await sharp(Buffer.from(svg)).png().toBuffer(),
+        type: format === 'svg' ? 'image/svg+xml' : 'image/png',
+        etag: `"${version}-${theme}-${format}"`
+    };
+    cache.set(key, image);
+    return image;
+}
@@ -0,0 +1,135 @@
+/**
+ * Portfolio Read Queries
+ * Options of the public read API (GET /api/portfolio and its sections) that let other sites
+ * fetch just the part of the portfolio they show:
+ *
+ *   ?sections=skills,projects   top-level sections to return
+ *   ?technology=Databricks      projects using it and jobs mentioning it (comma-separated: any of them)
+ *   ?limit=3                    first items of every list section
+ */
+
+import { PORTFOLIO_SCHEMA } from '../public/js/schema.js';
+
+// Top-level sections that can be selected
+export const QUERY_SECTIONS = Object.keys(PORTFOLIO_SCHEMA.properties);
+
+export const MAX_LIMIT = 100;
+
+export class PortfolioQueryError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'PortfolioQueryError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Split a comma-separated query value (repeated parameters are joined)
+ */
+function splitList(value) {
+    return [value].flat()
+        .flatMap(part => String(part).split(','))
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * All strings in a value, including those in translation maps and lists
+ */
+function collectText(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(collectText);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(collectText);
+    return [];
+}
+
+/**
+ * Match a technology as a whole word ("Spark" matches "Spark jobs", not "PySpark")
+ */
+function mentions(text, technology) {
+    const escaped = technology.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// Whether an item of a section uses one of the technologies
+const TECHNOLOGY_MATCHERS = {
+    projects: (project, technologies) => (project.technologies || [])
+        .some(tech => technologies.includes(String(tech).toLowerCase())),
+    // Jobs have no technology list; their role, description and highlights are searched
+    experience: (job, technologies) => {
+        const text = collectText([job.role, job.description, job.highlights]).join('\n');
+        return technologies.some(technology => mentions(text, technology));
+    }
+};
+
+/**
+ * Parse the query options of a read request
+ * @param {object} query - req.query
+ * @returns {{sections: string[]|null, technologies: string[], limit: number|null}}
+ * @throws {PortfolioQueryError} For unknown sections or an invalid limit
+ */
+export function parsePortfolioQuery(query) {
+    let sections = null;
+    if (query.sections !== undefined) {
+        sections = [...new Set(splitList(query.sections))];
+        const unknown = sections.filter(section => !QUERY_SECTIONS.includes(section));
+        if (unknown.length > 0 || sections.length === 0) {
+            throw new PortfolioQueryError(`Unknown section: ${unknown.join(', ') || '(none)'}`, 400, { sections: QUERY_SECTIONS });
+        }
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new PortfolioQueryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+    }
+
+    return {
+        sections,
+        technologies: query.technology !== undefined ? splitList(query.technology).map(tech => tech.toLowerCase()) : [],
+        limit
+    };
+}
+
+/**
+ * Check whether a query changes the document (so its response is not the stored file)
+ */
+export function isFilteredQuery({ sections, technologies, limit }) {
+    return sections !== null || technologies.length > 0 || limit !== null;
+}
+
+/**
+ * Filter and limit one section's items
+ * @param {string} section - Section name
+ * @param {Array} items - The section's items
+ * @param {object} options - Parsed query (see parsePortfolioQuery)
+ * @returns {Array}
+ */
+export function querySection(section, items, { technologies, limit }) {
+    let result = items;
+    if (technologies.length > 0 && TECHNOLOGY_MATCHERS[section]) {
+        result = result.filter(item => TECHNOLOGY_MATCHERS[section](item, technologies));
+    }
+    return limit !== null ? result.slice(0, limit) : result;
+}
+
+/**
+ * Apply a parsed query to a portfolio document
+ * @param {object} data - Portfolio data (stored or localized)
+ * @param {object} options - Parsed query (see parsePortfolioQuery)
+ * @returns {object} A new document with the selected, filtered sections
+ */
+export function queryPortfolio(data, options) {
+    const sections = options.sections || Object.keys(data);
+    const result = {};
+    for (const section of sections) {
+        if (!(section in data)) continue;
+        result[section] = Array.isArray(data[section])
+            ? querySection(section, data[section], options)
+            : data[section];
+    }
+    return result;
+}
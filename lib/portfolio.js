@@ -0,0 +1,88 @@
+/**
+ * Portfolio Document Access
+ * Reads and writes portfolio.json with content-based ETags for optimistic concurrency
+ */
+
+import { createHash } from 'crypto';
+import { createBackup } from './backups.js';
+import { readText, writeObject, statObject, withLock } from './storage.js';
+import { assignProjectSlugs } from '../public/js/projects.js';
+
+export const PORTFOLIO_FILE = 'portfolio.json';
+
+// Array sections that can be edited item by item through the CRUD API
+export const EDITABLE_SECTIONS = ['projects', 'experience', 'skills', 'certifications', 'education', 'socials'];
+
+export class PortfolioError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'PortfolioError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Compute a strong ETag for the serialized portfolio
+ */
+export function computeEtag(content) {
+    return `"${createHash('sha1').update(content).digest('hex')}"`;
+}
+
+/**
+ * Read a tenant's portfolio.json along with its current ETag and modification time
+ * @returns {Promise<{data: object, etag: string, lastModified: Date}>}
+ */
+export async function readPortfolio(tenant) {
+    const [content, info] = await Promise.all([
+        readText(tenant, PORTFOLIO_FILE),
+        statObject(tenant, PORTFOLIO_FILE)
+    ]);
+    if (content === null) {
+        throw new Error(`No ${PORTFOLIO_FILE} for tenant "${tenant.slug}"`);
+    }
+    return { data: JSON.parse(content), etag: computeEtag(content), lastModified: info.modified };
+}
+
+/**
+ * Back up the current portfolio.json and replace it with a new document
+ * @returns {Promise<{data: object, etag: string, before: object}>} See updatePortfolio()
+ */
+export async function savePortfolio(tenant, data) {
+    return updatePortfolio(tenant, () => data, { backup: true });
+}
+
+/**
+ * Read, change and write portfolio.json as one step under the portfolio lock
+ * Every write goes through here, so concurrent changes cannot undo each other. Nothing is
+ * written when update() throws, so it can reject the change (e.g. with a PortfolioError).
+ * Projects without a slug get their derived one stored, so renaming them later keeps their URL.
+ * @param {function(object): (object|void)} update - Mutates the portfolio data or returns a replacement; may be async
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - If-Match header; a PortfolioError (412) is thrown when it does not match
+ * @param {boolean} [options.backup] - Back up the current version first
+ * @returns {Promise<{data: object, etag: string, before: object}>} Written data, its ETag and the previous data
+ */
+export async function updatePortfolio(tenant, update, { ifMatch, backup = false } = {}) {
+    return withLock(tenant, PORTFOLIO_FILE, async () => {
+        const { data, etag: current } = await readPortfolio(tenant);
+        if (ifMatch !== undefined && !matchesIfMatch(ifMatch, current)) {
+            throw new PortfolioError('Portfolio has been modified since it was loaded. Reload and try again.', 412, { etag: current });
+        }
+
+        const before = structuredClone(data);
+        const updated = (await update(data)) ?? data;
+        assignProjectSlugs(updated);
+        const content = JSON.stringify(updated, null, 2);
+        if (backup) await createBackup(tenant);
+        await writeObject(tenant, PORTFOLIO_FILE, content);
+        return { data: updated, etag: computeEtag(content), before };
+    });
+}
+
+/**
+ * Check an If-Match request header against the current ETag ("*" matches any existing document)
+ */
+export function matchesIfMatch(ifMatch, etag) {
+    return ifMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
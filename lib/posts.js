@@ -0,0 +1,151 @@
+/**
+ * Blog Posts
+ * Long-form writing stored as Markdown files in a tenant's posts/ folder
+ * (data/posts/ for the default tenant with the fs storage backend). The file name is the post slug:
+ *
+ *   ---
+ *   title: Delta Lake in Practice
+ *   date: 2024-03-01
+ *   tags: [delta-lake, spark]
+ *   summary: What two years of running Delta Lake taught us.
+ *   ---
+ *   Markdown body...
+ */
+
+import { renderMarkdown } from './markdown.js';
+import { readText, listObjects } from './storage.js';
+
+const POSTS_FOLDER = 'posts';
+
+const POST_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Check that a name can be used as a post slug (lowercase letters, digits, dashes)
+ */
+export function isPostSlug(name) {
+    return typeof name === 'string' && POST_SLUG_PATTERN.test(name);
+}
+
+/**
+ * Parse one front matter value: quoted strings, [inline, lists] and plain text
+ */
+function parseValue(raw) {
+    const value = raw.trim();
+    if (/^\[.*\]$/.test(value)) {
+        return value.slice(1, -1).split(',').map(parseValue).filter(Boolean);
+    }
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    return quoted ? quoted[2] : value;
+}
+
+/**
+ * Split a post into its front matter attributes and Markdown body
+ * Supports "key: value" lines and "- item" lists below a "key:" line.
+ * @returns {{attributes: object, body: string}}
+ */
+export function parseFrontMatter(source) {
+    const text = String(source).replace(/^\uFEFF/, '');
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { attributes: {}, body: text };
+
+    const attributes = {};
+    let listKey = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+        const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+        if (item && listKey) {
+            attributes[listKey].push(parseValue(item[1]));
+            continue;
+        }
+
+        const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!pair) continue;
+
+        const [, key, value] = pair;
+        if (value.trim()) {
+            attributes[key] = parseValue(value);
+            listKey = null;
+        } else {
+            attributes[key] = [];
+            listKey = key;
+        }
+    }
+
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read and parse one post file
+ * @returns {Promise<object|null>} The post, or null if it does not exist or its front matter is unusable
+ */
+async function loadPost(tenant, slug) {
+    const source = await readText(tenant, `${POSTS_FOLDER}/${slug}.md`);
+    if (source === null) return null;
+
+    const { attributes, body } = parseFrontMatter(source);
+    const date = attributes.date ? new Date(attributes.date) : null;
+
+    if (typeof attributes.title !== 'string' || !attributes.title || !date || isNaN(date.getTime())) {
+        console.warn(`Skipping post "${slug}": front matter needs a title and a valid date`);
+        return null;
+    }
+
+    const tags = [].concat(attributes.tags || []).map(String);
+
+    return {
+        slug,
+        title: attributes.title,
+        date: date.toISOString().slice(0, 10),
+        tags,
+        summary: typeof attributes.summary === 'string' ? attributes.summary : '',
+        body
+    };
+}
+
+/**
+ * Describe a post without its body (for lists)
+ */
+function toSummary({ body, ...post }) {
+    return post;
+}
+
+/**
+ * Read every post of a tenant, newest first
+ * @returns {Promise<Array<{slug, title, date, tags, summary, body}>>}
+ */
+export async function readAllPosts(tenant) {
+    const files = (await listObjects(tenant, POSTS_FOLDER)).map(file => file.name);
+    const slugs = files
+        .filter(file => file.endsWith('.md'))
+        .map(file => file.slice(0, -3))
+        .filter(isPostSlug);
+
+    const posts = (await Promise.all(slugs.map(slug => loadPost(tenant, slug)))).filter(Boolean);
+    return posts.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+/**
+ * List a tenant's posts without their bodies, newest first
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {object} [filter]
+ * @param {string} [filter.tag] - Only posts with this tag (case-insensitive)
+ */
+export async function listPosts(tenant, { tag } = {}) {
+    const posts = await readAllPosts(tenant);
+    const wanted = tag ? String(tag).toLowerCase() : null;
+
+    return posts
+        .filter(post => !wanted || post.tags.some(postTag => postTag.toLowerCase() === wanted))
+        .map(toSummary);
+}
+
+/**
+ * Read one post with its body rendered to sanitized HTML
+ * @returns {Promise<object|null>} The post, or null if it does not exist
+ */
+export async function readPost(tenant, slug) {
+    if (!isPostSlug(slug)) return null;
+
+    const post = await loadPost(tenant, slug);
+    return post ? { ...toSummary(post), html: renderMarkdown(post.body) } : null;
+}
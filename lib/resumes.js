@@ -0,0 +1,193 @@
+/**
+ * Resume Uploads
+ * PDF files of the named resume versions in profile.resumes (see public/js/resumes.js),
+ * stored as uploads/resumes/<name>.pdf.
+ *
+ * Every change is applied to portfolio.json and to the draft, if there is one, so
+ * publishing an older draft does not bring back a deleted resume. A legacy single
+ * profile.resume is converted to profile.resumes on the first change.
+ */
+
+import { getResumes, getDefaultResume, isResumeName, labelFromName, LEGACY_RESUME_NAME } from '../public/js/resumes.js';
+import { updateDraft } from './drafts.js';
+import { readPortfolio, updatePortfolio } from './portfolio.js';
+import { getUploadName } from './tenants.js';
+import { writeObject, deleteObject } from './storage.js';
+
+export const MAX_RESUME_SIZE = 10 * 1024 * 1024;
+
+export class ResumeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ResumeError';
+        this.status = status;
+    }
+}
+
+/**
+ * Resolve a resume's URL to its storage name (uploads/resumes/<name>.pdf)
+ * @returns {string|null} Null for resumes hosted elsewhere
+ */
+export function getResumeFile(tenant, resume) {
+    return getUploadName(tenant, resume?.url);
+}
+
+/**
+ * Read the resume list from portfolio.json
+ */
+export async function listResumes(tenant) {
+    const { data } = await readPortfolio(tenant);
+    return getResumes(data.profile);
+}
+
+/**
+ * Apply a change to profile.resumes in portfolio.json and the draft
+ * @param {function(object[]): any} change - Mutates the resume list; its result for portfolio.json is returned
+ */
+async function changeResumes(tenant, change) {
+    const apply = profile => {
+        const resumes = getResumes(profile).map(resume => ({ ...resume }));
+        const result = change(resumes);
+
+        delete profile.resume;
+        if (resumes.length > 0) {
+            profile.resumes = resumes;
+        } else {
+            delete profile.resumes;
+        }
+        return result;
+    };
+
+    let result;
+    await updatePortfolio(tenant, portfolio => { result = apply(portfolio.profile); });
+    await updateDraft(tenant, draft => { apply(draft.profile); });
+    return result;
+}
+
+/**
+ * Make one resume the default
+ */
+function setDefault(resumes, name) {
+    resumes.forEach(resume => {
+        if (resume.name === name) {
+            resume.default = true;
+        } else {
+            delete resume.default;
+        }
+    });
+}
+
+/**
+ * Copy label and download name changes onto a resume ('' clears the download name)
+ */
+function applyDetails(resume, { label, downloadName }) {
+    if (label) resume.label = label;
+    if (downloadName) {
+        resume.downloadName = downloadName;
+    } else if (downloadName === '') {
+        delete resume.downloadName;
+    }
+}
+
+/**
+ * Store an uploaded resume PDF, adding a new version or replacing an existing one
+ * Without a name the default resume is replaced, matching the old single-resume upload.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {{buffer: Buffer, size: number}} file - Multer file
+ * @param {object} [details]
+ * @param {string} [details.name] - Resume name used in ?resume= links
+ * @param {string} [details.label] - Label shown in the chooser (defaults to the name)
+ * @param {string} [details.downloadName] - Filename offered on download
+ * @param {boolean} [details.isDefault] - Make this the default resume
+ * @returns {Promise<object>} The stored resume entry
+ */
+export async function saveResume(tenant, file, { name, label, downloadName, isDefault = false } = {}) {
+    if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        throw new ResumeError('Invalid file type. Only PDF files are allowed.');
+    }
+    if (file.size > MAX_RESUME_SIZE) {
+        throw new ResumeError('File too large. Maximum size: 10MB');
+    }
+
+    const current = await listResumes(tenant);
+    const resumeName = name || getDefaultResume(current)?.name || LEGACY_RESUME_NAME;
+    if (!isResumeName(resumeName)) {
+        throw new ResumeError('Resume names may only use lowercase letters, digits and dashes');
+    }
+
+    const fileName = `uploads/resumes/${resumeName}.pdf`;
+    await writeObject(tenant, fileName, file.buffer);
+
+    // A replaced legacy upload (uploads/resume.pdf) is no longer referenced
+    const previousFile = getResumeFile(tenant, current.find(resume => resume.name === resumeName));
+    const url = `${tenant.uploadsUrl}/resumes/${resumeName}.pdf`;
+
+    const entry = await changeResumes(tenant, resumes => {
+        let resume = resumes.find(item => item.name === resumeName);
+        if (!resume) {
+            resume = { name: resumeName, label: labelFromName(resumeName) };
+            resumes.push(resume);
+        }
+        resume.url = url;
+        applyDetails(resume, { label, downloadName });
+        if (isDefault || resumes.length === 1) setDefault(resumes, resumeName);
+        return { ...resume };
+    });
+
+    if (previousFile && previousFile !== fileName) {
+        await deleteObject(tenant, previousFile);
+    }
+
+    return entry;
+}
+
+/**
+ * Change a resume's label, download name or default flag
+ * @returns {Promise<object>} The updated resume entry
+ * @throws {ResumeError} 404 if there is no resume with that name
+ */
+export async function updateResume(tenant, name, { label, downloadName, isDefault = false } = {}) {
+    const current = await listResumes(tenant);
+    if (!current.some(resume => resume.name === name)) {
+        throw new ResumeError('Resume not found', 404);
+    }
+
+    return changeResumes(tenant, resumes => {
+        const resume = resumes.find(item => item.name === name);
+        if (!resume) return null;
+
+        applyDetails(resume, { label, downloadName });
+        if (isDefault) setDefault(resumes, name);
+        return { ...resume };
+    });
+}
+
+/**
+ * Delete a resume and its file; the first remaining resume becomes the default if needed
+ * @param {string} [name] - Defaults to the default resume
+ * @returns {Promise<object|null>} The deleted entry, or null if there was no resume
+ * @throws {ResumeError} 404 if a named resume does not exist
+ */
+export async function deleteResume(tenant, name) {
+    const current = await listResumes(tenant);
+    const resume = name ? current.find(item => item.name === name) : getDefaultResume(current);
+    if (!resume) {
+        if (name) throw new ResumeError('Resume not found', 404);
+        return null;
+    }
+
+    const file = getResumeFile(tenant, resume);
+    if (file) {
+        await deleteObject(tenant, file);
+    }
+
+    await changeResumes(tenant, resumes => {
+        const index = resumes.findIndex(item => item.name === resume.name);
+        if (index === -1) return;
+
+        const [removed] = resumes.splice(index, 1);
+        if (removed.default && resumes.length > 0) setDefault(resumes, resumes[0].name);
+    });
+
+    return resume;
+}
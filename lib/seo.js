@@ -0,0 +1,181 @@
+/**
+ * Search and Link Preview Metadata
+ * Open Graph and Twitter card tags, schema.org Person JSON-LD, sitemap.xml and robots.txt
+ * for the server-rendered pages (see lib/ssr.js).
+ *
+ * Crawlers and link unfurlers need absolute URLs, so everything here is built from the
+ * site URL: SITE_URL for the default tenant when set, otherwise the request's own origin
+ * plus the tenant's base path.
+ */
+
+import { escapeHtml } from '../public/js/render.js';
+import { getProjectSlugs } from '../public/js/projects.js';
+
+// Longest meta description before it is cut at a word boundary
+const DESCRIPTION_LENGTH = 200;
+
+/**
+ * Shorten text for a meta description
+ */
+export function summarize(text, length = DESCRIPTION_LENGTH) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) return clean;
+
+    const cut = clean.slice(0, length - 1);
+    const wordEnd = cut.lastIndexOf(' ');
+    return `${(wordEnd > length / 2 ? cut.slice(0, wordEnd) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+/**
+ * Resolve a possibly relative URL (like /uploads/profile-photo.jpg) against the page URL
+ * @returns {string|undefined}
+ */
+export function toAbsoluteUrl(url, base) {
+    if (!url || !base) return undefined;
+    try {
+        return new URL(url, base).href;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Render the description, canonical, Open Graph and Twitter card tags of a page
+ * @param {object} meta
+ * @param {string} meta.url - Absolute URL of the page
+ * @param {string} meta.title - Full page title
+ * @param {string} [meta.description]
+ * @param {{url: string, width?: number, height?: number, alt?: string}} [meta.image] - Share image with an absolute URL
+ * @param {string} [meta.type] - Open Graph type: "profile" (default), "website" or "article"
+ * @param {string} [meta.siteName] - Portfolio owner's name
+ * @param {string} [meta.locale] - BCP 47 language tag of the page
+ * @param {string} [meta.publishedTime] - ISO date of an article
+ * @returns {string[]} One tag per entry
+ */
+export function renderMetaTags({ url, title, description, image = {}, type = 'profile', siteName, locale, publishedTime }) {
+    const property = (name, content) => content ? `<meta property="${name}" content="${escapeHtml(content)}">` : '';
+    const named = (name, content) => content ? `<meta name="${name}" content="${escapeHtml(content)}">` : '';
+
+    return [
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        property('og:type', type),
+        property('og:url', url),
+        property('og:title', title),
+        property('og:description', description),
+        property('og:image', image.url),
+        property('og:image:width', image.width && String(image.width)),
+        property('og:image:height', image.height && String(image.height)),
+        property('og:image:alt', image.alt),
+        property('og:site_name', siteName),
+        property('og:locale', locale ? locale.replace('-', '_') : ''),
+        property('article:published_time', publishedTime),
+        named('twitter:card', image.url ? 'summary_large_image' : 'summary'),
+        named('twitter:title', title),
+        named('twitter:description', description),
+        named('twitter:image', image.url),
+        named('twitter:image:alt', image.alt)
+    ].filter(Boolean);
+}
+
+/**
+ * Build schema.org Person data from a localized portfolio
+ * @param {object} data - Localized portfolio data
+ * @param {string} url - Absolute URL of the portfolio home page
+ * @returns {object}
+ */
+export function buildPersonJsonLd(data, url) {
+    const profile = data.profile || {};
+    const socials = (data.socials || []).map(social => social.url).filter(link => /^https?:\/\//.test(link));
+    const current = (data.experience || []).find(job => /present|current|now/i.test(job.period || ''));
+
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: profile.name,
+        jobTitle: profile.title,
+        description: profile.summary,
+        url,
+        image: toAbsoluteUrl(profile.photo || profile.avatar, url),
+        email: profile.email ? `mailto:${profile.email}` : undefined,
+        address: profile.location ? { '@type': 'PostalAddress', addressLocality: profile.location } : undefined,
+        sameAs: socials.length > 0 ? socials : undefined,
+        worksFor: current?.company ? { '@type': 'Organization', name: current.company } : undefined,
+        alumniOf: (data.education || []).filter(entry => entry.institution).map(entry => ({
+            '@type': 'EducationalOrganization',
+            name: entry.institution
+        })),
+        hasCredential: (data.certifications || []).filter(cert => cert.name).map(cert => ({
+            '@type': 'EducationalOccupationalCredential',
+            name: cert.name,
+            credentialCategory: 'certification',
+            recognizedBy: cert.issuer ? { '@type': 'Organization', name: cert.issuer } : undefined,
+            url: cert.url
+        })),
+        knowsAbout: [...new Set((data.skills || []).flatMap(group => group.items || []).filter(item => typeof item === 'string'))]
+    };
+
+    // Leave out empty values so validators do not flag them
+    return JSON.parse(JSON.stringify(person, (key, value) =>
+        Array.isArray(value) && value.length === 0 ? undefined : value
+    ));
+}
+
+/**
+ * Render JSON-LD as a script tag (safe to inline: "<" cannot close the element)
+ */
+export function renderJsonLd(object) {
+    const json = JSON.stringify(object).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">${json}</script>`;
+}
+
+/**
+ * List the published pages of a portfolio for the sitemap
+ * @param {string} siteUrl - Absolute URL of the portfolio home page, ending in "/"
+ * @param {object} data - Published portfolio data
+ * @param {object[]} posts - Post summaries from lib/posts.js
+ * @returns {Array<{loc: string, lastmod?: string}>}
+ */
+export function getSitemapEntries(siteUrl, data, posts) {
+    const entries = [{ loc: siteUrl }];
+
+    for (const slug of getProjectSlugs(data.projects)) {
+        entries.push({ loc: `${siteUrl}projects/${encodeURIComponent(slug)}` });
+    }
+
+    if (posts.length > 0) {
+        entries.push({ loc: `${siteUrl}blog`, lastmod: posts[0].date });
+        for (const post of posts) {
+            entries.push({ loc: `${siteUrl}blog/${encodeURIComponent(post.slug)}`, lastmod: post.date });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Render a sitemap.xml document
+ * @param {Array<{loc: string, lastmod?: string}>} entries
+ */
+export function renderSitemap(entries) {
+    const urls = entries.map(({ loc, lastmod }) =>
+        `  <url>\n    <loc>${escapeHtml(loc)}</loc>\n${lastmod ? `    <lastmod>${escapeHtml(lastmod)}</lastmod>\n` : ''}  </url>`
+    );
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+/**
+ * Render robots.txt: everything public is crawlable except the admin and draft previews
+ * @param {string} siteUrl - Absolute URL of the portfolio home page, ending in "/"
+ */
+export function renderRobots(siteUrl) {
+    const basePath = new URL(siteUrl).pathname;
+    return [
+        'User-agent: *',
+        `Disallow: ${basePath}admin`,
+        `Disallow: ${basePath}preview`,
+        `Disallow: ${basePath}api/`,
+        '',
+        `Sitemap: ${siteUrl}sitemap.xml`,
+        ''
+    ].join('\n');
+}
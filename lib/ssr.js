@@ -0,0 +1,311 @@
+/**
+ * Server-Side Rendering
+ * Pre-renders index.html with the shared render.js section renderers.
+ * Blog and project pages reuse the same page shell with their own content.
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { renderSections, renderLocaleOptions, renderPostList, renderPost, renderProjectDetail, getSectionTitles, escapeHtml, renderHero, renderSkills, renderProjects, renderExperience } from '../public/js/render.js';
+import { findProject, getRelatedProjects } from '../public/js/projects.js';
+import { localizePortfolio, DEFAULT_SECTION_TITLES } from '../public/js/i18n.js';
+import { summarize, renderMetaTags, buildPersonJsonLd, renderJsonLd } from './seo.js';
+import { OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT } from './og-image.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const INDEX_PATH = join(__dirname, '..', 'public', 'index.html');
+const EMBED_PATH = join(__dirname, '..', 'public', 'embed.html');
+
+export const THEMES = ['minimal', 'modern', 'elegant', 'retro'];
+export const DEFAULT_THEME = 'modern';
+
+// Sections the embeddable card can show, and how many items of each list it keeps
+export const EMBED_SECTIONS = ['hero', 'skills', 'projects', 'experience'];
+export const DEFAULT_EMBED_SECTIONS = ['hero', 'skills', 'projects'];
+const EMBED_LIMITS = { skills: 9, projects: 3, experience: 2 };
+const THEME_COOKIE = 'portfolio-theme';
+const LOCALE_COOKIE = 'portfolio-lang';
+
+/**
+ * Read the visitor's theme from the cookie set by theme.js
+ */
+export function getThemeFromCookie(cookieHeader) {
+    const match = (cookieHeader || '').match(new RegExp(`(?:^|;\\s*)${THEME_COOKIE}=([a-z]+)`));
+    return match && THEMES.includes(match[1]) ? match[1] : DEFAULT_THEME;
+}
+
+/**
+ * Read the visitor's language from the cookie set by the locale selector
+ */
+export function getLocaleFromCookie(cookieHeader) {
+    const match = (cookieHeader || '').match(new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([A-Za-z0-9-]+)`));
+    return match ? match[1] : undefined;
+}
+
+/**
+ * List the languages of an Accept-Language header, most preferred first
+ */
+export function parseAcceptLanguage(header) {
+    return (header || '')
+        .split(',')
+        .map(part => {
+            const [tag, quality] = part.trim().split(';q=');
+            return { tag, q: quality === undefined ? 1 : Number(quality) };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Fill an HTML page template with rendered portfolio markup
+ * @param {string} template - Page HTML containing <main id="portfolio-content">
+ * @param {object} data - Portfolio data
+ * @param {string} theme - Theme stylesheet to link
+ * @param {string} [locale] - Language to render; falls back to the portfolio's default locale
+ * @param {object} [page] - Overrides for pages other than the portfolio itself
+ * @param {function(object): string} [page.content] - Renders the <main> markup from the localized data
+ * @param {string} [page.title] - Page title, shown before the owner's name
+ * @param {string} [page.description] - Meta description
+ * @param {string} [page.baseHref] - <base href> for pages below the site root, so relative links still work
+ * @param {boolean} [page.hasPosts] - Keep the blog link in the navigation
+ * @param {string} [page.resume] - Resume version to offer first (from a ?resume= link)
+ * @param {boolean} [page.contactForm] - Render the contact form and keep its navigation link
+ * @param {boolean} [page.contactCard] - Add the "Save Contact" button and QR code to the hero
+ * @param {string} [page.siteUrl] - Absolute URL of the portfolio home page, ending in "/"; adds canonical,
+ *   Open Graph and Twitter card tags with the /og-image share card (and Person JSON-LD on the home page)
+ * @param {string} [page.path] - Page path below siteUrl ("blog/my-post")
+ * @param {string} [page.type] - Open Graph type (defaults to "profile" for the portfolio, "website" otherwise)
+ * @param {string} [page.publishedTime] - Publication date of an article
+ * @returns {string}
+ */
+export function renderPage(template, data, theme = DEFAULT_THEME, locale, page = {}) {
+    const localized = localizePortfolio(data, locale);
+    const { i18n } = localized;
+    const name = localized.profile?.name;
+    const titles = { ...DEFAULT_SECTION_TITLES, ...localized.sectionTitles };
+    const content = page.content ? page.content(localized) : renderSections(localized, {
+        resume: page.resume,
+        contactForm: page.contactForm,
+        contactCard: page.contactCard
+    });
+
+    // Data is always inserted by a replacer function, so "$&" or "$$" in it stays literal
+    let html = template
+        .replace(/<html lang="[^"]*">/, () => `<html lang="${escapeHtml(i18n.locale)}">`)
+        .replace(
+            /<link rel="stylesheet" href="\/css\/theme-[a-z]+\.css" id="theme-css">/,
+            `<link rel="stylesheet" href="/css/theme-${theme}.css" id="theme-css">`
+        )
+        .replace(/\s*<a href="blog" class="nav-link">[^<]*<\/a>/, link => page.hasPosts ? link : '')
+        .replace(/\s*<a href="#contact" class="nav-link">[^<]*<\/a>/, link => page.contactForm ? link : '')
+        .replace(/<a href="(#?)([a-z]+)" class="nav-link">[^<]*<\/a>/g, (link, hash, section) =>
+            titles[section] ? `<a href="${hash}${section}" class="nav-link">${escapeHtml(titles[section])}</a>` : link
+        );
+
+    if (page.baseHref) {
+        html = html.replace('<head>', () => `<head>\n  <base href="${escapeHtml(page.baseHref)}">`);
+    }
+
+    const description = summarize(page.description || localized.profile?.summary);
+    if (description) {
+        html = html.replace(
+            /<meta name="description" content="[^"]*">/,
+            () => `<meta name="description" content="${escapeHtml(description)}">`
+        );
+    }
+
+    if (page.siteUrl) {
+        const profile = localized.profile || {};
+        const head = renderMetaTags({
+            url: `${page.siteUrl}${page.path || ''}`,
+            title: page.title || (name ? `${name}${profile.title ? ` — ${profile.title}` : ''}` : undefined),
+            description,
+            image: {
+                url: `${page.siteUrl}og-image.png?theme=${theme}`,
+                width: OG_IMAGE_WIDTH,
+                height: OG_IMAGE_HEIGHT,
+                alt: [name, profile.title].filter(Boolean).join(', ')
+            },
+            type: page.type || (page.content ? 'website' : 'profile'),
+            siteName: name,
+            locale: i18n.locale,
+            publishedTime: page.publishedTime
+        });
+        if (!page.content) head.push(renderJsonLd(buildPersonJsonLd(localized, page.siteUrl)));
+        html = html.replace('</head>', () => `  ${head.join('\n  ')}\n</head>`);
+    }
+
+    if (i18n.locales.length > 1) {
+        html = html.replace(
+            /<select class="locale-select" id="locale-select" aria-label="Language" hidden><\/select>/,
+            () => `<select class="locale-select" id="locale-select" aria-label="Language">${renderLocaleOptions(i18n)}</select>`
+        );
+    }
+
+    if (name) {
+        const title = page.title ? `${page.title} | ${name}` : `${name} | Portfolio`;
+        html = html
+            .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+            .replace(/(<a href="\.\/" class="logo">)[^<]*(<\/a>)/, (link, open, close) => `${open}${escapeHtml(name.split(' ')[0])}${close}`);
+    }
+
+    return html.replace(
+        /<main id="portfolio-content">[\s\S]*?<\/main>/,
+        () => `<main id="portfolio-content" data-rendered="server">${content}</main>`
+    );
+}
+
+/**
+ * Render index.html for the given portfolio data
+ * @param {object} [options] - { hasPosts } to show the blog link, { resume } to pick the resume version,
+ *   { contactForm } to add the contact form, { contactCard } to add the "Save Contact" button,
+ *   { siteUrl } for link preview metadata
+ */
+export async function renderIndex(data, theme, locale, { hasPosts = false, resume, contactForm = false, contactCard = false, siteUrl } = {}) {
+    const template = await readFile(INDEX_PATH, 'utf8');
+    return renderPage(template, data, theme, locale, { hasPosts, resume, contactForm, contactCard, siteUrl });
+}
+
+/**
+ * Render the blog post list in the portfolio page shell
+ * @param {object[]} posts - Post summaries from lib/posts.js
+ * @param {object} [options] - { baseHref, tag, siteUrl } (tag is the active filter, if any)
+ */
+export async function renderBlogIndex(data, posts, theme, locale, { baseHref = '/', tag, siteUrl } = {}) {
+    const template = await readFile(INDEX_PATH, 'utf8');
+    const title = localizePortfolio(data, locale).sectionTitles?.blog || DEFAULT_SECTION_TITLES.blog;
+    return renderPage(template, data, theme, locale, {
+        hasPosts: true,
+        baseHref,
+        content: localized => renderPostList(posts, title, tag, localized.i18n.locale),
+        title,
+        siteUrl,
+        path: 'blog'
+    });
+}
+
+/**
+ * Render one blog post in the portfolio page shell
+ * @param {object} post - Post with sanitized html from lib/posts.js
+ * @param {object} [options] - { baseHref, siteUrl }
+ */
+export async function renderBlogPost(data, post, theme, locale, { baseHref = '/', siteUrl } = {}) {
+    const template = await readFile(INDEX_PATH, 'utf8');
+    return renderPage(template, data, theme, locale, {
+        hasPosts: true,
+        baseHref,
+        content: localized => renderPost(post, localized.i18n.locale),
+        title: post.title,
+        description: post.summary,
+        siteUrl,
+        path: `blog/${post.slug}`,
+        type: 'article',
+        publishedTime: post.date
+    });
+}
+
+/**
+ * Render a project detail page in the portfolio page shell
+ * @param {string} slug - Project slug (see public/js/projects.js)
+ * @param {object} [options] - { baseHref, hasPosts, siteUrl }
+ * @returns {Promise<string|null>} The page, or null if no project has that slug
+ */
+export async function renderProjectPage(data, slug, theme, locale, { baseHref = '/', hasPosts = false, siteUrl } = {}) {
+    const localized = localizePortfolio(data, locale);
+    const match = findProject(localized.projects, slug);
+    if (!match) return null;
+
+    const template = await readFile(INDEX_PATH, 'utf8');
+    const related = getRelatedProjects(localized.projects, match.index);
+    return renderPage(template, data, theme, locale, {
+        hasPosts,
+        baseHref,
+        content: () => renderProjectDetail(match.project, related, getSectionTitles(localized)),
+        title: match.project.title,
+        description: match.project.description,
+        siteUrl,
+        path: `projects/${encodeURIComponent(slug)}`
+    });
+}
+
+/**
+ * Pick the first skills of every category in turns, up to limit in total
+ * (so a long first category does not crowd out the others)
+ */
+function getTopSkills(skills = [], limit) {
+    const picked = skills.map(category => ({ ...category, items: [] }));
+    let count = 0;
+
+    for (let i = 0; count < limit; i++) {
+        const before = count;
+        skills.forEach((category, index) => {
+            if (count < limit && category.items?.[i] !== undefined) {
+                picked[index].items.push(category.items[i]);
+                count++;
+            }
+        });
+        if (count === before) break;
+    }
+
+    return picked.filter(category => category.items.length > 0);
+}
+
+/**
+ * Render the compact profile card shown in other sites' iframes (see public/js/embed.js)
+ * Uses the same section renderers as the main page, trimmed to the first few items.
+ * @param {object} [options]
+ * @param {string[]} [options.sections] - Sections to show, in order (see EMBED_SECTIONS)
+ * @param {boolean} [options.chat] - Include the chat launcher
+ * @param {string} [options.baseHref] - The tenant's base URL, so links and the chat API resolve
+ */
+export async function renderEmbed(data, theme = DEFAULT_THEME, locale, { sections = DEFAULT_EMBED_SECTIONS, chat = false, baseHref = '/' } = {}) {
+    const localized = localizePortfolio(data, locale);
+    const titles = getSectionTitles(localized);
+    const name = localized.profile?.name;
+
+    const renderers = {
+        hero: () => renderHero(localized.profile, localized.socials),
+        skills: () => renderSkills(getTopSkills(localized.skills, EMBED_LIMITS.skills), titles.skills),
+        projects: () => renderProjects((localized.projects || []).slice(0, EMBED_LIMITS.projects), titles.projects),
+        experience: () => renderExperience((localized.experience || []).slice(0, EMBED_LIMITS.experience), [], name, titles.experience)
+    };
+    const content = sections.filter(section => renderers[section]).map(section => renderers[section]()).join('');
+
+    let html = (await readFile(EMBED_PATH, 'utf8'))
+        .replace(/<html lang="[^"]*">/, () => `<html lang="${escapeHtml(localized.i18n.locale)}">`)
+        .replace(
+            /<link rel="stylesheet" href="\/css\/theme-[a-z]+\.css" id="theme-css">/,
+            `<link rel="stylesheet" href="/css/theme-${theme}.css" id="theme-css">`
+        )
+        .replace('<base target="_blank">', () => `<base href="${escapeHtml(baseHref)}" target="_blank">`)
+        .replace(/<main id="embed-content" class="embed-card"><\/main>/, () => `<main id="embed-content" class="embed-card">${content}</main>`);
+
+    if (name) {
+        html = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(name)} | Portfolio Card</title>`);
+    }
+
+    if (!chat) {
+        html = html
+            .replace(/\s*<!-- Chatbox -->[\s\S]*?<!-- \/Chatbox -->/, '')
+            .replace(/\s*<script type="module" src="\/js\/chatbox\.js"><\/script>/, '');
+    } else {
+        html = html.replace('<body class="embed-body">', '<body class="embed-body embed-with-chat">');
+    }
+
+    return html;
+}
+
+/**
+ * Mark a rendered page as an unpublished draft preview
+ * Adds a visible banner and keeps search engines from indexing the page.
+ */
+export function markAsPreview(html, publishAt) {
+    const schedule = publishAt ? ` · scheduled for ${new Date(publishAt).toUTCString()}` : '';
+    return html
+        .replace('</head>', '  <meta name="robots" content="noindex, nofollow">\n</head>')
+        .replace(/<body>/, () => `<body>\n  <div class="preview-banner">Draft preview — not published${escapeHtml(schedule)}</div>`);
+}
@@ -0,0 +1,101 @@
+/**
+ * Filesystem Storage Backend
+ * Keeps the original layout: files in the tenant's data directory, and names under uploads/ in
+ * its uploads directory (public/uploads for the default tenant). A write goes to a temporary
+ * file next to the target that is then renamed over it, so it replaces the file in one step.
+ */
+
+import { readFile, writeFile, rename, unlink, stat, readdir, mkdir } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { dirname, join, basename } from 'path';
+
+const UPLOADS_PREFIX = 'uploads';
+
+function resolvePath(tenant, name) {
+    const [first, ...rest] = name.split('/');
+    return first === UPLOADS_PREFIX
+        ? join(tenant.uploadsDir, ...rest)
+        : join(tenant.dataDir, name);
+}
+
+function isMissing(error) {
+    return error.code === 'ENOENT' || error.code === 'ENOTDIR';
+}
+
+export function createFsStorage() {
+    return {
+        async read(tenant, name) {
+            try {
+                return await readFile(resolvePath(tenant, name));
+            } catch (error) {
+                if (isMissing(error) || error.code === 'EISDIR') return null;
+                throw error;
+            }
+        },
+
+        async write(tenant, name, body) {
+            const path = resolvePath(tenant, name);
+            // Hidden, so listings never show a half-written file
+            const tempPath = join(dirname(path), `.${basename(path)}.${randomBytes(6).toString('hex')}.tmp`);
+
+            await mkdir(dirname(path), { recursive: true });
+            try {
+                await writeFile(tempPath, body);
+                await rename(tempPath, path);
+            } catch (error) {
+                await unlink(tempPath).catch(() => {});
+                throw error;
+            }
+        },
+
+        async remove(tenant, name) {
+            try {
+                await unlink(resolvePath(tenant, name));
+                return true;
+            } catch (error) {
+                if (isMissing(error)) return false;
+                throw error;
+            }
+        },
+
+        async stat(tenant, name) {
+            try {
+                const info = await stat(resolvePath(tenant, name));
+                return info.isFile() ? { size: info.size, modified: info.mtime } : null;
+            } catch (error) {
+                if (isMissing(error)) return null;
+                throw error;
+            }
+        },
+
+        async list(tenant, folder, { recursive = false } = {}) {
+            const root = folder ? resolvePath(tenant, folder) : tenant.dataDir;
+            const files = [];
+
+            // Hidden entries (temporary files, the .history repository) are skipped
+            const walk = async (dir, prefix) => {
+                let entries;
+                try {
+                    entries = await readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (isMissing(error)) return;
+                    throw error;
+                }
+
+                for (const entry of entries) {
+                    if (entry.name.startsWith('.')) continue;
+                    const path = join(dir, entry.name);
+                    if (entry.isDirectory() && recursive) {
+                        await walk(path, `${prefix}${entry.name}/`);
+                    } else if (entry.isFile()) {
+                        const info = await stat(path);
+                        files.push({ name: `${prefix}${entry.name}`, size: info.size, modified: info.mtime });
+                    }
+                }
+            };
+
+            await walk(root, '');
+            return files;
+        }
+    };
+}
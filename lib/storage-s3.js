@@ -0,0 +1,89 @@
+/**
+ * S3 Storage Backend
+ * All tenants' files are objects keyed by "<slug>/<name>" in one bucket. Works with AWS S3 and
+ * S3-compatible services; for MinIO set S3_ENDPOINT (e.g. http://localhost:9000) and
+ * S3_FORCE_PATH_STYLE=true. A PUT replaces an object atomically.
+ *
+ * Without S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY the SDK's default credentials are used
+ * (AWS_* variables, shared config, instance roles).
+ */
+
+import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+
+function isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * @param {{bucket: string, endpoint?: string, region?: string, accessKeyId?: string, secretAccessKey?: string, forcePathStyle?: boolean}} options
+ */
+export function createS3Storage({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle = false }) {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage backend');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        ...(endpoint && { endpoint }),
+        ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+        forcePathStyle
+    });
+
+    const getKey = (tenant, name) => `${tenant.slug}/${name}`;
+
+    async function head(tenant, name) {
+        try {
+            const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: getKey(tenant, name) }));
+            return { size: result.ContentLength, modified: result.LastModified };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    return {
+        async read(tenant, name) {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: getKey(tenant, name) }));
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async write(tenant, name, body) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: getKey(tenant, name), Body: body }));
+        },
+
+        async remove(tenant, name) {
+            // Deleting a missing object succeeds, so check first to report whether it existed
+            if (!await head(tenant, name)) return false;
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: getKey(tenant, name) }));
+            return true;
+        },
+
+        stat: head,
+
+        async list(tenant, folder, { recursive = false } = {}) {
+            const prefix = folder ? getKey(tenant, `${folder}/`) : getKey(tenant, '');
+            const files = [];
+            let token;
+
+            do {
+                const result = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    Delimiter: recursive ? undefined : '/',
+                    ContinuationToken: token
+                }));
+                for (const object of result.Contents || []) {
+                    files.push({ name: object.Key.slice(prefix.length), size: object.Size, modified: object.LastModified });
+                }
+                token = result.IsTruncated ? result.NextContinuationToken : undefined;
+            } while (token);
+
+            return files;
+        }
+    };
+}
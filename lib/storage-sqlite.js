@@ -0,0 +1,69 @@
+/**
+ * SQLite Storage Backend
+ * All tenants' files are rows of one table keyed by "<slug>/<name>". Every write is a single
+ * statement, which SQLite applies atomically; WAL mode lets reads continue during writes.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PATH = join(__dirname, '..', 'data', 'storage.db');
+
+/**
+ * @param {{path?: string}} options - Database file, relative to the project root
+ */
+export function createSqliteStorage({ path } = {}) {
+    const file = path ? resolve(__dirname, '..', path) : DEFAULT_PATH;
+    mkdirSync(dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS objects (
+        key TEXT PRIMARY KEY,
+        body BLOB NOT NULL,
+        modified INTEGER NOT NULL
+    )`);
+
+    const statements = {
+        read: db.prepare('SELECT body FROM objects WHERE key = ?'),
+        write: db.prepare(`INSERT INTO objects (key, body, modified) VALUES (?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET body = excluded.body, modified = excluded.modified`),
+        remove: db.prepare('DELETE FROM objects WHERE key = ?'),
+        stat: db.prepare('SELECT length(body) AS size, modified FROM objects WHERE key = ?'),
+        list: db.prepare(`SELECT substr(key, length(@prefix) + 1) AS name, length(body) AS size, modified
+            FROM objects WHERE substr(key, 1, length(@prefix)) = @prefix
+            AND (@recursive OR instr(substr(key, length(@prefix) + 1), '/') = 0)`)
+    };
+
+    const getKey = (tenant, name) => `${tenant.slug}/${name}`;
+
+    return {
+        async read(tenant, name) {
+            return statements.read.get(getKey(tenant, name))?.body ?? null;
+        },
+
+        async write(tenant, name, body) {
+            statements.write.run(getKey(tenant, name), body, Date.now());
+        },
+
+        async remove(tenant, name) {
+            return statements.remove.run(getKey(tenant, name)).changes > 0;
+        },
+
+        async stat(tenant, name) {
+            const row = statements.stat.get(getKey(tenant, name));
+            return row ? { size: row.size, modified: new Date(row.modified) } : null;
+        },
+
+        async list(tenant, folder, { recursive = false } = {}) {
+            const prefix = folder ? getKey(tenant, `${folder}/`) : getKey(tenant, '');
+            return statements.list.all({ prefix, recursive: recursive ? 1 : 0 })
+                .map(row => ({ name: row.name, size: row.size, modified: new Date(row.modified) }));
+        }
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * Storage Layer
+ * Every tenant file (portfolio.json, backups, drafts, analytics, inbox, posts, uploads, ...) is
+ * read and written through here by a name relative to the tenant, like "portfolio.json",
+ * "posts/hello-world.md" or "uploads/profile-photo.jpg". STORAGE_BACKEND picks where they live:
+ *
+ *   fs      (default) files in the tenant's data directory; uploads/ in its uploads directory
+ *   sqlite  rows of one table in STORAGE_SQLITE_PATH (default data/storage.db)
+ *   s3      objects "<slug>/<name>" in S3_BUCKET on AWS S3 or any compatible service (MinIO, ...)
+ *
+ * Writes are atomic: readers see the old or the new content, never part of it. updateJson()
+ * and withLock() run read-modify-write cycles on one name at a time. Locks are held by this
+ * process, so run a single server instance per storage.
+ */
+
+export const STORAGE_BACKENDS = ['fs', 'sqlite', 's3'];
+
+let backend = null;
+
+/**
+ * Name of the configured backend
+ */
+export function getStorageBackendName() {
+    return process.env.STORAGE_BACKEND || 'fs';
+}
+
+/**
+ * Create a backend by name (the storage migration script opens two at once)
+ * Backends are imported on demand, so the fs backend never loads the SQLite or S3 clients.
+ */
+export async function createStorageBackend(name) {
+    switch (name) {
+        case 'fs':
+            return (await import('./storage-fs.js')).createFsStorage();
+        case 'sqlite':
+            return (await import('./storage-sqlite.js')).createSqliteStorage({
+                path: process.env.STORAGE_SQLITE_PATH
+            });
+        case 's3':
+            return (await import('./storage-s3.js')).createS3Storage({
+                bucket: process.env.S3_BUCKET,
+                endpoint: process.env.S3_ENDPOINT,
+                region: process.env.S3_REGION,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+            });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${STORAGE_BACKENDS.join(', ')})`);
+    }
+}
+
+function getBackend() {
+    if (!backend) {
+        backend = createStorageBackend(getStorageBackendName());
+        // Let a failed setup be retried instead of caching the rejection
+        backend.catch(() => { backend = null; });
+    }
+    return backend;
+}
+
+/**
+ * Check that a name stays inside the tenant (no absolute paths, "..", or empty segments)
+ */
+export function isStorageName(name) {
+    return typeof name === 'string' && name.length > 0 && !/[\\\0]/.test(name) &&
+        name.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
+function checkName(name) {
+    if (!isStorageName(name)) {
+        throw new Error(`Invalid storage name: ${name}`);
+    }
+}
+
+/**
+ * Read a file
+ * @returns {Promise<Buffer|null>} Null when it does not exist
+ */
+export async function readObject(tenant, name) {
+    checkName(name);
+    return (await getBackend()).read(tenant, name);
+}
+
+/**
+ * Read a UTF-8 text file
+ * @returns {Promise<string|null>} Null when it does not exist
+ */
+export async function readText(tenant, name) {
+    const body = await readObject(tenant, name);
+    return body === null ? null : body.toString('utf8');
+}
+
+/**
+ * Replace a file's content atomically, creating it if needed
+ * @param {Buffer|string} body
+ */
+export async function writeObject(tenant, name, body) {
+    checkName(name);
+    await (await getBackend()).write(tenant, name, typeof body === 'string' ? Buffer.from(body, 'utf8') : body);
+}
+
+/**
+ * Delete a file
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteObject(tenant, name) {
+    checkName(name);
+    return (await getBackend()).remove(tenant, name);
+}
+
+/**
+ * Size and modification time of a file
+ * @returns {Promise<{size: number, modified: Date}|null>} Null when it does not exist
+ */
+export async function statObject(tenant, name) {
+    checkName(name);
+    return (await getBackend()).stat(tenant, name);
+}
+
+/**
+ * List the files inside a folder ("" for the tenant's top level)
+ * @param {object} [options]
+ * @param {boolean} [options.recursive] - Include files in subfolders ("media/abc.webp")
+ * @returns {Promise<Array<{name: string, size: number, modified: Date}>>} Names relative to the folder
+ */
+export async function listObjects(tenant, folder = '', { recursive = false } = {}) {
+    if (folder) checkName(folder);
+    return (await getBackend()).list(tenant, folder, { recursive });
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {*} [fallback] - Returned when the file does not exist
+ */
+export async function readJson(tenant, name, fallback = null) {
+    const content = await readText(tenant, name);
+    return content === null ? fallback : JSON.parse(content);
+}
+
+/**
+ * Write a value as pretty-printed JSON
+ */
+export async function writeJson(tenant, name, value) {
+    await writeObject(tenant, name, JSON.stringify(value, null, 2));
+}
+
+// Pending tasks per tenant file; a task starts when the one before it has settled
+const locks = new Map();
+
+/**
+ * Run a task while holding the lock on one of a tenant's files
+ * Tasks for the same file run one at a time, in call order.
+ * @returns {Promise<*>} What task() returned
+ */
+export function withLock(tenant, name, task) {
+    const key = `${tenant.slug}/${name}`;
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(key, next);
+
+    const release = () => {
+        if (locks.get(key) === next) locks.delete(key);
+    };
+    next.then(release, release);
+    return next;
+}
+
+/**
+ * Read a JSON file, let update() change the value in place and write it back, under the file's lock
+ * @param {function(*): *} update - May be async; its return value is passed through
+ * @param {*} [fallback] - Starting value when the file does not exist (copied, never changed)
+ * @returns {Promise<*>} What update() returned
+ */
+export function updateJson(tenant, name, update, fallback = null) {
+    return withLock(tenant, name, async () => {
+        const value = await readJson(tenant, name, structuredClone(fallback));
+        const result = await update(value);
+        await writeJson(tenant, name, value);
+        return result;
+    });
+}
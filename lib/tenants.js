@@ -0,0 +1,204 @@
+/**
+ * Tenant Registry
+ * Resolves which portfolio a request belongs to. The default tenant keeps using data/ and
+ * public/uploads/; every directory under tenants/ (or TENANTS_DIR) is another portfolio,
+ * served at /u/<slug>/ and optionally on its own hostnames.
+ *
+ * tenants/<slug>/
+ *   portfolio.json     required
+ *   tenant.json        optional: { "hostnames": [...], "admin": { "username", "password" },
+ *                                "contact": { "forwardTo": "owner@example.com" },
+ *                                "cors": { "origins": ["https://blog.example.com"] } }
+ *   uploads/           profile photo and resume
+ *   posts/             blog posts as Markdown (optional)
+ *
+ * With a STORAGE_BACKEND other than fs, only tenant.json stays in the directory; portfolio.json
+ * and the other files are kept by the storage layer (see lib/storage.js).
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { statObject, isStorageName } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT_DIR = join(__dirname, '..');
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Build a tenant
+ * dataDir and uploadsDir are where the fs storage backend keeps its files.
+ */
+function createTenant(slug, { dataDir, uploadsDir, uploadsUrl, hostnames = [], admin = null, contact = null, cors = null }) {
+    return {
+        slug,
+        dataDir,
+        uploadsDir,
+        uploadsUrl,
+        hostnames: hostnames.map(hostname => String(hostname).toLowerCase()),
+        admin,
+        contact,
+        cors
+    };
+}
+
+// The original single-portfolio layout
+export const DEFAULT_TENANT = createTenant('default', {
+    dataDir: join(ROOT_DIR, 'data'),
+    uploadsDir: join(ROOT_DIR, 'public', 'uploads'),
+    uploadsUrl: '/uploads'
+});
+
+const tenants = new Map([[DEFAULT_TENANT.slug, DEFAULT_TENANT]]);
+
+/**
+ * Check that a name can be used as a tenant slug (lowercase letters, digits, dashes)
+ */
+export function isTenantSlug(name) {
+    return typeof name === 'string' && SLUG_PATTERN.test(name);
+}
+
+/**
+ * Directory holding the additional tenants
+ */
+export function getTenantsDir() {
+    return resolve(ROOT_DIR, process.env.TENANTS_DIR || 'tenants');
+}
+
+/**
+ * Scan the tenants directory and rebuild the registry
+ * Directories without a portfolio.json or with an unreadable tenant.json are skipped.
+ * @returns {Promise<object[]>} All tenants, default first
+ */
+export async function loadTenants() {
+    tenants.clear();
+    tenants.set(DEFAULT_TENANT.slug, DEFAULT_TENANT);
+
+    const tenantsDir = getTenantsDir();
+    if (!existsSync(tenantsDir)) return listTenants();
+
+    const entries = await readdir(tenantsDir, { withFileTypes: true });
+    for (const entry of entries) {
+        const slug = entry.name;
+        if (!entry.isDirectory() || !isTenantSlug(slug) || slug === DEFAULT_TENANT.slug) continue;
+
+        const dataDir = join(tenantsDir, slug);
+        let config = {};
+        const configPath = join(dataDir, 'tenant.json');
+        if (existsSync(configPath)) {
+            try {
+                config = JSON.parse(await readFile(configPath, 'utf8'));
+            } catch (error) {
+                console.error(`Skipping tenant "${slug}": invalid tenant.json`, error.message);
+                continue;
+            }
+        }
+
+        const tenant = createTenant(slug, {
+            dataDir,
+            uploadsDir: join(dataDir, 'uploads'),
+            uploadsUrl: `/u/${slug}/uploads`,
+            hostnames: Array.isArray(config.hostnames) ? config.hostnames : [],
+            admin: config.admin || null,
+            contact: config.contact || null,
+            cors: config.cors || null
+        });
+        if (!await statObject(tenant, 'portfolio.json')) {
+            console.warn(`Skipping tenant "${slug}": no portfolio.json`);
+            continue;
+        }
+
+        tenants.set(slug, tenant);
+    }
+
+    return listTenants();
+}
+
+/**
+ * List all registered tenants, default first
+ */
+export function listTenants() {
+    return [...tenants.values()];
+}
+
+/**
+ * Look up a tenant by slug
+ * @returns {object|null}
+ */
+export function getTenant(slug) {
+    return tenants.get(slug) || null;
+}
+
+/**
+ * Look up the tenant serving a hostname, falling back to the default tenant
+ */
+export function getTenantByHost(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    for (const tenant of tenants.values()) {
+        if (tenant.hostnames.includes(host)) return tenant;
+    }
+    return DEFAULT_TENANT;
+}
+
+/**
+ * Resolve an uploads URL (like /uploads/profile-photo.jpg) to its storage name (uploads/profile-photo.jpg)
+ * @returns {string|null} Null for URLs outside the tenant's uploads (including files hosted elsewhere)
+ */
+export function getUploadName(tenant, url) {
+    const prefix = `${tenant.uploadsUrl}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+    let name;
+    try {
+        name = `uploads/${decodeURIComponent(url.slice(prefix.length).split(/[?#]/)[0])}`;
+    } catch {
+        return null;
+    }
+    return isStorageName(name) ? name : null;
+}
+
+/**
+ * Admin credentials for a tenant
+ * The default tenant reads ADMIN_USERNAME / ADMIN_PASSWORD; other tenants use tenant.json
+ * and have no admin access until a password is configured there.
+ * @returns {{username: string, password: string}|null}
+ */
+export function getAdminCredentials(tenant) {
+    if (tenant.slug === DEFAULT_TENANT.slug) {
+        return {
+            username: process.env.ADMIN_USERNAME || 'admin',
+            password: process.env.ADMIN_PASSWORD || 'password'
+        };
+    }
+
+    const { username, password } = tenant.admin || {};
+    return username && password ? { username, password } : null;
+}
+
+/**
+ * Address contact form messages are forwarded to
+ * The default tenant reads CONTACT_FORWARD_TO; other tenants use contact.forwardTo in tenant.json.
+ * @returns {string|null} Null when forwarding is off
+ */
+export function getContactForwardAddress(tenant) {
+    if (tenant.slug === DEFAULT_TENANT.slug) {
+        return process.env.CONTACT_FORWARD_TO || null;
+    }
+    return tenant.contact?.forwardTo || null;
+}
+
+/**
+ * Origins allowed to read a tenant's public API from the browser
+ * The default tenant reads CORS_ORIGINS (comma-separated); other tenants use cors.origins in
+ * tenant.json. "*" allows any origin.
+ * @returns {string[]} Empty when cross-origin reads are off
+ */
+export function getCorsOrigins(tenant) {
+    const origins = tenant.slug === DEFAULT_TENANT.slug
+        ? (process.env.CORS_ORIGINS || '').split(',')
+        : (Array.isArray(tenant.cors?.origins) ? tenant.cors.origins : []);
+    return origins.map(origin => String(origin).trim().replace(/\/+$/, '')).filter(Boolean);
+}
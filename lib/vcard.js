@@ -0,0 +1,161 @@
+/**
+ * Contact Card Export
+ * Builds a vCard 4.0 (RFC 6350) from the portfolio's profile and socials, served at
+ * /api/portfolio/vcard and linked from the hero's "Save contact" button and QR code.
+ *
+ * Social profiles use the SOCIALPROFILE property from RFC 9554; clients that do not know
+ * it ignore it, so every profile is also listed as a plain URL.
+ */
+
+import sharp from 'sharp';
+import { getUploadName } from './tenants.js';
+import { readObject } from './storage.js';
+
+// Photos are embedded so the card works offline; keep them small
+const PHOTO_SIZE = 256;
+
+/**
+ * Escape a text value (RFC 6350 section 3.4)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Escape a URL or email address; line breaks in it would start new properties, so they are dropped
+ */
+function escapeUri(value) {
+    return escapeText(String(value).replace(/[\r\n]/g, ''));
+}
+
+/**
+ * Quote a parameter value that contains separators (RFC 6350 section 3.3)
+ */
+function quoteParam(value) {
+    const clean = String(value).replace(/["\r\n]/g, '');
+    return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters (RFC 6350 section 3.2)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts toward their 75 octets
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Split a full name into the N property's family and given names ("Jane Q. Doe" -> Doe; Jane Q.)
+ */
+function splitName(name) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length < 2) return { family: '', given: words[0] || '' };
+    return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+}
+
+/**
+ * Read a tenant's uploaded profile photo as a small JPEG
+ * @returns {Promise<Buffer|null>} Null for photos hosted elsewhere or unreadable files
+ */
+export async function readCardPhoto(tenant, url) {
+    const name = getUploadName(tenant, url);
+    const buffer = name ? await readObject(tenant, name) : null;
+    if (!buffer) return null;
+
+    try {
+        return await sharp(buffer).rotate().resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' }).jpeg({ quality: 80 }).toBuffer();
+    } catch (error) {
+        console.warn(`Contact card: could not read ${name}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Build a vCard from localized portfolio data
+ * @param {object} data - Localized portfolio data (profile and socials)
+ * @param {object} [options]
+ * @param {string} [options.url] - Absolute URL of the portfolio
+ * @param {Buffer} [options.photo] - JPEG to embed; otherwise an absolute photo URL is linked
+ * @param {Date} [options.revision] - Last change of the data
+ * @returns {string} The vCard with CRLF line endings
+ */
+export function buildVCard(data, { url, photo, revision } = {}) {
+    const profile = data.profile || {};
+    const { family, given } = splitName(profile.name);
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'KIND:individual',
+        `FN:${escapeText(profile.name || '')}`,
+        `N:${escapeText(family)};${escapeText(given)};;;`
+    ];
+
+    if (profile.title) lines.push(`TITLE:${escapeText(profile.title)}`);
+
+    const current = (data.experience || []).find(job => /present|current|now/i.test(job.period || ''));
+    if (current?.company) lines.push(`ORG:${escapeText(current.company)}`);
+
+    const emails = new Set([profile.email, ...(data.socials || [])
+        .filter(social => /^mailto:/i.test(social.url || ''))
+        .map(social => social.url.slice('mailto:'.length).split('?')[0])
+    ].filter(Boolean));
+    for (const email of emails) {
+        lines.push(`EMAIL;TYPE=work:${escapeUri(email)}`);
+    }
+
+    // The location is free text; "City, Country" also fills the structured fields
+    if (profile.location) {
+        const parts = profile.location.split(',').map(part => part.trim()).filter(Boolean);
+        const locality = parts.length > 1 ? parts.slice(0, -1).join(', ') : parts[0];
+        const country = parts.length > 1 ? parts[parts.length - 1] : '';
+        lines.push(`ADR;TYPE=work;LABEL=${quoteParam(profile.location)}:;;;${escapeText(locality)};;;${escapeText(country)}`);
+    }
+
+    const photoUrl = [profile.photo, profile.avatar].find(link => /^https?:\/\//.test(link || ''));
+    if (photo) {
+        lines.push(`PHOTO:data:image/jpeg;base64,${photo.toString('base64')}`);
+    } else if (photoUrl) {
+        lines.push(`PHOTO:${escapeUri(photoUrl)}`);
+    }
+
+    if (url) lines.push(`URL;TYPE=work:${escapeUri(url)}`);
+    for (const social of data.socials || []) {
+        if (!/^https?:\/\//.test(social.url || '') || social.url === url) continue;
+        lines.push(`URL:${escapeUri(social.url)}`);
+        lines.push(`SOCIALPROFILE;SERVICE-TYPE=${quoteParam(social.platform || 'Website')}:${escapeUri(social.url)}`);
+    }
+
+    if (profile.summary) lines.push(`NOTE:${escapeText(profile.summary)}`);
+    if (revision) lines.push(`REV:${revision.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`);
+    lines.push('PRODID:-//JSON Portfolio//vCard Export//EN', 'END:VCARD');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Filename for a downloaded card ("Jane_Doe.vcf")
+ */
+export function getVCardFilename(name) {
+    const base = String(name || 'contact').trim().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+    return `${base || 'contact'}.vcf`;
+}
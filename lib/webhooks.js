@@ -0,0 +1,406 @@
+/**
+ * Outgoing Webhooks
+ * Subscriptions stored per tenant in webhooks.json next to portfolio.json. When the portfolio,
+ * photo or a resume changes, every active subscription to that event gets a signed JSON POST:
+ *
+ *   { "id": "<event id>", "event": "resume.updated", "createdAt": "...",
+ *     "portfolio": { "slug": "default", "url": "https://me.example.com/" }, "summary": { ... } }
+ *
+ * Headers: X-Portfolio-Event, X-Portfolio-Delivery (delivery id), X-Portfolio-Timestamp (Unix
+ * seconds) and X-Portfolio-Signature: "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>").
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx) are retried with exponential
+ * backoff; every attempt is recorded in webhook-deliveries.json for the admin panel.
+ *
+ * URLs that point at loopback, private or link-local addresses (such as the cloud metadata
+ * service at 169.254.169.254) are refused, both when saved and before every attempt, unless
+ * WEBHOOK_ALLOW_PRIVATE=true.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { diffSections } from './backups.js';
+import { readJson, updateJson } from './storage.js';
+
+export const WEBHOOK_EVENTS = ['portfolio.updated', 'photo.updated', 'photo.deleted', 'resume.updated', 'resume.deleted'];
+
+// Sent by "Send test" in the admin panel, whatever the subscription's events
+export const PING_EVENT = 'ping';
+
+export const WEBHOOK_MAX_ATTEMPTS = 5;
+
+// Delay before retry n is WEBHOOK_RETRY_BASE_MS * 2^(n-1): 10s, 20s, 40s, 80s
+const WEBHOOK_RETRY_BASE_MS = 10 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Deliveries kept in the log (newest first), and how much of each response is kept
+const MAX_LOGGED_DELIVERIES = 100;
+const MAX_RESPONSE_LENGTH = 500;
+
+export class WebhookError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Addresses a webhook may not reach: unspecified, private, shared (CGNAT), loopback and link-local
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const SUBSCRIPTIONS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+
+async function readList(tenant, name) {
+    return readJson(tenant, name, []);
+}
+
+/**
+ * Let update() change a JSON list in place and write it back
+ * Deliveries finish concurrently; the storage lock keeps them from overwriting each other.
+ * @returns {Promise<*>} What update() returned
+ */
+function updateList(tenant, name, update) {
+    return updateJson(tenant, name, update, []);
+}
+
+/**
+ * Sign a payload the way receivers should verify it
+ * @returns {string} "sha256=<hex digest>"
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Make sure a webhook URL's host does not resolve to a private address
+ * Checked again before every attempt, since the DNS answer can change after the URL was saved.
+ * @throws {WebhookError}
+ */
+async function checkTarget(url) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return;
+
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+        addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+    } catch {
+        throw new WebhookError(`Cannot resolve ${host}`);
+    }
+    if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        throw new WebhookError('url must not point to a private, loopback or link-local address (set WEBHOOK_ALLOW_PRIVATE=true to allow)');
+    }
+}
+
+/**
+ * Check a subscription's fields; only the given ones are checked, so it also serves updates
+ * @returns {Promise<object>} The cleaned fields
+ * @throws {WebhookError}
+ */
+async function validateSubscription({ url, events, description, active }) {
+    const fields = {};
+
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new WebhookError('url must be an absolute http(s) URL');
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new WebhookError('url must be an absolute http(s) URL');
+        }
+        await checkTarget(parsed.href);
+        fields.url = parsed.href;
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new WebhookError('events must be a non-empty list', 400, { events: WEBHOOK_EVENTS });
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new WebhookError(`Unknown event: ${unknown.join(', ')}`, 400, { events: WEBHOOK_EVENTS });
+        }
+        fields.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+        if (typeof description !== 'string') throw new WebhookError('description must be a string');
+        fields.description = description.trim().slice(0, 200);
+    }
+
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') throw new WebhookError('active must be true or false');
+        fields.active = active;
+    }
+
+    return fields;
+}
+
+/**
+ * List a tenant's webhook subscriptions
+ */
+export async function listWebhooks(tenant) {
+    return readList(tenant, SUBSCRIPTIONS_FILE);
+}
+
+/**
+ * Add a subscription with a new signing secret
+ * @param {{url: string, events: string[], description?: string}} fields
+ * @returns {Promise<object>} The subscription, including its secret
+ */
+export async function createWebhook(tenant, fields) {
+    if (fields.url === undefined || fields.events === undefined) {
+        throw new WebhookError('url and events are required', 400, { events: WEBHOOK_EVENTS });
+    }
+
+    const webhook = {
+        id: randomUUID(),
+        description: '',
+        active: true,
+        ...await validateSubscription(fields),
+        secret: `whsec_${randomBytes(24).toString('hex')}`,
+        createdAt: new Date().toISOString()
+    };
+    await updateList(tenant, SUBSCRIPTIONS_FILE, webhooks => { webhooks.push(webhook); });
+    return webhook;
+}
+
+/**
+ * Change a subscription's url, events, description or active flag
+ * @returns {Promise<object>} The updated subscription
+ */
+export async function updateWebhook(tenant, id, fields) {
+    const changes = await validateSubscription(fields);
+    return updateList(tenant, SUBSCRIPTIONS_FILE, webhooks => {
+        const webhook = webhooks.find(item => item.id === id);
+        if (!webhook) throw new WebhookError('Webhook not found', 404);
+        Object.assign(webhook, changes);
+        return webhook;
+    });
+}
+
+/**
+ * Remove a subscription (its logged deliveries stay)
+ */
+export async function deleteWebhook(tenant, id) {
+    await updateList(tenant, SUBSCRIPTIONS_FILE, webhooks => {
+        const index = webhooks.findIndex(item => item.id === id);
+        if (index === -1) throw new WebhookError('Webhook not found', 404);
+        webhooks.splice(index, 1);
+    });
+}
+
+/**
+ * List logged deliveries, newest first (payloads are left out)
+ */
+export async function listDeliveries(tenant) {
+    const deliveries = await readList(tenant, DELIVERIES_FILE);
+    return deliveries.map(({ body, ...delivery }) => delivery);
+}
+
+/**
+ * Describe which sections a portfolio change touched, for portfolio.updated payloads
+ * @param {object} before - Portfolio before the change
+ * @param {object} after - Portfolio after the change
+ * @param {string} source - What changed it (upload, patch, section, publish, schedule, restore, revert)
+ */
+export function summarizePortfolioChange(before, after, source) {
+    const changes = diffSections(before, after)
+        .filter(({ status }) => status !== 'unchanged')
+        .map(({ section, status }) => ({ section, status }));
+    return { source, changes };
+}
+
+/**
+ * Delay before the retry that follows a failed attempt
+ */
+function getRetryDelay(attempt) {
+    return WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+}
+
+/**
+ * POST a delivery once, log the attempt and schedule a retry when it may still succeed
+ */
+async function attemptDelivery(tenant, deliveryId) {
+    const delivery = (await readList(tenant, DELIVERIES_FILE)).find(item => item.id === deliveryId);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') return;
+
+    const webhook = (await listWebhooks(tenant)).find(item => item.id === delivery.webhookId);
+    const attempt = { number: delivery.attempts.length + 1, at: new Date().toISOString() };
+    const started = Date.now();
+    // A target that now resolves to a private address is not retried
+    let refused = false;
+
+    if (!webhook) {
+        attempt.error = 'Webhook was deleted';
+    } else {
+        const timestamp = Math.floor(started / 1000);
+        try {
+            await checkTarget(webhook.url);
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'JSON-Portfolio-Webhooks/1.0',
+                    'X-Portfolio-Event': delivery.event,
+                    'X-Portfolio-Delivery': delivery.id,
+                    'X-Portfolio-Timestamp': String(timestamp),
+                    'X-Portfolio-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            attempt.status = response.status;
+            attempt.response = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? 'Timed out' : (error.cause?.message || error.message);
+            refused = error instanceof WebhookError;
+        }
+    }
+    attempt.durationMs = Date.now() - started;
+
+    const delivered = attempt.status >= 200 && attempt.status < 300;
+    const retryable = Boolean(webhook) && !delivered && !refused &&
+        (!attempt.status || attempt.status >= 500 || attempt.status === 408 || attempt.status === 429);
+    const retry = retryable && attempt.number < WEBHOOK_MAX_ATTEMPTS;
+    const delay = retry ? getRetryDelay(attempt.number) : 0;
+
+    await updateList(tenant, DELIVERIES_FILE, deliveries => {
+        const entry = deliveries.find(item => item.id === deliveryId);
+        if (!entry) return;
+        entry.attempts.push(attempt);
+        entry.status = delivered ? 'delivered' : retry ? 'retrying' : 'failed';
+        entry.nextAttemptAt = retry ? new Date(Date.now() + delay).toISOString() : null;
+    });
+
+    if (retry) {
+        scheduleAttempt(tenant, deliveryId, delay);
+    }
+}
+
+function scheduleAttempt(tenant, deliveryId, delay) {
+    setTimeout(() => {
+        attemptDelivery(tenant, deliveryId).catch(error => {
+            console.error(`Webhook delivery ${deliveryId} failed:`, error);
+        });
+    }, delay).unref();
+}
+
+/**
+ * Log new deliveries and start sending them
+ * @param {Array<{webhook: object, event: string, body: string, redeliveryOf?: string}>} items
+ * @returns {Promise<object[]>} The logged deliveries
+ */
+async function enqueueDeliveries(tenant, items) {
+    const deliveries = items.map(({ webhook, event, body, redeliveryOf }) => ({
+        id: randomUUID(),
+        webhookId: webhook.id,
+        url: webhook.url,
+        event,
+        createdAt: new Date().toISOString(),
+        ...(redeliveryOf ? { redeliveryOf } : {}),
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null,
+        body
+    }));
+    if (deliveries.length === 0) return [];
+
+    await updateList(tenant, DELIVERIES_FILE, logged => {
+        logged.unshift(...deliveries);
+        logged.splice(MAX_LOGGED_DELIVERIES);
+    });
+    for (const delivery of deliveries) {
+        scheduleAttempt(tenant, delivery.id, 0);
+    }
+    return deliveries.map(({ body, ...delivery }) => delivery);
+}
+
+/**
+ * Build the JSON body sent for an event
+ */
+function buildPayload(tenant, event, summary, url) {
+    return JSON.stringify({
+        id: randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        portfolio: { slug: tenant.slug, ...(url ? { url } : {}) },
+        summary
+    });
+}
+
+/**
+ * Send an event to every active subscription that wants it
+ * Returns once the deliveries are logged; sending and retrying happen in the background.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} summary - What changed
+ * @param {object} [options]
+ * @param {string} [options.url] - Absolute URL of the portfolio
+ * @returns {Promise<object[]>} The logged deliveries
+ */
+export async function triggerWebhooks(tenant, event, summary, { url } = {}) {
+    const webhooks = (await listWebhooks(tenant))
+        .filter(webhook => webhook.active && webhook.events.includes(event));
+    if (webhooks.length === 0) return [];
+
+    const body = buildPayload(tenant, event, summary, url);
+    return enqueueDeliveries(tenant, webhooks.map(webhook => ({ webhook, event, body })));
+}
+
+/**
+ * Send a ping event to one subscription, active or not
+ * @returns {Promise<object>} The logged delivery
+ */
+export async function pingWebhook(tenant, id, { url } = {}) {
+    const webhook = (await listWebhooks(tenant)).find(item => item.id === id);
+    if (!webhook) throw new WebhookError('Webhook not found', 404);
+
+    const body = buildPayload(tenant, PING_EVENT, { message: 'Webhook test from the admin panel' }, url);
+    const [delivery] = await enqueueDeliveries(tenant, [{ webhook, event: PING_EVENT, body }]);
+    return delivery;
+}
+
+/**
+ * Send a logged delivery's payload again as a new delivery
+ * @returns {Promise<object>} The new delivery
+ */
+export async function redeliver(tenant, deliveryId) {
+    const original = (await readList(tenant, DELIVERIES_FILE)).find(item => item.id === deliveryId);
+    if (!original) throw new WebhookError('Delivery not found', 404);
+
+    const webhook = (await listWebhooks(tenant)).find(item => item.id === original.webhookId);
+    if (!webhook) throw new WebhookError('Webhook was deleted', 409);
+
+    const [delivery] = await enqueueDeliveries(tenant, [{
+        webhook,
+        event: original.event,
+        body: original.body,
+        redeliveryOf: original.id
+    }]);
+    return delivery;
+}
+
+/**
+ * Pick up deliveries that were pending or waiting for a retry when the server stopped
+ */
+export async function resumeDeliveries(tenant) {
+    const deliveries = await readList(tenant, DELIVERIES_FILE);
+    for (const delivery of deliveries) {
+        if (delivery.status !== 'pending' && delivery.status !== 'retrying') continue;
+        const delay = delivery.nextAttemptAt ? Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()) : 0;
+        scheduleAttempt(tenant, delivery.id, delay);
+    }
+}
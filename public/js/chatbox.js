@@ -13,10 +13,23 @@ let chatboxSend = null;
 
 let isProcessing = false;
 
+// Chat endpoint (relative, so pages under /u/:slug/ reach their own tenant's API);
+// a static export can point this at a remote server or disable the chatbox
+let chatEndpoint = 'api/chat';
+
 /**
  * Initialize the chatbox
  */
 function initChatbox() {
+    const endpointMeta = document.querySelector('meta[name="chat-endpoint"]');
+    if (endpointMeta) {
+        if (!endpointMeta.content) {
+            document.querySelector('.chatbox-container')?.remove();
+            return;
+        }
+        chatEndpoint = endpointMeta.content;
+    }
+
     chatboxToggle = document.getElementById('chatbox-toggle');
     chatboxWindow = document.getElementById('chatbox-window');
     chatboxClose = document.getElementById('chatbox-close');
@@ -83,12 +96,12 @@ async function sendMessage() {
     isProcessing = true;
 
     try {
-        const response = await fetch('/api/chat', {
+        const response = await fetch(chatEndpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message, lang: document.documentElement.lang })
         });
 
         // Remove loading indicator
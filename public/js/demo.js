@@ -3,6 +3,8 @@
  * Handles JSON editing and live preview in iframe
  */
 
+import { validatePortfolio } from './schema.js';
+
 const DEMO_STORAGE_KEY = 'demo-portfolio';
 
 // DOM Elements
@@ -85,7 +87,7 @@ async function loadPortfolioJSON() {
         }
 
         // Fetch from API
-        const response = await fetch('/api/portfolio');
+        const response = await fetch('api/portfolio');
         if (!response.ok) {
             throw new Error('Failed to fetch portfolio');
         }
@@ -115,9 +117,11 @@ function handleRun() {
         // Parse to validate JSON
         const data = JSON.parse(jsonText);
 
-        // Basic validation
-        if (!data.profile || !data.profile.name) {
-            showError('Invalid portfolio structure: missing profile.name');
+        // Schema validation
+        const validationErrors = validatePortfolio(data);
+        if (validationErrors.length > 0) {
+            const details = validationErrors.map(err => `• ${err.path}: ${err.message}`).join('\n');
+            showError(`Invalid portfolio structure:\n${details}`);
             return;
         }
 
@@ -147,7 +151,7 @@ async function handleReset() {
 
     // Reload from API
     try {
-        const response = await fetch('/api/portfolio');
+        const response = await fetch('api/portfolio');
         if (!response.ok) {
             throw new Error('Failed to fetch portfolio');
         }
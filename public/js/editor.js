@@ -0,0 +1,563 @@
+/**
+ * Portfolio Form Editor Module
+ * Structured editing of the portfolio draft in the admin panel with live preview.
+ * Saving never touches the live site; drafts are published from the Draft card.
+ */
+
+import { renderSections, escapeHtml, SOCIAL_ICONS } from './render.js';
+import { validatePortfolio } from './schema.js';
+import { getLocaleSettings, isLocalizedText, localizeText, localizePortfolio, getLocaleLabel } from './i18n.js';
+
+const PREVIEW_DELAY = 200;
+
+// Form layout for the array sections
+const SECTIONS = [
+    {
+        key: 'socials',
+        title: '🔗 Socials',
+        itemTitle: item => item.platform,
+        blank: () => ({ platform: '', url: '', icon: 'website' }),
+        fields: [
+            { name: 'platform', label: 'Platform' },
+            { name: 'url', label: 'URL', type: 'url' },
+            { name: 'icon', label: 'Icon', type: 'select', options: Object.keys(SOCIAL_ICONS) }
+        ]
+    },
+    {
+        key: 'skills',
+        title: '🛠️ Skills',
+        itemTitle: item => item.category,
+        blank: () => ({ category: '', items: [] }),
+        fields: [
+            { name: 'category', label: 'Category' },
+            { name: 'items', label: 'Skills', type: 'tags' }
+        ]
+    },
+    {
+        key: 'projects',
+        title: '🚀 Projects',
+        itemTitle: item => item.title,
+        blank: () => ({ title: '', description: '', technologies: [], url: '', github: '' }),
+        fields: [
+            { name: 'title', label: 'Title' },
+            { name: 'slug', label: 'Page URL slug (set automatically on publish)' },
+            { name: 'description', label: 'Description', type: 'textarea', localized: true },
+            { name: 'technologies', label: 'Technologies', type: 'tags' },
+            { name: 'url', label: 'Live URL', type: 'url' },
+            { name: 'github', label: 'GitHub URL', type: 'url' },
+            { name: 'caseStudy/problem', label: 'Case study: Problem', type: 'textarea', localized: true },
+            { name: 'caseStudy/approach', label: 'Case study: Approach', type: 'textarea', localized: true },
+            { name: 'caseStudy/outcome', label: 'Case study: Outcome', type: 'textarea', localized: true },
+            { name: 'caseStudy/metrics', label: 'Case study: Results', type: 'lines', localized: true, itemLabel: 'result' }
+        ]
+    },
+    {
+        key: 'experience',
+        title: '💼 Experience',
+        itemTitle: item => [item.role, item.company].filter(Boolean).join(' @ '),
+        blank: () => ({ company: '', role: '', period: '', highlights: [] }),
+        fields: [
+            { name: 'role', label: 'Role' },
+            { name: 'company', label: 'Company' },
+            { name: 'period', label: 'Period' },
+            { name: 'logo', label: 'Logo (URL from the Media Library)' },
+            { name: 'highlights', label: 'Highlights', type: 'lines', localized: true, itemLabel: 'highlight' }
+        ]
+    },
+    {
+        key: 'certifications',
+        title: '🏅 Certifications',
+        itemTitle: item => item.name,
+        blank: () => ({ name: '', issuer: '', year: '', url: '' }),
+        fields: [
+            { name: 'name', label: 'Name' },
+            { name: 'issuer', label: 'Issuer' },
+            { name: 'year', label: 'Year' },
+            { name: 'url', label: 'Credential URL', type: 'url' },
+            { name: 'logo', label: 'Logo (URL from the Media Library)' }
+        ]
+    },
+    {
+        key: 'education',
+        title: '🎓 Education',
+        itemTitle: item => item.degree,
+        blank: () => ({ institution: '', degree: '', year: '' }),
+        fields: [
+            { name: 'institution', label: 'Institution' },
+            { name: 'degree', label: 'Degree' },
+            { name: 'year', label: 'Year' }
+        ]
+    }
+];
+
+const PROFILE_FIELDS = [
+    { name: 'name', label: 'Name' },
+    { name: 'title', label: 'Title' },
+    { name: 'location', label: 'Location' },
+    { name: 'email', label: 'Email', type: 'email' },
+    { name: 'avatar', label: 'Avatar URL', type: 'url' },
+    { name: 'summary', label: 'Summary', type: 'textarea', localized: true }
+];
+
+// Editor state
+let authCredentials = null;
+let portfolio = null;
+let etag = null;
+let dirty = false;
+let previewTimer = null;
+let editLocale = null;
+
+// DOM Elements
+let formEl = null;
+let previewEl = null;
+let messageEl = null;
+let errorsEl = null;
+let saveBtn = null;
+let reloadBtn = null;
+
+/**
+ * Split a JSON pointer into tokens (numeric tokens become indexes)
+ */
+function pointerTokens(path) {
+    return path.split('/').slice(1).map(token => (/^\d+$/.test(token) ? Number(token) : token));
+}
+
+function getAt(path) {
+    return pointerTokens(path).reduce((value, token) => value?.[token], portfolio);
+}
+
+function setAt(path, value) {
+    const tokens = pointerTokens(path);
+    const last = tokens.pop();
+    // Create missing parent objects, e.g. a project's caseStudy on its first edit
+    const parent = tokens.reduce((current, token) => (current[token] ??= {}), portfolio);
+    parent[last] = value;
+}
+
+/**
+ * Read the text of a localizable field in the language being edited
+ */
+function getLocalized(path) {
+    const value = getAt(path);
+    const { defaultLocale } = getLocaleSettings(portfolio);
+    if (isLocalizedText(value)) return value[editLocale] ?? '';
+    return editLocale === defaultLocale ? value : '';
+}
+
+/**
+ * Write the text of a localizable field in the language being edited
+ * A plain string becomes a locale map once a second language is filled in.
+ */
+function setLocalized(path, text) {
+    const value = getAt(path);
+    const { defaultLocale } = getLocaleSettings(portfolio);
+
+    if (!isLocalizedText(value) && editLocale === defaultLocale) {
+        setAt(path, text);
+        return;
+    }
+
+    const translations = isLocalizedText(value) ? value : { [defaultLocale]: value ?? '' };
+    translations[editLocale] = text;
+    setAt(path, translations);
+}
+
+/**
+ * Attributes for a localizable input: marker plus the default-language text as placeholder
+ */
+function localizedAttributes(path) {
+    const { defaultLocale } = getLocaleSettings(portfolio);
+    const fallback = localizeText(getAt(path), defaultLocale, defaultLocale);
+    return `data-localized placeholder="${escapeHtml(fallback)}"`;
+}
+
+/**
+ * Render a single form field bound to a JSON pointer
+ */
+function renderField(field, path) {
+    const value = field.localized && field.type !== 'lines' ? getLocalized(path) : getAt(path);
+    const label = `<label class="form-label">${field.label}</label>`;
+
+    if (field.type === 'textarea') {
+        const extra = field.localized ? localizedAttributes(path) : '';
+        return `<div class="form-group">${label}
+            <textarea class="form-input editor-textarea" data-path="${path}" rows="3" ${extra}>${escapeHtml(value)}</textarea>
+        </div>`;
+    }
+
+    if (field.type === 'select') {
+        const options = field.options.map(option =>
+            `<option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`
+        ).join('');
+        return `<div class="form-group">${label}
+            <select class="form-input" data-path="${path}">${options}</select>
+        </div>`;
+    }
+
+    if (field.type === 'tags') {
+        const tags = (value || []).map((tag, index) => `
+            <span class="editor-tag">${escapeHtml(tag)}
+                <button type="button" class="editor-tag-remove" data-action="remove-entry" data-path="${path}/${index}" aria-label="Remove ${escapeHtml(tag)}">✕</button>
+            </span>
+        `).join('');
+        return `<div class="form-group">${label}
+            <div class="editor-tags" data-path="${path}">
+                ${tags}
+                <input type="text" class="editor-tag-input" data-tag-input="${path}" placeholder="Type and press Enter">
+            </div>
+        </div>`;
+    }
+
+    if (field.type === 'lines') {
+        const lines = (value || []).map((line, index) => `
+            <div class="editor-line">
+                <input type="text" class="form-input" data-path="${path}/${index}"
+                    value="${escapeHtml(field.localized ? getLocalized(`${path}/${index}`) : line)}"
+                    ${field.localized ? localizedAttributes(`${path}/${index}`) : ''}>
+                <button type="button" class="btn btn-secondary editor-icon-btn" data-action="remove-entry" data-path="${path}/${index}" aria-label="Remove line">✕</button>
+            </div>
+        `).join('');
+        return `<div class="form-group">${label}
+            <div class="editor-lines" data-path="${path}">${lines}</div>
+            <button type="button" class="btn btn-secondary editor-small-btn" data-action="add-line" data-path="${path}">+ Add ${field.itemLabel || 'line'}</button>
+        </div>`;
+    }
+
+    return `<div class="form-group">${label}
+        <input type="${field.type || 'text'}" class="form-input" data-path="${path}" value="${escapeHtml(value)}">
+    </div>`;
+}
+
+/**
+ * Render an array section with add/remove/reorder controls
+ */
+function renderSection(section) {
+    const items = portfolio[section.key] || [];
+
+    const itemsHtml = items.map((item, index) => {
+        const path = `/${section.key}/${index}`;
+        return `
+            <div class="editor-item" data-path="${path}">
+                <div class="editor-item-header">
+                    <span class="editor-item-title">${escapeHtml(section.itemTitle(item) || 'Untitled')}</span>
+                    <div class="editor-item-actions">
+                        <button type="button" class="btn btn-secondary editor-icon-btn" data-action="move-up" data-path="${path}" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                        <button type="button" class="btn btn-secondary editor-icon-btn" data-action="move-down" data-path="${path}" ${index === items.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                        <button type="button" class="btn btn-danger editor-icon-btn" data-action="remove-entry" data-path="${path}" aria-label="Remove">✕</button>
+                    </div>
+                </div>
+                ${section.fields.map(field => renderField(field, `${path}/${field.name}`)).join('')}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <details class="editor-section" data-section="${section.key}" open>
+            <summary class="editor-section-title">${section.title} <span class="editor-count">${items.length}</span></summary>
+            ${itemsHtml}
+            <button type="button" class="btn btn-secondary editor-small-btn" data-action="add-item" data-section="${section.key}">+ Add</button>
+        </details>
+    `;
+}
+
+/**
+ * Render the editing-language picker (only for portfolios with several locales)
+ */
+function renderLocalePicker() {
+    const { locales } = getLocaleSettings(portfolio);
+    if (locales.length < 2) return '';
+
+    const options = locales.map(locale =>
+        `<option value="${escapeHtml(locale)}" ${locale === editLocale ? 'selected' : ''}>${escapeHtml(getLocaleLabel(locale))}</option>`
+    ).join('');
+    return `<div class="form-group">
+        <label class="form-label">Editing language</label>
+        <select class="form-input" data-editor-locale>${options}</select>
+    </div>`;
+}
+
+/**
+ * Render the whole form from the current state
+ */
+function renderForm() {
+    const collapsedSections = new Set(
+        [...formEl.querySelectorAll('.editor-section:not([open])')].map(el => el.dataset.section)
+    );
+
+    formEl.innerHTML = `
+        ${renderLocalePicker()}
+        <details class="editor-section" data-section="profile" open>
+            <summary class="editor-section-title">👤 Profile</summary>
+            ${PROFILE_FIELDS.map(field => renderField(field, `/profile/${field.name}`)).join('')}
+        </details>
+        ${SECTIONS.map(renderSection).join('')}
+        <details class="editor-section" data-section="interests" open>
+            <summary class="editor-section-title">🎯 Interests</summary>
+            ${renderField({ label: 'Interests', type: 'tags' }, '/interests')}
+        </details>
+    `;
+
+    // Keep collapsed sections collapsed across re-renders
+    collapsedSections.forEach(key => {
+        formEl.querySelector(`.editor-section[data-section="${key}"]`)?.removeAttribute('open');
+    });
+
+    validate();
+}
+
+/**
+ * Validate the current state and highlight invalid fields
+ */
+function validate() {
+    const errors = validatePortfolio(portfolio);
+
+    formEl.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+    errors.forEach(error => {
+        formEl.querySelector(`[data-path="${error.path}"]:not(button)`)?.classList.add('invalid');
+    });
+
+    errorsEl.innerHTML = errors.map(error =>
+        `<li><code>${escapeHtml(error.path)}</code> — ${escapeHtml(error.message)}</li>`
+    ).join('');
+    saveBtn.disabled = errors.length > 0 || !dirty;
+
+    return errors;
+}
+
+/**
+ * Render the preview in the language being edited
+ */
+function renderPreview() {
+    return renderSections(localizePortfolio(portfolio, editLocale));
+}
+
+/**
+ * Re-render the preview with the shared renderers (debounced)
+ */
+function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+        previewEl.innerHTML = renderPreview();
+    }, PREVIEW_DELAY);
+}
+
+/**
+ * Apply a change to the state and refresh dependent UI
+ */
+function markChanged({ rerender = false } = {}) {
+    dirty = true;
+    if (rerender) {
+        renderForm();
+    } else {
+        validate();
+    }
+    schedulePreview();
+}
+
+function moveItem(path, offset) {
+    const tokens = path.split('/');
+    const index = Number(tokens.pop());
+    const items = getAt(tokens.join('/'));
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    [items[index], items[target]] = [items[target], items[index]];
+    markChanged({ rerender: true });
+}
+
+function removeEntry(path) {
+    const tokens = path.split('/');
+    const index = Number(tokens.pop());
+    getAt(tokens.join('/')).splice(index, 1);
+    markChanged({ rerender: true });
+}
+
+function addTag(input) {
+    const value = input.value.trim().replace(/,$/, '');
+    if (!value) return;
+
+    const path = input.dataset.tagInput;
+    const tags = getAt(path) || [];
+    tags.push(value);
+    setAt(path, tags);
+    markChanged({ rerender: true });
+
+    formEl.querySelector(`[data-tag-input="${path}"]`)?.focus();
+}
+
+function handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const { action, path, section } = button.dataset;
+
+    if (action === 'add-item') {
+        const config = SECTIONS.find(s => s.key === section);
+        portfolio[section] = [...(portfolio[section] || []), config.blank()];
+        markChanged({ rerender: true });
+    } else if (action === 'add-line') {
+        setAt(path, [...(getAt(path) || []), '']);
+        markChanged({ rerender: true });
+    } else if (action === 'remove-entry') {
+        removeEntry(path);
+    } else if (action === 'move-up') {
+        moveItem(path, -1);
+    } else if (action === 'move-down') {
+        moveItem(path, 1);
+    }
+}
+
+function handleInput(e) {
+    if (e.target.hasAttribute('data-editor-locale')) {
+        editLocale = e.target.value;
+        renderForm();
+        schedulePreview();
+        return;
+    }
+
+    const path = e.target.dataset.path;
+    if (!path) return;
+
+    if (e.target.hasAttribute('data-localized')) {
+        setLocalized(path, e.target.value);
+    } else {
+        setAt(path, e.target.value);
+    }
+    markChanged();
+}
+
+function handleKeydown(e) {
+    if (e.target.dataset.tagInput && (e.key === 'Enter' || e.key === ',')) {
+        e.preventDefault();
+        addTag(e.target);
+    }
+}
+
+/**
+ * Load the draft into the editor, or the live portfolio when there is no draft
+ */
+async function loadPortfolio() {
+    try {
+        const draftResponse = await fetch('api/draft', {
+            headers: { 'Authorization': `Basic ${authCredentials}` }
+        });
+
+        if (draftResponse.ok) {
+            portfolio = (await draftResponse.json()).portfolio;
+            etag = draftResponse.headers.get('ETag');
+        } else {
+            const response = await fetch('api/portfolio');
+            if (!response.ok) {
+                throw new Error('Failed to fetch portfolio');
+            }
+            portfolio = await response.json();
+            // The first save creates the draft, so there is nothing to match yet
+            etag = null;
+        }
+        dirty = false;
+
+        const { defaultLocale, locales } = getLocaleSettings(portfolio);
+        if (!locales.includes(editLocale)) {
+            editLocale = defaultLocale;
+        }
+
+        renderForm();
+        previewEl.innerHTML = renderPreview();
+        hideMessage();
+    } catch (error) {
+        console.error('Error loading portfolio:', error);
+        showMessage('Failed to load portfolio data.', 'error');
+    }
+}
+
+/**
+ * Save the edited portfolio as the draft, guarded by If-Match
+ */
+async function savePortfolio() {
+    if (validate().length > 0) return;
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const headers = {
+            'Authorization': `Basic ${authCredentials}`,
+            'Content-Type': 'application/json'
+        };
+        if (etag) headers['If-Match'] = etag;
+
+        const response = await fetch('api/draft', {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify(portfolio)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            etag = response.headers.get('ETag');
+            dirty = false;
+            showMessage('Draft saved. Preview or publish it from the Draft card.', 'success');
+            document.dispatchEvent(new CustomEvent('admin:draft-changed'));
+        } else if (response.status === 412) {
+            showMessage('The draft was changed, published or discarded since you loaded it. Reload to get the latest version.', 'error');
+        } else if (data.details) {
+            data.details.forEach(detail => {
+                formEl.querySelector(`[data-path="${detail.path}"]:not(button)`)?.classList.add('invalid');
+            });
+            showMessage(`${data.error}: ${data.details.map(d => `${d.path} ${d.message}`).join('; ')}`, 'error');
+        } else {
+            showMessage(data.error || 'Save failed.', 'error');
+        }
+    } catch (error) {
+        showMessage('Connection error. Please try again.', 'error');
+    }
+
+    saveBtn.textContent = '💾 Save Draft';
+    validate();
+}
+
+function showMessage(text, type) {
+    messageEl.textContent = text;
+    messageEl.className = `message ${type} show`;
+}
+
+function hideMessage() {
+    messageEl.classList.remove('show');
+}
+
+/**
+ * Initialize the editor once the admin has logged in
+ */
+function initEditor(credentials) {
+    authCredentials = credentials;
+
+    formEl = document.getElementById('editor-form');
+    previewEl = document.getElementById('editor-preview');
+    messageEl = document.getElementById('editor-message');
+    errorsEl = document.getElementById('editor-errors');
+    saveBtn = document.getElementById('editor-save-btn');
+    reloadBtn = document.getElementById('editor-reload-btn');
+
+    if (!formEl || !previewEl) {
+        console.debug('Editor elements not found');
+        return;
+    }
+
+    formEl.addEventListener('click', handleClick);
+    formEl.addEventListener('input', handleInput);
+    formEl.addEventListener('keydown', handleKeydown);
+    saveBtn.addEventListener('click', savePortfolio);
+    reloadBtn.addEventListener('click', () => {
+        if (dirty && !confirm('Discard unsaved changes?')) return;
+        loadPortfolio();
+    });
+
+    // Pick up changes made through the upload, backup or draft cards
+    document.addEventListener('admin:portfolio-changed', () => {
+        if (!dirty) loadPortfolio();
+    });
+
+    loadPortfolio();
+}
+
+document.addEventListener('admin:authenticated', (e) => initEditor(e.detail.credentials), { once: true });
@@ -0,0 +1,47 @@
+/**
+ * Embed Frame Module
+ * Runs inside the /embed profile card and tells the loader on the host page
+ * (public/js/embed.js) how tall the card is, so the iframe fits without scrollbars.
+ * While the chat window is open the frame grows to make room for it.
+ */
+
+const RESIZE_MESSAGE = 'portfolio-embed:resize';
+
+// Space below the chat window for the launcher button
+const CHAT_LAUNCHER_SPACE = 112;
+
+let lastHeight = 0;
+
+/**
+ * Measure the card (and the open chat window) and report a changed height
+ */
+function reportHeight() {
+    const card = document.getElementById('embed-content');
+    const chatWindow = document.getElementById('chatbox-window');
+    const launcher = document.querySelector('.chatbox-container');
+
+    const cardHeight = card ? card.offsetHeight : document.body.offsetHeight;
+    const chatHeight = chatWindow?.classList.contains('open')
+        ? chatWindow.offsetHeight + CHAT_LAUNCHER_SPACE
+        : (launcher ? launcher.offsetHeight + 32 : 0);
+    const height = Math.ceil(Math.max(cardHeight, chatHeight));
+
+    if (height !== lastHeight) {
+        lastHeight = height;
+        // Only a height is sent, so any host page may receive it
+        window.parent.postMessage({ type: RESIZE_MESSAGE, height }, '*');
+    }
+}
+
+if (window.parent !== window) {
+    new ResizeObserver(reportHeight).observe(document.getElementById('embed-content') || document.body);
+
+    const chatWindow = document.getElementById('chatbox-window');
+    if (chatWindow) {
+        new MutationObserver(reportHeight).observe(chatWindow, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    // Web fonts and images change the layout after the first measurement
+    window.addEventListener('load', reportHeight);
+    reportHeight();
+}
@@ -0,0 +1,82 @@
+/**
+ * Portfolio Embed Loader
+ * Turns placeholders on any website into a sandboxed iframe showing the /embed profile card,
+ * sized to fit its content:
+ *
+ *   <div data-portfolio-embed data-sections="hero,skills,projects" data-theme="retro" data-chat="true"></div>
+ *   <script src="https://me.example.com/js/embed.js" async></script>
+ *
+ * Options (all optional):
+ *   data-sections    comma-separated: hero, skills, projects, experience (default: hero,skills,projects)
+ *   data-theme       minimal | modern | elegant | retro
+ *   data-chat        "true" adds the "Ask about me" chat launcher
+ *   data-lang        language of a multi-language portfolio
+ *   data-portfolio   another portfolio on the same server, e.g. https://me.example.com/u/jane/
+ *
+ * This is a classic script (not a module) so it can be dropped into any page.
+ */
+(function () {
+    const RESIZE_MESSAGE = 'portfolio-embed:resize';
+    const OPTIONS = { sections: 'sections', theme: 'theme', lang: 'lang' };
+
+    // Portfolio served by the same origin as this script, unless a placeholder names another
+    const scriptUrl = document.currentScript?.src || window.location.href;
+
+    // Mounted frames by their window, to match resize messages to the right iframe
+    const frames = new Map();
+
+    /**
+     * Build the /embed URL for a placeholder's options
+     */
+    function getEmbedUrl(placeholder) {
+        const base = new URL(placeholder.dataset.portfolio || '/', scriptUrl);
+        if (!base.pathname.endsWith('/')) base.pathname += '/';
+
+        const url = new URL('embed', base);
+        for (const [attribute, param] of Object.entries(OPTIONS)) {
+            if (placeholder.dataset[attribute]) url.searchParams.set(param, placeholder.dataset[attribute]);
+        }
+        if (placeholder.dataset.chat === 'true') url.searchParams.set('chat', '1');
+        return url;
+    }
+
+    /**
+     * Replace a placeholder's content with the card iframe
+     */
+    function mount(placeholder) {
+        if (placeholder.dataset.portfolioEmbedMounted) return;
+        placeholder.dataset.portfolioEmbedMounted = 'true';
+
+        const url = getEmbedUrl(placeholder);
+        const iframe = document.createElement('iframe');
+        iframe.src = url.href;
+        iframe.title = placeholder.dataset.title || 'Portfolio card';
+        iframe.loading = 'lazy';
+        // Scripts for the chat and resizing; links open in a new, unsandboxed tab
+        iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox');
+        iframe.style.cssText = 'display:block;width:100%;height:480px;border:0;background:transparent;';
+
+        placeholder.replaceChildren(iframe);
+        frames.set(iframe.contentWindow, { iframe, origin: url.origin });
+    }
+
+    window.addEventListener('message', event => {
+        const frame = frames.get(event.source);
+        if (!frame || event.origin !== frame.origin || event.data?.type !== RESIZE_MESSAGE) return;
+
+        const height = Number(event.data.height);
+        if (Number.isFinite(height) && height > 0) {
+            frame.iframe.style.height = `${Math.ceil(height)}px`;
+        }
+    });
+
+    function mountAll() {
+        document.querySelectorAll('[data-portfolio-embed]').forEach(mount);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+})();
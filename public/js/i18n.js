@@ -0,0 +1,139 @@
+/**
+ * Portfolio Localization Module
+ * Resolves localizable text fields to a single language. Shared by the
+ * server (API, pre-rendering, RAG chunking) and the browser (renderer, editor).
+ *
+ * A localizable field holds either a plain string or a map of locale to text:
+ *   "summary": { "en": "Data engineer...", "de": "Dateningenieur..." }
+ * Missing translations fall back to the portfolio's default locale.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Localizable fields as JSON pointer patterns ("*" matches any array index or key)
+export const LOCALIZED_FIELDS = [
+    '/profile/summary',
+    '/profile/resumes/*/label',
+    '/projects/*/description',
+    '/projects/*/caseStudy/problem',
+    '/projects/*/caseStudy/approach',
+    '/projects/*/caseStudy/outcome',
+    '/projects/*/caseStudy/metrics/*',
+    '/projects/*/screenshots/*/caption',
+    '/experience/*/description',
+    '/experience/*/highlights/*',
+    '/sectionTitles/*'
+];
+
+// Section headings used when the portfolio has no sectionTitles entry
+export const DEFAULT_SECTION_TITLES = {
+    about: 'About',
+    skills: 'Skills',
+    projects: 'Projects',
+    experience: 'Experience',
+    certifications: 'Certifications',
+    education: 'Education',
+    interests: 'Interests',
+    contact: 'Contact',
+    blog: 'Writing',
+    problem: 'Problem',
+    approach: 'Approach',
+    outcome: 'Outcome',
+    metrics: 'Results',
+    screenshots: 'Screenshots',
+    relatedProjects: 'Related Projects'
+};
+
+/**
+ * Check whether a field value is a locale map rather than a plain string
+ */
+export function isLocalizedText(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the configured locales of a portfolio
+ * @returns {{defaultLocale: string, locales: string[]}}
+ */
+export function getLocaleSettings(data) {
+    const defaultLocale = data?.i18n?.defaultLocale || DEFAULT_LOCALE;
+    const locales = [...new Set([defaultLocale, ...(data?.i18n?.locales || [])])];
+    return { defaultLocale, locales };
+}
+
+/**
+ * Pick the best available locale for the requested ones
+ * Candidates are tried in order; "de-AT" also matches "de". Falls back to the default locale.
+ * @param {object} data - Portfolio data
+ * @param {...(string|string[])} candidates - Requested locales, most preferred first
+ */
+export function resolveLocale(data, ...candidates) {
+    const { defaultLocale, locales } = getLocaleSettings(data);
+
+    for (const candidate of candidates.flat()) {
+        if (!candidate) continue;
+        const code = String(candidate).trim().toLowerCase();
+        const match = locales.find(locale => locale.toLowerCase() === code)
+            || locales.find(locale => locale.toLowerCase() === code.split('-')[0]);
+        if (match) return match;
+    }
+    return defaultLocale;
+}
+
+/**
+ * Resolve one field value to a string in the given locale
+ */
+export function localizeText(value, locale, defaultLocale = DEFAULT_LOCALE) {
+    if (!isLocalizedText(value)) return value;
+    return value[locale] ?? value[defaultLocale] ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Replace every localized field matching a pointer pattern
+ */
+function localizeAt(target, tokens, locale, defaultLocale) {
+    const [token, ...rest] = tokens;
+    if (target === null || typeof target !== 'object') return;
+
+    const keys = token === '*' ? Object.keys(target) : [token];
+    for (const key of keys) {
+        if (target[key] === undefined) continue;
+        if (rest.length === 0) {
+            target[key] = localizeText(target[key], locale, defaultLocale);
+        } else {
+            localizeAt(target[key], rest, locale, defaultLocale);
+        }
+    }
+}
+
+/**
+ * Resolve all localizable fields of a portfolio to one language
+ * The result records the language in i18n.locale.
+ * @param {object} data - Portfolio data
+ * @param {string} [locale] - Requested locale; unknown or missing locales use the default
+ * @returns {object} A localized copy
+ */
+export function localizePortfolio(data, locale) {
+    const { defaultLocale, locales } = getLocaleSettings(data);
+    const resolved = resolveLocale(data, locale);
+    const localized = JSON.parse(JSON.stringify(data));
+
+    for (const pattern of LOCALIZED_FIELDS) {
+        localizeAt(localized, pattern.split('/').slice(1), resolved, defaultLocale);
+    }
+
+    localized.i18n = { defaultLocale, locales, locale: resolved };
+    return localized;
+}
+
+/**
+ * Human-readable name of a locale in its own language ("de" -> "Deutsch")
+ */
+export function getLocaleLabel(locale) {
+    try {
+        const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+    } catch {
+        return locale.toUpperCase();
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Media URL Module
+ * Naming scheme of the media library and the responsive image markup built from it.
+ * Shared by the server (lib/media.js) and the renderers, so srcset data needs no lookup:
+ *
+ *   <uploads>/media/<hash>-<width>w.<ext>    original (hash of the file content)
+ *   <uploads>/media/<hash>-<size>w.webp      resized WebP variants, for each size below
+ *
+ * Variants are made for every width in MEDIA_VARIANT_WIDTHS smaller than the original,
+ * plus a full-size WebP copy.
+ */
+
+export const MEDIA_VARIANT_WIDTHS = [320, 640, 1280];
+
+const MEDIA_URL_PATTERN = /^(.*\/media\/)([a-f0-9]{16})-(\d+)w\.([a-z0-9]+)$/;
+
+/**
+ * Widths of the WebP variants made for an image of the given width
+ */
+export function getVariantWidths(width) {
+    return [...MEDIA_VARIANT_WIDTHS.filter(size => size < width), width];
+}
+
+/**
+ * Parse a media library image URL
+ * @returns {{base: string, hash: string, width: number, ext: string}|null} Null for any other URL
+ */
+export function parseMediaUrl(url) {
+    const match = typeof url === 'string' ? url.match(MEDIA_URL_PATTERN) : null;
+    if (!match) return null;
+    const [, base, hash, width, ext] = match;
+    return { base, hash, width: Number(width), ext };
+}
+
+/**
+ * URL of one WebP variant of a media image
+ */
+export function getVariantUrl(media, width) {
+    return `${media.base}${media.hash}-${width}w.webp`;
+}
+
+/**
+ * srcset of a media library image, or '' for other URLs
+ */
+export function getSrcset(url) {
+    const media = parseMediaUrl(url);
+    if (!media) return '';
+    return getVariantWidths(media.width).map(width => `${getVariantUrl(media, width)} ${width}w`).join(', ');
+}
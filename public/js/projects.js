@@ -0,0 +1,86 @@
+/**
+ * Project Pages Module
+ * Slugs and related-project lookup for the /projects/:slug detail pages.
+ * Shared by the server (routes, pre-rendering, RAG chunking) and the browser (renderer).
+ *
+ * A project's URL comes from its "slug" field. Projects without one get a slug derived
+ * from the title, which is written back on the next save so later renames keep the URL.
+ */
+
+// Number of related projects shown on a detail page
+export const RELATED_PROJECTS_LIMIT = 3;
+
+/**
+ * Turn a title into a URL slug ("Multi-Agent LLM" -> "multi-agent-llm")
+ */
+export function slugify(text) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'project';
+}
+
+/**
+ * Get the slug of every project, in order
+ * Explicit slugs are kept; derived ones get a numeric suffix when they would collide.
+ * @param {object[]} projects
+ * @returns {string[]}
+ */
+export function getProjectSlugs(projects) {
+    const used = new Set((projects || []).map(project => project.slug).filter(Boolean));
+
+    return (projects || []).map(project => {
+        if (project.slug) return project.slug;
+
+        const base = slugify(project.title);
+        let slug = base;
+        for (let n = 2; used.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+        used.add(slug);
+        return slug;
+    });
+}
+
+/**
+ * Store derived slugs on projects that have none (mutates the portfolio)
+ */
+export function assignProjectSlugs(data) {
+    const slugs = getProjectSlugs(data?.projects);
+    slugs.forEach((slug, index) => {
+        data.projects[index].slug = slug;
+    });
+    return data;
+}
+
+/**
+ * Find a project by slug
+ * @returns {{project: object, index: number}|null}
+ */
+export function findProject(projects, slug) {
+    const index = getProjectSlugs(projects).indexOf(slug);
+    return index === -1 ? null : { project: projects[index], index };
+}
+
+/**
+ * Projects sharing the most technologies with the given one (case-insensitive), best first
+ * @returns {Array<{project: object, slug: string}>}
+ */
+export function getRelatedProjects(projects, index, limit = RELATED_PROJECTS_LIMIT) {
+    const slugs = getProjectSlugs(projects);
+    const technologies = new Set((projects[index]?.technologies || []).map(tech => tech.toLowerCase()));
+
+    return (projects || [])
+        .map((project, i) => ({
+            project,
+            slug: slugs[i],
+            shared: i === index ? 0 : (project.technologies || []).filter(tech => technologies.has(tech.toLowerCase())).length
+        }))
+        .filter(entry => entry.shared > 0)
+        .sort((a, b) => b.shared - a.shared)
+        .slice(0, limit)
+        .map(({ project, slug }) => ({ project, slug }));
+}
@@ -1,8 +1,16 @@
 /**
  * Portfolio Renderer Module
- * Fetches and renders portfolio data from JSON
+ * Fetches and renders portfolio data from JSON.
+ * The section renderers are DOM-free so the server can import them for pre-rendering.
  */
 
+import { localizePortfolio, getLocaleLabel, DEFAULT_SECTION_TITLES } from './i18n.js';
+import { getProjectSlugs } from './projects.js';
+import { getSrcset } from './media.js';
+import { getResumes, selectResume, getResumeFilename } from './resumes.js';
+
+const LOCALE_COOKIE = 'portfolio-lang';
+
 // Social icons as SVG paths
 const SOCIAL_ICONS = {
   github: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/></svg>',
@@ -13,6 +21,15 @@ const SOCIAL_ICONS = {
   website: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/></svg>'
 };
 
+/**
+ * Get the visitor's language: ?lang=, then the locale cookie, then the browser language
+ */
+function getRequestedLocale() {
+  const fromUrl = new URLSearchParams(window.location.search).get('lang');
+  const fromCookie = document.cookie.match(new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]+)`))?.[1];
+  return fromUrl || fromCookie || navigator.language;
+}
+
 /**
  * Get portfolio data - checks demo mode first
  */
@@ -25,7 +42,7 @@ async function getPortfolioData() {
     const demoData = sessionStorage.getItem('demo-portfolio');
     if (demoData) {
       try {
-        return JSON.parse(demoData);
+        return localizePortfolio(JSON.parse(demoData), getRequestedLocale());
       } catch (e) {
         console.error('Failed to parse demo data:', e);
       }
@@ -34,7 +51,7 @@ async function getPortfolioData() {
 
   // Fetch from API
   try {
-    const response = await fetch('/api/portfolio');
+    const response = await fetch(`api/portfolio?lang=${encodeURIComponent(getRequestedLocale())}`);
     if (!response.ok) {
       throw new Error('Failed to fetch portfolio');
     }
@@ -45,10 +62,47 @@ async function getPortfolioData() {
   }
 }
 
+/**
+ * Attributes for an <img>: src, plus srcset and sizes when the image is from the media library
+ */
+function imageAttributes(url, sizes) {
+  const srcset = getSrcset(url);
+  return srcset
+    ? `src="${escapeHtml(url)}" srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(sizes)}"`
+    : `src="${escapeHtml(url)}"`;
+}
+
+const CONTACT_CARD_ICON = `
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <rect x="3" y="4" width="18" height="16" rx="2"></rect>
+    <circle cx="9" cy="11" r="2"></circle>
+    <path d="M6 16c.6-1.5 1.7-2 3-2s2.4.5 3 2"></path>
+    <line x1="15" y1="10" x2="18" y2="10"></line>
+    <line x1="15" y1="14" x2="18" y2="14"></line>
+  </svg>
+`;
+
+/**
+ * Render the "Save Contact" button and a QR code of the same link
+ * The links are relative API URLs, so only pages served by the server show them.
+ */
+function renderContactCard() {
+  return `
+    <div class="contact-card">
+      <a href="api/portfolio/vcard" class="contact-card-btn" download>${CONTACT_CARD_ICON} Save Contact</a>
+      <details class="contact-card-qr">
+        <summary>Show QR code</summary>
+        <img src="api/portfolio/vcard/qr" alt="QR code that downloads the contact card" width="200" height="200" loading="lazy">
+      </details>
+    </div>
+  `;
+}
+
 /**
  * Render the hero section
+ * @param {boolean} [contactCard] - Add the "Save Contact" button
  */
-function renderHero(profile, socials) {
+function renderHero(profile, socials, contactCard = false) {
   if (!profile) return '';
 
   const socialLinks = socials ? socials.map(social => {
@@ -66,7 +120,7 @@ function renderHero(profile, socials) {
   return `
     <section class="hero" id="about">
       <div class="container">
-        <img src="${escapeHtml(photoSrc)}" alt="${escapeHtml(profile.name)}" class="hero-avatar">
+        <img ${imageAttributes(photoSrc, '150px')} alt="${escapeHtml(profile.name)}" class="hero-avatar">
         <h1 class="hero-name">${escapeHtml(profile.name)}</h1>
         <p class="hero-title">${escapeHtml(profile.title)}</p>
         <p class="hero-location">
@@ -76,6 +130,7 @@ function renderHero(profile, socials) {
         <div class="social-links">
           ${socialLinks}
         </div>
+        ${contactCard ? renderContactCard() : ''}
       </div>
     </section>
   `;
@@ -84,7 +139,7 @@ function renderHero(profile, socials) {
 /**
  * Render the skills section
  */
-function renderSkills(skills) {
+function renderSkills(skills, title = 'Skills') {
   if (!skills || skills.length === 0) return '';
 
   const skillCards = skills.map(category => {
@@ -105,7 +160,7 @@ function renderSkills(skills) {
   return `
     <section class="section" id="skills">
       <div class="container">
-        <h2 class="section-title">Skills</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="skills-grid">
           ${skillCards}
         </div>
@@ -115,42 +170,62 @@ function renderSkills(skills) {
 }
 
 /**
- * Render the projects section
+ * Render a project's technology tags
  */
-function renderProjects(projects) {
-  if (!projects || projects.length === 0) return '';
+function renderTechTags(technologies) {
+  return (technologies || []).map(tech =>
+    `<span class="tech-tag">${escapeHtml(tech)}</span>`
+  ).join('');
+}
 
-  const projectCards = projects.map(project => {
-    const techTags = project.technologies.map(tech =>
-      `<span class="tech-tag">${escapeHtml(tech)}</span>`
-    ).join('');
+/**
+ * Render a project's external links (empty URLs are skipped)
+ */
+function renderProjectLinks(project) {
+  const links = [];
+  if (project.url) {
+    links.push(`<a href="${escapeHtml(project.url)}" class="project-link" target="_blank" rel="noopener noreferrer">🔗 Live Demo</a>`);
+  }
+  if (project.github) {
+    links.push(`<a href="${escapeHtml(project.github)}" class="project-link" target="_blank" rel="noopener noreferrer">📂 GitHub</a>`);
+  }
+  return links.join('');
+}
 
-    const links = [];
-    if (project.url) {
-      links.push(`<a href="${escapeHtml(project.url)}" class="project-link" target="_blank" rel="noopener noreferrer">🔗 Live Demo</a>`);
-    }
-    if (project.github) {
-      links.push(`<a href="${escapeHtml(project.github)}" class="project-link" target="_blank" rel="noopener noreferrer">📂 GitHub</a>`);
-    }
+/**
+ * Render one project card linking to its detail page
+ */
+function renderProjectCard(project, slug) {
+  const detailUrl = `projects/${encodeURIComponent(slug)}`;
 
-    return `
+  return `
       <div class="project-card">
-        <h3 class="project-title">${escapeHtml(project.title)}</h3>
+        <h3 class="project-title"><a href="${detailUrl}" class="project-title-link">${escapeHtml(project.title)}</a></h3>
         <p class="project-description">${escapeHtml(project.description)}</p>
         <div class="project-tech">
-          ${techTags}
+          ${renderTechTags(project.technologies)}
         </div>
         <div class="project-links">
-          ${links.join('')}
+          <a href="${detailUrl}" class="project-link">📖 Details</a>
+          ${renderProjectLinks(project)}
         </div>
       </div>
     `;
-  }).join('');
+}
+
+/**
+ * Render the projects section
+ */
+function renderProjects(projects, title = 'Projects') {
+  if (!projects || projects.length === 0) return '';
+
+  const slugs = getProjectSlugs(projects);
+  const projectCards = projects.map((project, index) => renderProjectCard(project, slugs[index])).join('');
 
   return `
     <section class="section" id="projects">
       <div class="container">
-        <h2 class="section-title">Projects</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="projects-grid">
           ${projectCards}
         </div>
@@ -159,10 +234,54 @@ function renderProjects(projects) {
   `;
 }
 
+const DOWNLOAD_ICON = `
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+    <polyline points="7 10 12 15 17 10"></polyline>
+    <line x1="12" y1="15" x2="12" y2="3"></line>
+  </svg>
+`;
+
+/**
+ * Render the resume download button, or a chooser when there are several versions
+ * The version named in ?resume= (or the default) gets the main button.
+ * @param {object[]} resumes - From getResumes(), labels already localized
+ */
+function renderResumeChooser(resumes, profileName, selectedName) {
+  if (resumes.length === 0) return '';
+
+  const selected = selectResume(resumes, selectedName);
+  const link = (resume, className, content) => `
+    <a href="${escapeHtml(resume.url)}" class="${className}" download="${escapeHtml(getResumeFilename(resume, profileName))}" target="_blank" rel="noopener noreferrer">${content}</a>
+  `;
+
+  if (resumes.length === 1) {
+    return `
+      <div class="resume-download-container">
+        ${link(selected, 'resume-download-btn', `${DOWNLOAD_ICON} Download Resume`)}
+      </div>
+    `;
+  }
+
+  const others = resumes
+    .filter(resume => resume !== selected)
+    .map(resume => link(resume, 'resume-version-link', escapeHtml(resume.label)))
+    .join('');
+
+  return `
+    <div class="resume-download-container resume-chooser" data-resume="${escapeHtml(selected.name)}">
+      ${link(selected, 'resume-download-btn', `${DOWNLOAD_ICON} Download Resume · ${escapeHtml(selected.label)}`)}
+      <p class="resume-versions">Other versions: ${others}</p>
+    </div>
+  `;
+}
+
 /**
  * Render the experience section
+ * @param {object[]} resumes - From getResumes()
+ * @param {string} [selectedResume] - Name from a ?resume= link
  */
-function renderExperience(experience, resumeUrl, profileName) {
+function renderExperience(experience, resumes, profileName, title = 'Experience', selectedResume) {
   if (!experience || experience.length === 0) return '';
 
   const experienceItems = experience.map(exp => {
@@ -177,35 +296,26 @@ function renderExperience(experience, resumeUrl, profileName) {
       descriptionHtml = `<p class="experience-description">${escapeHtml(exp.description)}</p>`;
     }
 
+    const logoHtml = exp.logo
+      ? `<img ${imageAttributes(exp.logo, '32px')} alt="" class="experience-logo" loading="lazy">`
+      : '';
+
     return `
       <div class="experience-item">
         <h3 class="experience-role">${escapeHtml(exp.role)}</h3>
-        <p class="experience-company">${escapeHtml(exp.company)}</p>
+        <p class="experience-company">${logoHtml}${escapeHtml(exp.company)}</p>
         <p class="experience-period">${escapeHtml(exp.period)}</p>
         ${descriptionHtml}
       </div>
     `;
   }).join('');
 
-  // Resume download button with profile name as filename
-  const downloadFilename = profileName ? `${profileName.replace(/\s+/g, '_')}_Resume.pdf` : 'Resume.pdf';
-  const resumeButton = resumeUrl ? `
-    <div class="resume-download-container">
-      <a href="${escapeHtml(resumeUrl)}" class="resume-download-btn" download="${escapeHtml(downloadFilename)}" target="_blank" rel="noopener noreferrer">
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-          <polyline points="7 10 12 15 17 10"></polyline>
-          <line x1="12" y1="15" x2="12" y2="3"></line>
-        </svg>
-        Download Resume
-      </a>
-    </div>
-  ` : '';
+  const resumeButton = renderResumeChooser(resumes || [], profileName, selectedResume);
 
   return `
     <section class="section" id="experience">
       <div class="container">
-        <h2 class="section-title">Experience</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="experience-timeline">
           ${experienceItems}
         </div>
@@ -218,7 +328,7 @@ function renderExperience(experience, resumeUrl, profileName) {
 /**
  * Render the certifications section
  */
-function renderCertifications(certifications) {
+function renderCertifications(certifications, title = 'Certifications') {
   if (!certifications || certifications.length === 0) return '';
 
   const certificationCards = certifications.map(cert => {
@@ -226,12 +336,17 @@ function renderCertifications(certifications) {
       ? `<a href="${escapeHtml(cert.url)}" target="_blank" class="certification-link">View Credential</a>`
       : '';
 
+    // Issuer logo if one is set, otherwise the generic badge
+    const iconHtml = cert.logo
+      ? `<img ${imageAttributes(cert.logo, '48px')} alt="${escapeHtml(cert.issuer)}" class="certification-logo" loading="lazy">`
+      : `<svg viewBox="0 0 24 24" fill="currentColor" width="32" height="32">
+            <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z"/>
+          </svg>`;
+
     return `
       <div class="certification-card">
         <div class="certification-icon">
-          <svg viewBox="0 0 24 24" fill="currentColor" width="32" height="32">
-            <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z"/>
-          </svg>
+          ${iconHtml}
         </div>
         <h3 class="certification-name">${escapeHtml(cert.name)}</h3>
         <p class="certification-issuer">${escapeHtml(cert.issuer)}</p>
@@ -244,7 +359,7 @@ function renderCertifications(certifications) {
   return `
     <section class="section" id="certifications">
       <div class="container">
-        <h2 class="section-title">Certifications</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="certifications-grid">
           ${certificationCards}
         </div>
@@ -256,7 +371,7 @@ function renderCertifications(certifications) {
 /**
  * Render the education section
  */
-function renderEducation(education) {
+function renderEducation(education, title = 'Education') {
   if (!education || education.length === 0) return '';
 
   const educationCards = education.map(edu => `
@@ -270,7 +385,7 @@ function renderEducation(education) {
   return `
     <section class="section" id="education">
       <div class="container">
-        <h2 class="section-title">Education</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="education-grid">
           ${educationCards}
         </div>
@@ -282,7 +397,7 @@ function renderEducation(education) {
 /**
  * Render the interests section
  */
-function renderInterests(interests) {
+function renderInterests(interests, title = 'Interests') {
   if (!interests || interests.length === 0) return '';
 
   const interestTags = interests.map(interest =>
@@ -292,7 +407,7 @@ function renderInterests(interests) {
   return `
     <section class="section interests-section" id="interests">
       <div class="container">
-        <h2 class="section-title">Interests</h2>
+        <h2 class="section-title">${escapeHtml(title)}</h2>
         <div class="interests-grid">
           ${interestTags}
         </div>
@@ -302,13 +417,225 @@ function renderInterests(interests) {
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Render the contact form section
+ * The hidden "website" field is a honeypot and "startedAt" a time trap (see lib/contact.js).
+ * @param {number} [renderedAt] - When the form was rendered, in epoch milliseconds
+ */
+function renderContact(title = 'Contact', renderedAt = Date.now()) {
+  return `
+    <section class="section contact-section" id="contact">
+      <div class="container">
+        <h2 class="section-title">${escapeHtml(title)}</h2>
+        <form class="contact-form" id="contact-form" action="api/contact" method="post" novalidate>
+          <div class="contact-row">
+            <label class="contact-field">
+              <span class="contact-label">Name</span>
+              <input type="text" name="name" class="contact-input" maxlength="100" autocomplete="name" required>
+            </label>
+            <label class="contact-field">
+              <span class="contact-label">Email</span>
+              <input type="email" name="email" class="contact-input" maxlength="200" autocomplete="email" required>
+            </label>
+          </div>
+          <label class="contact-field">
+            <span class="contact-label">Subject <small>(optional)</small></span>
+            <input type="text" name="subject" class="contact-input" maxlength="150">
+          </label>
+          <label class="contact-field">
+            <span class="contact-label">Message</span>
+            <textarea name="message" class="contact-input" rows="5" minlength="10" maxlength="5000" required></textarea>
+          </label>
+          <div class="contact-trap" aria-hidden="true">
+            <label>Website <input type="text" name="website" tabindex="-1" autocomplete="off"></label>
+          </div>
+          <input type="hidden" name="startedAt" value="${Number(renderedAt)}">
+          <button type="submit" class="contact-submit">Send Message</button>
+          <p class="contact-status" role="status" aria-live="polite"></p>
+        </form>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Format a post date (YYYY-MM-DD) for display
+ * Returns plain text; callers escape it when inserting.
+ */
+function formatPostDate(date, locale) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime())) return String(date ?? '');
+  try {
+    return parsed.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  } catch {
+    return String(date ?? '');
+  }
+}
+
+/**
+ * Render a post's tags as links to the filtered post list
+ */
+function renderPostTags(tags) {
+  return (tags || []).map(tag =>
+    `<a href="blog?tag=${encodeURIComponent(tag)}" class="tech-tag post-tag">#${escapeHtml(tag)}</a>`
+  ).join('');
+}
+
+/**
+ * Render the blog post list
+ * Links are relative to the site root, so pages below it need a <base href>.
+ */
+function renderPostList(posts, title = 'Writing', tag, locale) {
+  const heading = tag ? `${title}: #${tag}` : title;
+
+  const postCards = (posts || []).map(post => `
+      <article class="project-card post-card">
+        <h3 class="project-title"><a href="blog/${encodeURIComponent(post.slug)}" class="post-card-link">${escapeHtml(post.title)}</a></h3>
+        <time class="post-date" datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date, locale))}</time>
+        <p class="project-description">${escapeHtml(post.summary)}</p>
+        <div class="project-tech">
+          ${renderPostTags(post.tags)}
+        </div>
+      </article>
+    `).join('');
+
+  return `
+    <section class="section" id="blog">
+      <div class="container">
+        <h2 class="section-title">${escapeHtml(heading)}</h2>
+        ${tag ? '<p class="post-filter"><a href="blog" class="post-back">← All posts</a></p>' : ''}
+        ${postCards ? `<div class="posts-list">${postCards}</div>` : '<p class="post-empty">No posts yet.</p>'}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render a single blog post
+ * post.html must already be sanitized (lib/markdown.js does this on the server).
+ */
+function renderPost(post, locale) {
+  return `
+    <section class="section post" id="post">
+      <div class="container post-container">
+        <a href="blog" class="post-back">← All posts</a>
+        <article>
+          <header class="post-header">
+            <h1 class="post-title">${escapeHtml(post.title)}</h1>
+            <time class="post-date" datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date, locale))}</time>
+            <div class="project-tech">
+              ${renderPostTags(post.tags)}
+            </div>
+          </header>
+          <div class="post-body">
+            ${post.html}
+          </div>
+        </article>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render plain text with blank lines as paragraph breaks
+ */
+function renderParagraphs(text) {
+  return String(text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('');
+}
+
+/**
+ * Render a project detail page: case study, screenshots and related projects
+ * Links are relative to the site root, so the page needs a <base href>.
+ * @param {object} project - Localized project
+ * @param {Array<{project: object, slug: string}>} related - From getRelatedProjects()
+ * @param {object} [titles] - Section headings (see DEFAULT_SECTION_TITLES)
+ */
+function renderProjectDetail(project, related = [], titles = DEFAULT_SECTION_TITLES) {
+  const caseStudy = project.caseStudy || {};
+
+  const parts = ['problem', 'approach', 'outcome']
+    .filter(part => caseStudy[part])
+    .map(part => `
+          <div class="case-study-part">
+            <h2>${escapeHtml(titles[part])}</h2>
+            ${renderParagraphs(caseStudy[part])}
+          </div>
+        `).join('');
+
+  const metrics = (caseStudy.metrics || []).length > 0 ? `
+          <div class="case-study-part">
+            <h2>${escapeHtml(titles.metrics)}</h2>
+            <ul class="project-metrics">
+              ${caseStudy.metrics.map(metric => `<li class="skill-tag">${escapeHtml(metric)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : '';
+
+  const gallery = (project.screenshots || []).length > 0 ? `
+          <div class="case-study-part">
+            <h2>${escapeHtml(titles.screenshots)}</h2>
+            <div class="project-gallery">
+              ${project.screenshots.map(shot => `
+                <figure class="project-screenshot">
+                  <a href="${escapeHtml(shot.src)}" target="_blank" rel="noopener noreferrer">
+                    <img ${imageAttributes(shot.src, '(max-width: 760px) 100vw, 360px')} alt="${escapeHtml(shot.caption || project.title)}" loading="lazy">
+                  </a>
+                  ${shot.caption ? `<figcaption>${escapeHtml(shot.caption)}</figcaption>` : ''}
+                </figure>
+              `).join('')}
+            </div>
+          </div>
+        ` : '';
+
+  const relatedSection = related.length > 0 ? `
+    <section class="section" id="related-projects">
+      <div class="container">
+        <h2 class="section-title">${escapeHtml(titles.relatedProjects)}</h2>
+        <div class="projects-grid">
+          ${related.map(entry => renderProjectCard(entry.project, entry.slug)).join('')}
+        </div>
+      </div>
+    </section>
+  ` : '';
+
+  return `
+    <section class="section post" id="project">
+      <div class="container post-container">
+        <a href="./#projects" class="post-back">← ${escapeHtml(titles.projects)}</a>
+        <article>
+          <header class="post-header">
+            <h1 class="post-title">${escapeHtml(project.title)}</h1>
+            <p class="project-description">${escapeHtml(project.description)}</p>
+            <div class="project-tech">
+              ${renderTechTags(project.technologies)}
+            </div>
+            <div class="project-links">
+              ${renderProjectLinks(project)}
+            </div>
+          </header>
+          <div class="post-body case-study">
+            ${parts}
+            ${metrics}
+            ${gallery}
+          </div>
+        </article>
+      </div>
+    </section>
+    ${relatedSection}
+  `;
+}
+
+/**
+ * Escape HTML to prevent XSS (safe for text and quoted attribute values)
  */
 function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  if (text === undefined || text === null || text === '') return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -325,6 +652,67 @@ function renderError() {
   `;
 }
 
+/**
+ * Get the section headings, with defaults for any that are not set
+ */
+function getSectionTitles(data) {
+  return { ...DEFAULT_SECTION_TITLES, ...data.sectionTitles };
+}
+
+/**
+ * Render every portfolio section to an HTML string
+ * Localizable fields are resolved to data.i18n.locale (or the default locale).
+ * @param {object} [options] - { resume } picks the resume version offered first,
+ *   { contactForm } adds the contact form and { contactCard } the "Save Contact" button
+ *   (both need the API, so only pages served by the server use them)
+ */
+function renderSections(data, { resume, contactForm = false, contactCard = false } = {}) {
+  const localized = localizePortfolio(data, data.i18n?.locale);
+  const titles = getSectionTitles(localized);
+
+  return [
+    renderHero(localized.profile, localized.socials, contactCard),
+    renderSkills(localized.skills, titles.skills),
+    renderProjects(localized.projects, titles.projects),
+    renderExperience(localized.experience, getResumes(localized.profile), localized.profile?.name, titles.experience, resume),
+    renderCertifications(localized.certifications, titles.certifications),
+    renderEducation(localized.education, titles.education),
+    renderInterests(localized.interests, titles.interests),
+    contactForm ? renderContact(titles.contact) : ''
+  ].join('');
+}
+
+/**
+ * Render the <option>s of the language selector
+ */
+function renderLocaleOptions(i18n) {
+  return (i18n?.locales || []).map(locale =>
+    `<option value="${escapeHtml(locale)}" ${locale === i18n.locale ? 'selected' : ''}>${escapeHtml(getLocaleLabel(locale))}</option>`
+  ).join('');
+}
+
+/**
+ * Show the language selector when the portfolio has more than one locale
+ */
+function updateLocaleSelect(i18n) {
+  const select = document.getElementById('locale-select');
+  if (!select) return;
+
+  select.innerHTML = renderLocaleOptions(i18n);
+  select.hidden = (i18n?.locales || []).length < 2;
+}
+
+/**
+ * Label the header navigation with the section headings
+ */
+function updateNavLabels(data) {
+  const titles = getSectionTitles(data);
+  document.querySelectorAll('.nav-link').forEach(link => {
+    const title = titles[link.getAttribute('href').replace(/^#/, '')];
+    if (title) link.textContent = title;
+  });
+}
+
 /**
  * Main render function
  */
@@ -332,6 +720,10 @@ async function renderPortfolio() {
   const contentEl = document.getElementById('portfolio-content');
   if (!contentEl) return;
 
+  // Keep server-rendered markup unless demo mode supplies its own data
+  const isDemo = new URLSearchParams(window.location.search).get('demo') === '1';
+  if (contentEl.dataset.rendered === 'server' && !isDemo) return;
+
   const data = await getPortfolioData();
 
   if (!data) {
@@ -344,6 +736,13 @@ async function renderPortfolio() {
     document.title = `${data.profile.name} | Portfolio`;
   }
 
+  // Update language
+  if (data.i18n?.locale) {
+    document.documentElement.lang = data.i18n.locale;
+  }
+  updateLocaleSelect(data.i18n);
+  updateNavLabels(data);
+
   // Update logo
   const logo = document.querySelector('.logo');
   if (logo && data.profile?.name) {
@@ -351,17 +750,9 @@ async function renderPortfolio() {
   }
 
   // Render all sections
-  const html = [
-    renderHero(data.profile, data.socials),
-    renderSkills(data.skills),
-    renderProjects(data.projects),
-    renderExperience(data.experience, data.profile?.resume, data.profile?.name),
-    renderCertifications(data.certifications),
-    renderEducation(data.education),
-    renderInterests(data.interests)
-  ].join('');
-
-  contentEl.innerHTML = html;
+  contentEl.innerHTML = renderSections(data, {
+    resume: new URLSearchParams(window.location.search).get('resume')
+  });
 }
 
 // Mobile Menu Logic
@@ -383,16 +774,167 @@ function initMobileMenu() {
   }
 }
 
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
+// Language selector: remember the choice and reload in that language
+function initLocaleSelect() {
+  const select = document.getElementById('locale-select');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    document.cookie = `${LOCALE_COOKIE}=${select.value}; path=/; max-age=31536000; SameSite=Lax`;
+    const url = new URL(window.location.href);
+    url.searchParams.set('lang', select.value);
+    window.location.href = url.toString();
+  });
+}
+
+// Contact form: send as JSON and show the result in place
+function initContactForm() {
+  document.addEventListener('submit', async (event) => {
+    const form = event.target.closest('#contact-form');
+    if (!form) return;
+    event.preventDefault();
+
+    const status = form.querySelector('.contact-status');
+    const button = form.querySelector('.contact-submit');
+    form.querySelectorAll('.contact-input').forEach(input => input.classList.remove('invalid'));
+    status.className = 'contact-status';
+    button.disabled = true;
+
+    try {
+      const response = await fetch(form.getAttribute('action'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.fromEntries(new FormData(form)))
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        form.reset();
+        status.textContent = result.message;
+        status.classList.add('success');
+      } else {
+        (result.details || []).forEach(detail => {
+          form.querySelector(`[name="${detail.path.slice(1)}"]`)?.classList.add('invalid');
+        });
+        const details = (result.details || []).map(detail => `${detail.path.slice(1)}: ${detail.message}`);
+        status.textContent = [result.error, ...details].join(' ');
+        status.classList.add('error');
+      }
+    } catch (error) {
+      status.textContent = 'Could not send your message. Please try again later.';
+      status.classList.add('error');
+    }
+
+    button.disabled = false;
+  });
+}
+
+/**
+ * Replace the server-rendered page content with a fresh render of the same URL
+ * Fetching the page again keeps its theme, language, resume choice and page type.
+ */
+async function refreshPortfolio() {
+  const contentEl = document.getElementById('portfolio-content');
+  const response = await fetch(window.location.href, { headers: { Accept: 'text/html' }, cache: 'no-store' });
+  if (!response.ok) return;
+
+  const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+  const freshContent = page.getElementById('portfolio-content');
+  if (!freshContent) return;
+
+  // Keep a message the visitor is still writing
+  const form = contentEl.querySelector('#contact-form');
+  const freshForm = freshContent.querySelector('#contact-form');
+  if (form && freshForm && [...form.querySelectorAll('.contact-input')].some(input => input.value)) {
+    freshForm.replaceWith(form);
+  }
+
+  document.title = page.title;
+  document.documentElement.lang = page.documentElement.lang;
+
+  const logo = document.querySelector('.logo');
+  const freshLogo = page.querySelector('.logo');
+  if (logo && freshLogo) logo.textContent = freshLogo.textContent;
+
+  document.querySelectorAll('.nav-link').forEach(link => {
+    const freshLink = page.querySelector(`.nav-link[href="${link.getAttribute('href')}"]`);
+    if (freshLink) link.textContent = freshLink.textContent;
+  });
+
+  const select = document.getElementById('locale-select');
+  const freshSelect = page.getElementById('locale-select');
+  if (select && freshSelect) {
+    select.innerHTML = freshSelect.innerHTML;
+    select.hidden = freshSelect.hidden;
+  }
+
+  contentEl.replaceChildren(...freshContent.childNodes);
+}
+
+// Live updates: re-render in place when the portfolio changes on the server
+function initLiveUpdates() {
+  const contentEl = document.getElementById('portfolio-content');
+  if (contentEl?.dataset.rendered !== 'server' || typeof EventSource === 'undefined') return;
+
+  // Static exports have no server to listen to; demo mode and draft previews don't show the live portfolio
+  const isOff = document.querySelector('meta[name="live-updates"]')?.content === 'off';
+  const isDemo = new URLSearchParams(window.location.search).get('demo') === '1';
+  if (isOff || isDemo || document.querySelector('.preview-banner')) return;
+
+  let etag = null;
+  let refreshing = Promise.resolve();
+
+  const events = new EventSource('api/portfolio/events');
+  events.addEventListener('portfolio', (event) => {
+    // The first event of every connection reports the current version, so changes missed
+    // while reconnecting are caught too
+    const latest = JSON.parse(event.data).etag;
+    if (etag && latest && latest !== etag) {
+      refreshing = refreshing
+        .then(refreshPortfolio)
+        .catch(error => console.error('Could not update the portfolio:', error));
+    }
+    etag = latest || etag;
+  });
+}
+
+// Initialize on DOM ready (browser only; the server imports the renderers)
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      renderPortfolio();
+      initMobileMenu();
+      initLocaleSelect();
+      initContactForm();
+      initLiveUpdates();
+    });
+  } else {
     renderPortfolio();
     initMobileMenu();
-  });
-} else {
-  renderPortfolio();
-  initMobileMenu();
+    initLocaleSelect();
+    initContactForm();
+    initLiveUpdates();
+  }
 }
 
-// Export for use in demo mode
-export { renderPortfolio, getPortfolioData };
+// Export for use in demo mode and the admin editor preview
+export {
+  renderPortfolio,
+  getPortfolioData,
+  renderSections,
+  renderLocaleOptions,
+  escapeHtml,
+  SOCIAL_ICONS,
+  renderHero,
+  renderSkills,
+  renderProjects,
+  renderExperience,
+  renderCertifications,
+  renderEducation,
+  renderInterests,
+  renderContact,
+  renderPostList,
+  renderPost,
+  renderProjectDetail,
+  getSectionTitles
+};
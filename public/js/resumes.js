@@ -0,0 +1,77 @@
+/**
+ * Resume Versions Module
+ * Role-targeted resumes listed in profile.resumes, each with a name (used in
+ * ?resume=<name> links), a label, the PDF URL and an optional download filename:
+ *
+ *   "resumes": [
+ *     { "name": "data-engineer", "label": "Data Engineer", "url": "/uploads/resumes/data-engineer.pdf", "default": true },
+ *     { "name": "ml-engineer", "label": "ML Engineer", "url": "/uploads/resumes/ml-engineer.pdf" }
+ *   ]
+ *
+ * Shared by the server (resume routes, RAG chunking) and the browser (renderer).
+ * Portfolios from before named resumes have a single profile.resume URL, which is
+ * treated as one default resume named "resume".
+ */
+
+export const LEGACY_RESUME_NAME = 'resume';
+
+const RESUME_NAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Check that a name can be used as a resume name (lowercase letters, digits, dashes)
+ */
+export function isResumeName(name) {
+    return typeof name === 'string' && RESUME_NAME_PATTERN.test(name);
+}
+
+/**
+ * Turn a resume name into a label ("ml-engineer" -> "Ml Engineer")
+ */
+export function labelFromName(name) {
+    return String(name).split('-').filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Get a profile's resumes, with the legacy single resume mapped to the same shape
+ * @returns {Array<{name: string, label: string|object, url: string, downloadName?: string, default?: boolean}>}
+ */
+export function getResumes(profile) {
+    if (Array.isArray(profile?.resumes) && profile.resumes.length > 0) {
+        return profile.resumes;
+    }
+    if (profile?.resume) {
+        return [{ name: LEGACY_RESUME_NAME, label: 'Resume', url: profile.resume, default: true }];
+    }
+    return [];
+}
+
+/**
+ * Get the default resume: the one marked "default", else the first
+ */
+export function getDefaultResume(resumes) {
+    return resumes.find(resume => resume.default) || resumes[0] || null;
+}
+
+/**
+ * Pick the resume named in a ?resume= link, falling back to the default
+ */
+export function selectResume(resumes, name) {
+    return resumes.find(resume => resume.name === name) || getDefaultResume(resumes);
+}
+
+/**
+ * Filename a resume is downloaded as ("Jane_Doe_Resume_ML_Engineer.pdf" unless set)
+ * @param {object} resume - Resume with a resolved (string) label
+ * @param {string} [profileName]
+ */
+export function getResumeFilename(resume, profileName) {
+    if (resume.downloadName) {
+        return /\.pdf$/i.test(resume.downloadName) ? resume.downloadName : `${resume.downloadName}.pdf`;
+    }
+
+    const parts = [profileName, 'Resume'];
+    if (resume.name !== LEGACY_RESUME_NAME && typeof resume.label === 'string') parts.push(resume.label);
+    return `${parts.filter(Boolean).join(' ').replace(/\s+/g, '_')}.pdf`;
+}
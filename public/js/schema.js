@@ -0,0 +1,279 @@
+/**
+ * Portfolio Schema Module
+ * JSON Schema for portfolio.json and a small validator shared by the
+ * server (upload route) and the browser (demo editor, admin panel)
+ */
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const optionalString = { type: 'string' };
+const stringList = { type: 'array', items: nonEmptyString };
+const yearValue = { type: ['string', 'number'] };
+const localeCode = { type: 'string', format: 'locale' };
+const slugValue = { type: 'string', format: 'slug' };
+
+// Localizable text: a string or a map of locale to string (see i18n.js)
+const localizedText = { type: ['string', 'object'], additionalProperties: optionalString };
+const localizedLine = { type: ['string', 'object'], minLength: 1, additionalProperties: nonEmptyString };
+
+export const PORTFOLIO_SCHEMA = {
+    type: 'object',
+    required: ['profile'],
+    properties: {
+        profile: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: nonEmptyString,
+                title: optionalString,
+                avatar: optionalString,
+                photo: optionalString,
+                resume: optionalString,
+                resumes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'label', 'url'],
+                        properties: {
+                            name: { ...slugValue, minLength: 1 },
+                            label: localizedLine,
+                            url: nonEmptyString,
+                            downloadName: optionalString,
+                            default: { type: 'boolean' }
+                        }
+                    }
+                },
+                location: optionalString,
+                email: { type: 'string', format: 'email' },
+                summary: localizedText
+            }
+        },
+        i18n: {
+            type: 'object',
+            required: ['defaultLocale'],
+            properties: {
+                defaultLocale: localeCode,
+                locales: { type: 'array', items: localeCode }
+            }
+        },
+        sectionTitles: { type: 'object', additionalProperties: localizedText },
+        socials: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['platform', 'url'],
+                properties: {
+                    platform: nonEmptyString,
+                    url: nonEmptyString,
+                    icon: optionalString
+                }
+            }
+        },
+        skills: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['category', 'items'],
+                properties: {
+                    category: nonEmptyString,
+                    items: stringList
+                }
+            }
+        },
+        projects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'description', 'technologies'],
+                properties: {
+                    title: nonEmptyString,
+                    slug: slugValue,
+                    description: localizedText,
+                    technologies: stringList,
+                    url: optionalString,
+                    github: optionalString,
+                    caseStudy: {
+                        type: 'object',
+                        properties: {
+                            problem: localizedText,
+                            approach: localizedText,
+                            outcome: localizedText,
+                            metrics: { type: 'array', items: localizedLine }
+                        }
+                    },
+                    screenshots: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['src'],
+                            properties: {
+                                src: nonEmptyString,
+                                caption: localizedText
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        experience: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['company', 'role', 'period'],
+                properties: {
+                    company: nonEmptyString,
+                    role: nonEmptyString,
+                    period: nonEmptyString,
+                    highlights: { type: 'array', items: localizedLine },
+                    description: localizedText,
+                    logo: optionalString
+                }
+            }
+        },
+        education: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['institution', 'degree'],
+                properties: {
+                    institution: nonEmptyString,
+                    degree: nonEmptyString,
+                    year: yearValue
+                }
+            }
+        },
+        certifications: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'issuer'],
+                properties: {
+                    name: nonEmptyString,
+                    issuer: nonEmptyString,
+                    year: yearValue,
+                    url: optionalString,
+                    logo: optionalString
+                }
+            }
+        },
+        interests: stringList
+    }
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Escape a property name for use inside a JSON pointer (RFC 6901)
+ */
+function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Recursively validate a value against a schema node
+ */
+function validateNode(value, schema, path, errors) {
+    const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = typeOf(value);
+
+    if (schema.type && !allowedTypes.includes(actualType)) {
+        errors.push({
+            path: path || '/',
+            message: `Expected ${allowedTypes.join(' or ')} but got ${actualType}`
+        });
+        return;
+    }
+
+    if (actualType === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push({ path, message: 'Must not be empty' });
+        }
+        if (schema.format === 'email' && value && !EMAIL_PATTERN.test(value)) {
+            errors.push({ path, message: 'Must be a valid email address' });
+        }
+        if (schema.format === 'locale' && !LOCALE_PATTERN.test(value)) {
+            errors.push({ path, message: 'Must be a language code such as "en" or "pt-BR"' });
+        }
+        if (schema.format === 'slug' && value && !SLUG_PATTERN.test(value)) {
+            errors.push({ path, message: 'Must use lowercase letters, digits and dashes only' });
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({
+                    path: `${path}/${escapePointerToken(key)}`,
+                    message: `Missing required field "${key}"`
+                });
+            }
+        }
+        for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validateNode(value[key], childSchema, `${path}/${escapePointerToken(key)}`, errors);
+            }
+        }
+        if (schema.additionalProperties) {
+            for (const [key, childValue] of Object.entries(value)) {
+                if (!schema.properties?.[key]) {
+                    validateNode(childValue, schema.additionalProperties, `${path}/${escapePointerToken(key)}`, errors);
+                }
+            }
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            validateNode(item, schema.items, `${path}/${index}`, errors);
+        });
+    }
+}
+
+/**
+ * Validate portfolio data against the portfolio schema
+ * @param {any} data - Parsed portfolio JSON
+ * @returns {Array<{path: string, message: string}>} Errors keyed by JSON pointer (empty when valid)
+ */
+export function validatePortfolio(data) {
+    const errors = [];
+    validateNode(data, PORTFOLIO_SCHEMA, '', errors);
+
+    // Project slugs name the /projects/:slug pages, so they must be unique
+    if (Array.isArray(data?.projects)) {
+        const seen = new Set();
+        data.projects.forEach((project, index) => {
+            if (typeof project?.slug !== 'string' || !project.slug) return;
+            if (seen.has(project.slug)) {
+                errors.push({ path: `/projects/${index}/slug`, message: 'Must be unique' });
+            }
+            seen.add(project.slug);
+        });
+    }
+
+    // Resume names appear in ?resume= links, and only one resume can be the default
+    if (Array.isArray(data?.profile?.resumes)) {
+        const seen = new Set();
+        let defaults = 0;
+        data.profile.resumes.forEach((resume, index) => {
+            if (typeof resume?.name === 'string' && seen.has(resume.name)) {
+                errors.push({ path: `/profile/resumes/${index}/name`, message: 'Must be unique' });
+            }
+            seen.add(resume?.name);
+            if (resume?.default === true && ++defaults > 1) {
+                errors.push({ path: `/profile/resumes/${index}/default`, message: 'Only one resume can be the default' });
+            }
+        });
+    }
+
+    return errors;
+}
@@ -7,6 +7,9 @@ const THEMES = ['minimal', 'modern', 'elegant', 'retro'];
 const STORAGE_KEY = 'portfolio-theme';
 const DEFAULT_THEME = 'modern';
 
+// Static exports have no analytics endpoints
+const analyticsEnabled = document.querySelector('meta[name="theme-analytics"]')?.content !== 'off';
+
 // DOM Elements
 const themeLink = document.getElementById('theme-css');
 const popupBtn = document.getElementById('theme-popup-btn');
@@ -41,8 +44,9 @@ export function applyTheme(themeName, trackAction = false) {
         themeLink.href = `/css/theme-${themeName}.css`;
     }
 
-    // Save to localStorage
+    // Save to localStorage, and to a cookie so the server can pre-render with this theme
     localStorage.setItem(STORAGE_KEY, themeName);
+    document.cookie = `${STORAGE_KEY}=${themeName}; path=/; max-age=31536000; SameSite=Lax`;
 
     // Reset like button state when theme changes
     if (likeBtn) likeBtn.classList.remove('liked');
@@ -78,8 +82,10 @@ function updateActiveThemeUI(activeTheme) {
  * Send theme analytics event (switch or like)
  */
 async function sendThemeAnalytics(themeName, action) {
+    if (!analyticsEnabled) return;
+
     try {
-        await fetch('/api/theme-analytics', {
+        await fetch('api/theme-analytics', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ theme: themeName, action })
@@ -93,8 +99,10 @@ async function sendThemeAnalytics(themeName, action) {
  * Fetch theme stats for the modal
  */
 async function fetchThemeStats() {
+    if (!analyticsEnabled) return null;
+
     try {
-        const response = await fetch('/api/public-theme-stats');
+        const response = await fetch('api/public-theme-stats');
         if (response.ok) {
             return await response.json();
         }
@@ -1,123 +1,286 @@
-import { readFile } from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { localizePortfolio, getLocaleSettings } from '../public/js/i18n.js';
+import { getResumes } from '../public/js/resumes.js';
+import { getResumeFile } from '../lib/resumes.js';
+import { readAllPosts } from '../lib/posts.js';
+import { parseBlocks, toPlainText } from '../lib/markdown.js';
+import { readJson, readObject } from '../lib/storage.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Resume chunking: ~800 character windows overlapping by ~200 characters
+const RESUME_CHUNK_SIZE = 800;
+const RESUME_CHUNK_OVERLAP = 200;
 
 /**
- * Chunk the portfolio JSON into logical text blocks for RAG retrieval
- * @returns {Promise<Array<{id: string, text: string, type: string}>>}
+ * Chunk a tenant's portfolio JSON into logical text blocks for RAG retrieval
+ * Portfolios with several locales get one set of chunks per locale.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @returns {Promise<Array<{id: string, text: string, type: string, locale: string}>>}
  */
-export async function chunkPortfolio() {
-    const portfolioPath = join(__dirname, '..', 'data', 'portfolio.json');
-
+export async function chunkPortfolio(tenant) {
     try {
-        const data = await readFile(portfolioPath, 'utf8');
-        const portfolio = JSON.parse(data);
-        const chunks = [];
+        const data = await readJson(tenant, 'portfolio.json');
+        const { locales } = getLocaleSettings(data);
+
+        return locales.flatMap(locale =>
+            chunkDocument(localizePortfolio(data, locale)).map(chunk => ({
+                ...chunk,
+                id: locales.length > 1 ? `${locale}:${chunk.id}` : chunk.id,
+                locale
+            }))
+        );
+    } catch (error) {
+        console.error('Error chunking portfolio:', error);
+        return [];
+    }
+}
+
+/**
+ * Chunk one localized portfolio document
+ */
+function chunkDocument(portfolio) {
+    const chunks = [];
 
-        // Profile chunk
-        if (portfolio.profile) {
-            const { name, title, location, email, summary } = portfolio.profile;
+    // Profile chunk
+    if (portfolio.profile) {
+        const { name, title, location, email, summary } = portfolio.profile;
+        chunks.push({
+            id: 'profile',
+            type: 'profile',
+            text: `Profile: ${name} is a ${title} based in ${location}. Email: ${email}. ${summary}`
+        });
+    }
+
+    // Skills chunks
+    if (portfolio.skills && Array.isArray(portfolio.skills)) {
+        portfolio.skills.forEach((skillCategory, index) => {
             chunks.push({
-                id: 'profile',
-                type: 'profile',
-                text: `Profile: ${name} is a ${title} based in ${location}. Email: ${email}. ${summary}`
+                id: `skill-${index}`,
+                type: 'skill',
+                text: `Skills - ${skillCategory.category}: ${skillCategory.items.join(', ')}`
             });
-        }
+        });
+    }
 
-        // Skills chunks
-        if (portfolio.skills && Array.isArray(portfolio.skills)) {
-            portfolio.skills.forEach((skillCategory, index) => {
-                chunks.push({
-                    id: `skill-${index}`,
-                    type: 'skill',
-                    text: `Skills - ${skillCategory.category}: ${skillCategory.items.join(', ')}`
-                });
+    // Project chunks, plus one per case-study part for projects with a detail page write-up
+    if (portfolio.projects && Array.isArray(portfolio.projects)) {
+        portfolio.projects.forEach((project, index) => {
+            chunks.push({
+                id: `project-${index}`,
+                type: 'project',
+                text: `Project: ${project.title}. ${project.description}. Technologies used: ${project.technologies.join(', ')}.`
             });
-        }
 
-        // Project chunks
-        if (portfolio.projects && Array.isArray(portfolio.projects)) {
-            portfolio.projects.forEach((project, index) => {
+            const caseStudy = project.caseStudy || {};
+            const parts = {
+                problem: caseStudy.problem,
+                approach: caseStudy.approach,
+                outcome: caseStudy.outcome,
+                results: (caseStudy.metrics || []).join('; '),
+                screenshots: (project.screenshots || []).map(shot => shot.caption).filter(Boolean).join('; ')
+            };
+            Object.entries(parts).forEach(([part, text]) => {
+                if (!text) return;
                 chunks.push({
-                    id: `project-${index}`,
+                    id: `project-${index}-${part}`,
                     type: 'project',
-                    text: `Project: ${project.title}. ${project.description}. Technologies used: ${project.technologies.join(', ')}.`
+                    text: `Project case study: ${project.title} - ${part}: ${text}`
                 });
             });
-        }
+        });
+    }
 
-        // Experience chunks - include highlights for detailed work history
-        if (portfolio.experience && Array.isArray(portfolio.experience)) {
-            portfolio.experience.forEach((exp, index) => {
-                // Build text from highlights array if available, otherwise use description
-                let experienceText = `Experience: ${exp.role} at ${exp.company} (${exp.period}).`;
-                if (exp.highlights && Array.isArray(exp.highlights)) {
-                    experienceText += ` Key achievements: ${exp.highlights.join('. ')}.`;
-                } else if (exp.description) {
-                    experienceText += ` ${exp.description}`;
-                }
-                chunks.push({
-                    id: `experience-${index}`,
-                    type: 'experience',
-                    text: experienceText
-                });
+    // Experience chunks - include highlights for detailed work history
+    if (portfolio.experience && Array.isArray(portfolio.experience)) {
+        portfolio.experience.forEach((exp, index) => {
+            // Build text from highlights array if available, otherwise use description
+            let experienceText = `Experience: ${exp.role} at ${exp.company} (${exp.period}).`;
+            if (exp.highlights && Array.isArray(exp.highlights)) {
+                experienceText += ` Key achievements: ${exp.highlights.join('. ')}.`;
+            } else if (exp.description) {
+                experienceText += ` ${exp.description}`;
+            }
+            chunks.push({
+                id: `experience-${index}`,
+                type: 'experience',
+                text: experienceText
             });
-        }
+        });
+    }
 
-        // Education chunks
-        if (portfolio.education && Array.isArray(portfolio.education)) {
-            portfolio.education.forEach((edu, index) => {
-                chunks.push({
-                    id: `education-${index}`,
-                    type: 'education',
-                    text: `Education: ${edu.degree} from ${edu.institution} (${edu.year})`
-                });
+    // Education chunks
+    if (portfolio.education && Array.isArray(portfolio.education)) {
+        portfolio.education.forEach((edu, index) => {
+            chunks.push({
+                id: `education-${index}`,
+                type: 'education',
+                text: `Education: ${edu.degree} from ${edu.institution} (${edu.year})`
             });
-        }
+        });
+    }
 
-        // Certifications chunks
-        if (portfolio.certifications && Array.isArray(portfolio.certifications)) {
-            portfolio.certifications.forEach((cert, index) => {
-                chunks.push({
-                    id: `certification-${index}`,
-                    type: 'certification',
-                    text: `Certification: ${cert.name} issued by ${cert.issuer}, obtained in ${cert.year}`
-                });
-            });
-            // Also create a combined certifications summary chunk
-            const certList = portfolio.certifications.map(c => `${c.name} (${c.issuer})`).join(', ');
+    // Certifications chunks
+    if (portfolio.certifications && Array.isArray(portfolio.certifications)) {
+        portfolio.certifications.forEach((cert, index) => {
             chunks.push({
-                id: 'certifications-summary',
+                id: `certification-${index}`,
                 type: 'certification',
-                text: `All Certifications: ${certList}`
+                text: `Certification: ${cert.name} issued by ${cert.issuer}, obtained in ${cert.year}`
             });
+        });
+        // Also create a combined certifications summary chunk
+        const certList = portfolio.certifications.map(c => `${c.name} (${c.issuer})`).join(', ');
+        chunks.push({
+            id: 'certifications-summary',
+            type: 'certification',
+            text: `All Certifications: ${certList}`
+        });
+    }
+
+    // Interests chunk
+    if (portfolio.interests && Array.isArray(portfolio.interests)) {
+        chunks.push({
+            id: 'interests',
+            type: 'interests',
+            text: `Interests and Hobbies: ${portfolio.interests.join(', ')}`
+        });
+    }
+
+    // Socials chunk
+    if (portfolio.socials && Array.isArray(portfolio.socials)) {
+        const socialLinks = portfolio.socials.map(s => `${s.platform}: ${s.url}`).join(', ');
+        chunks.push({
+            id: 'socials',
+            type: 'social',
+            text: `Social Links: ${socialLinks}`
+        });
+    }
+
+
+    return chunks;
+}
+
+/**
+ * Split text into overlapping windows on word boundaries
+ * @param {string} text - Source text
+ * @param {number} size - Maximum characters per chunk
+ * @param {number} overlap - Characters shared between consecutive chunks
+ * @returns {string[]}
+ */
+export function splitWithOverlap(text, size = RESUME_CHUNK_SIZE, overlap = RESUME_CHUNK_OVERLAP) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const chunks = [];
+    let start = 0;
+
+    while (start < words.length) {
+        let end = start;
+        let length = 0;
+        while (end < words.length && (length === 0 || length + words[end].length + 1 <= size)) {
+            length += words[end].length + 1;
+            end++;
         }
+        chunks.push(words.slice(start, end).join(' '));
 
-        // Interests chunk
-        if (portfolio.interests && Array.isArray(portfolio.interests)) {
-            chunks.push({
-                id: 'interests',
-                type: 'interests',
-                text: `Interests and Hobbies: ${portfolio.interests.join(', ')}`
-            });
+        if (end >= words.length) break;
+
+        // Step back far enough to repeat roughly `overlap` characters
+        let next = end;
+        let overlapLength = 0;
+        while (next > start + 1 && overlapLength + words[next - 1].length + 1 <= overlap) {
+            next--;
+            overlapLength += words[next].length + 1;
         }
+        start = next;
+    }
 
-        // Socials chunk
-        if (portfolio.socials && Array.isArray(portfolio.socials)) {
-            const socialLinks = portfolio.socials.map(s => `${s.platform}: ${s.url}`).join(', ');
-            chunks.push({
-                id: 'socials',
-                type: 'social',
-                text: `Social Links: ${socialLinks}`
+    return chunks;
+}
+
+/**
+ * Extract a tenant's uploaded resume PDFs and chunk them for RAG retrieval
+ * Each version of a role-targeted resume is chunked separately and named in the text.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @returns {Promise<Array<{id: string, text: string, type: string}>>}
+ */
+export async function chunkResume(tenant) {
+    let data;
+    try {
+        data = await readJson(tenant, 'portfolio.json');
+    } catch (error) {
+        console.error('Error reading resumes:', error);
+        return [];
+    }
+    if (!data) return [];
+
+    const { defaultLocale } = getLocaleSettings(data);
+    const resumes = getResumes(localizePortfolio(data, defaultLocale).profile);
+    const chunks = [];
+
+    for (const resume of resumes) {
+        const resumeFile = getResumeFile(tenant, resume);
+        const buffer = resumeFile ? await readObject(tenant, resumeFile) : null;
+        if (!buffer) continue;
+
+        try {
+            const pdf = await getDocumentProxy(new Uint8Array(buffer));
+            const { text } = await extractText(pdf, { mergePages: true });
+            const prefix = resumes.length > 1 ? `Resume (${resume.label}): ` : 'Resume: ';
+
+            splitWithOverlap(text).forEach((chunkText, index) => {
+                chunks.push({
+                    id: resumes.length > 1 ? `resume-${resume.name}-${index}` : `resume-${index}`,
+                    type: 'resume',
+                    text: `${prefix}${chunkText}`
+                });
             });
+        } catch (error) {
+            console.error(`Error chunking resume "${resume.name}":`, error);
         }
+    }
 
-        return chunks;
+    return chunks;
+}
+
+/**
+ * Chunk a tenant's blog posts: one overview chunk per post plus one chunk per paragraph
+ * Headings are folded into the paragraph that follows them; code blocks are left out.
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @returns {Promise<Array<{id: string, text: string, type: string}>>}
+ */
+export async function chunkPosts(tenant) {
+    try {
+        const posts = await readAllPosts(tenant);
+
+        return posts.flatMap(post => {
+            const tags = post.tags.length > 0 ? `, tags: ${post.tags.join(', ')}` : '';
+            const source = `Blog post "${post.title}" (${post.date}${tags})`;
+            const chunks = [{
+                id: `post-${post.slug}`,
+                type: 'post',
+                text: `${source}. ${post.summary}`.trim()
+            }];
+
+            let heading = '';
+            parseBlocks(post.body).forEach(block => {
+                if (block.type === 'heading') {
+                    heading = toPlainText(block.text);
+                    return;
+                }
+                if (block.type === 'code' || block.type === 'rule') return;
+
+                const text = toPlainText(block.type === 'list' ? block.items.join('; ') : block.text);
+                if (!text) return;
+
+                chunks.push({
+                    id: `post-${post.slug}-${chunks.length}`,
+                    type: 'post',
+                    text: `${source}${heading ? `, section "${heading}"` : ''}: ${text}`
+                });
+            });
+
+            return chunks;
+        });
     } catch (error) {
-        console.error('Error chunking portfolio:', error);
+        console.error('Error chunking posts:', error);
         return [];
     }
 }
@@ -3,21 +3,42 @@
  * Uses the provider abstraction to support multiple embedding backends
  */
 
-import { chunkPortfolio } from './chunker.js';
+import { createHash } from 'crypto';
+import { chunkPortfolio, chunkResume, chunkPosts } from './chunker.js';
 import { getClient, getEmbeddingModel, isProviderConfigured, supportsEmbeddings, getProviderStatus } from './providers.js';
 
-// In-memory storage for embeddings
-let embeddingsCache = [];
+// In-memory storage for embeddings, keyed by tenant slug
+const embeddingsCache = new Map();
+
+// Fingerprint of the chunks behind each tenant's cache, to skip rebuilding unchanged content
+const chunkFingerprints = new Map();
+
+// Pending rebuild per tenant slug; rebuilds of one tenant run one at a time
+const pendingBuilds = new Map();
 
 /**
- * Initialize embeddings on server startup
+ * Initialize embeddings for a tenant (on startup and after every portfolio change)
+ * @param {object} tenant - Tenant from lib/tenants.js
  */
-export async function initializeEmbeddings() {
-    const chunks = await chunkPortfolio();
+export function initializeEmbeddings(tenant) {
+    const previous = pendingBuilds.get(tenant.slug) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => buildEmbeddings(tenant));
+    pendingBuilds.set(tenant.slug, next);
+    return next;
+}
+
+async function buildEmbeddings(tenant) {
+    // Portfolio sections, the text of the uploaded resume PDF and blog posts
+    const chunks = [...await chunkPortfolio(tenant), ...await chunkResume(tenant), ...await chunkPosts(tenant)];
+
+    // A change can be reported twice (by the route that saved it and by the file watcher)
+    const fingerprint = createHash('sha1').update(JSON.stringify(chunks)).digest('hex');
+    if (chunkFingerprints.get(tenant.slug) === fingerprint) return;
+    chunkFingerprints.delete(tenant.slug);
 
     if (chunks.length === 0) {
-        console.warn('No chunks to embed');
-        embeddingsCache = [];
+        console.warn(`No chunks to embed for tenant "${tenant.slug}"`);
+        embeddingsCache.set(tenant.slug, []);
         return;
     }
 
@@ -26,19 +47,19 @@ export async function initializeEmbeddings() {
     // Check if provider is configured and supports embeddings
     if (!isProviderConfigured()) {
         console.warn(`${status.name} not configured. Using simple keyword matching for RAG.`);
-        embeddingsCache = chunks.map(chunk => ({
+        embeddingsCache.set(tenant.slug, chunks.map(chunk => ({
             ...chunk,
             embedding: null
-        }));
+        })));
         return;
     }
 
     if (!supportsEmbeddings()) {
         console.warn(`${status.name} doesn't support embeddings. Using keyword matching.`);
-        embeddingsCache = chunks.map(chunk => ({
+        embeddingsCache.set(tenant.slug, chunks.map(chunk => ({
             ...chunk,
             embedding: null
-        }));
+        })));
         return;
     }
 
@@ -61,23 +82,25 @@ export async function initializeEmbeddings() {
             };
         });
 
-        embeddingsCache = await Promise.all(embeddingPromises);
-        console.log(`Generated embeddings for ${embeddingsCache.length} chunks`);
+        const embedded = await Promise.all(embeddingPromises);
+        embeddingsCache.set(tenant.slug, embedded);
+        chunkFingerprints.set(tenant.slug, fingerprint);
+        console.log(`Generated embeddings for ${embedded.length} chunks (tenant "${tenant.slug}")`);
     } catch (error) {
         console.error('Error generating embeddings:', error.message);
         // Fallback to keyword matching
-        embeddingsCache = chunks.map(chunk => ({
+        embeddingsCache.set(tenant.slug, chunks.map(chunk => ({
             ...chunk,
             embedding: null
-        }));
+        })));
     }
 }
 
 /**
- * Get the current embeddings cache
+ * Get the current embeddings cache of a tenant
  */
-export function getEmbeddingsCache() {
-    return embeddingsCache;
+export function getEmbeddingsCache(tenant) {
+    return embeddingsCache.get(tenant.slug) || [];
 }
 
 /**
@@ -9,9 +9,10 @@ import { getClient, getChatModel, isProviderConfigured, getProviderStatus } from
  * Generate a response using the LLM with retrieved context
  * @param {string} query - User's question
  * @param {Array<{text: string}>} chunks - Retrieved relevant chunks
+ * @param {string} [ownerName] - Name of the portfolio owner the assistant represents
  * @returns {Promise<string>}
  */
-export async function generateResponse(query, chunks) {
+export async function generateResponse(query, chunks, ownerName = 'the portfolio owner') {
     // Build context from chunks
     const context = chunks.map(c => c.text).join('\n\n');
 
@@ -29,25 +30,28 @@ export async function generateResponse(query, chunks) {
 
         console.log(`Using ${status.name} with model: ${model}`);
 
-        const systemPrompt = `You are a professional AI assistant representing Saurabh Suman's portfolio website. Your role is to provide polished, articulate, and engaging responses about Saurabh's professional background.
+        const firstName = ownerName.split(' ')[0];
+
+        const systemPrompt = `You are a professional AI assistant representing ${ownerName}'s portfolio website. Your role is to provide polished, articulate, and engaging responses about ${firstName}'s professional background.
 
 ## Response Guidelines:
 - **Tone**: Professional yet approachable, confident but not boastful
-- **Style**: Write in third person when discussing Saurabh (e.g., "He has..." not "I have...")
+- **Style**: Write in third person when discussing ${firstName} (e.g., "${firstName} has..." not "I have...")
 - **Format**: Use clean, well-structured responses. Avoid excessive bullet points or markdown unless listing multiple items
 - **Length**: Be concise but comprehensive. Aim for 2-4 sentences for simple questions, more for complex ones
 - **Accuracy**: Only use information from the provided context. Never fabricate details
-- **Personality**: Present Saurabh as a seasoned professional with deep expertise
+- **Personality**: Present ${firstName} as a seasoned professional with deep expertise
 
 ## Formatting Rules:
 - For certifications: Mention the credential name and issuing organization naturally, without verification URLs
 - For experience: Highlight key achievements and impact, not just job duties
 - For skills: Group related technologies and explain practical application when relevant
 - For projects: Emphasize the problem solved and technologies used
+- For blog posts: Name the post title and summarize what it covers
 
 If a question cannot be answered from the context, politely explain that specific information isn't available and suggest what you can help with instead.
 
-Context about Saurabh:
+Context about ${firstName}:
 ${context}`;
 
         const response = await client.chat.completions.create({
@@ -99,6 +103,13 @@ function generateFallbackResponse(query, chunks) {
         }
     }
 
+    if (queryLower.includes('blog') || queryLower.includes('article') || queryLower.includes('written') || queryLower.includes('wrote')) {
+        const postChunk = chunks.find(c => c.type === 'post');
+        if (postChunk) {
+            return `From the blog: ${postChunk.text}`;
+        }
+    }
+
     if (queryLower.includes('who') || queryLower.includes('about') || queryLower.includes('name')) {
         const profileChunk = chunks.find(c => c.type === 'profile');
         if (profileChunk) {
@@ -120,6 +131,13 @@ function generateFallbackResponse(query, chunks) {
         }
     }
 
+    if (queryLower.includes('resume') || queryLower.includes('cv')) {
+        const resumeChunk = chunks.find(c => c.type === 'resume');
+        if (resumeChunk) {
+            return `From the resume: ${resumeChunk.text.replace(/^Resume(?: \([^)]*\))?: /, '')}`;
+        }
+    }
+
     // Default: return the most relevant chunk
     return `Based on the portfolio: ${chunks[0].text}`;
 }
@@ -4,11 +4,16 @@ const TOP_K = 5; // Number of relevant chunks to retrieve (increased for better
 
 /**
  * Retrieve the most relevant chunks for a given query
+ * Only the tenant's own chunks are searched, in the requested language
+ * (chunks without a locale, such as the resume and blog posts, match every language).
  * @param {string} query - User's question
+ * @param {object} tenant - Tenant from lib/tenants.js
+ * @param {string} [locale] - Content language of the page the question came from
  * @returns {Promise<Array<{text: string, score: number}>>}
  */
-export async function retrieveRelevantChunks(query) {
-    const cache = getEmbeddingsCache();
+export async function retrieveRelevantChunks(query, tenant, locale) {
+    const cache = getEmbeddingsCache(tenant)
+        .filter(chunk => !locale || !chunk.locale || chunk.locale === locale);
 
     if (cache.length === 0) {
         return [];
@@ -74,7 +79,9 @@ function retrieveByKeyword(query, cache) {
             profile: ['who', 'about', 'name', 'contact', 'email', 'summary', 'introduce'],
             social: ['social', 'link', 'github', 'linkedin', 'twitter', 'medium', 'portfolio', 'website'],
             certification: ['certification', 'certified', 'certificate', 'credential', 'badge', 'qualification'],
-            interests: ['interest', 'hobby', 'hobbies', 'like', 'enjoy', 'passion', 'free time', 'fun']
+            interests: ['interest', 'hobby', 'hobbies', 'like', 'enjoy', 'passion', 'free time', 'fun'],
+            resume: ['resume', 'cv', 'detail', 'responsibility', 'achievement', 'duties', 'background'],
+            post: ['blog', 'post', 'article', 'written', 'wrote', 'write', 'writing', 'publish']
         };
 
         if (typeKeywords[chunk.type]) {
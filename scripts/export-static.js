@@ -0,0 +1,147 @@
+/**
+ * Static Site Export
+ * Writes a self-contained dist/ folder that can be hosted without Express:
+ * pre-rendered index.html, project and blog pages, stylesheets, scripts, uploads and a static portfolio.json.
+ *
+ * Usage:
+ *   npm run export                                   # chatbox disabled
+ *   npm run export -- --chat-url=https://me.example.com/api/chat
+ *   npm run export -- --out=public_html
+ *   npm run export -- --lang=de                      # localized portfolios: language to render
+ *   npm run export -- --site-url=https://me.example.com/   # link previews, sitemap.xml, robots.txt
+ *
+ * EXPORT_DIR, EXPORT_CHAT_URL, EXPORT_LANG and SITE_URL may be set in .env instead of the flags.
+ */
+
+import { writeFile, mkdir, cp, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import dotenv from 'dotenv';
+
+import { renderIndex, renderBlogIndex, renderBlogPost, renderProjectPage, DEFAULT_THEME } from '../lib/ssr.js';
+import { getProjectSlugs } from '../public/js/projects.js';
+import { listPosts, readPost } from '../lib/posts.js';
+import { DEFAULT_TENANT } from '../lib/tenants.js';
+import { readPortfolio } from '../lib/portfolio.js';
+import { readObject, listObjects } from '../lib/storage.js';
+import { validatePortfolio } from '../public/js/schema.js';
+import { escapeHtml } from '../public/js/render.js';
+import { getSitemapEntries, renderSitemap, renderRobots } from '../lib/seo.js';
+import { getOgImage } from '../lib/og-image.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT_DIR = join(__dirname, '..');
+const PUBLIC_DIR = join(ROOT_DIR, 'public');
+
+// Scripts used by index.html
+const SCRIPTS = ['theme.js', 'render.js', 'i18n.js', 'projects.js', 'media.js', 'resumes.js', 'chatbox.js'];
+
+/**
+ * Read a --name=value command line flag
+ */
+function getFlag(name) {
+    const prefix = `--${name}=`;
+    const arg = process.argv.find(a => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : undefined;
+}
+
+/**
+ * Adapt the server-rendered page for static hosting
+ */
+function toStaticHtml(html, chatUrl) {
+    const meta = [
+        `<meta name="chat-endpoint" content="${escapeHtml(chatUrl)}">`,
+        '<meta name="theme-analytics" content="off">',
+        '<meta name="live-updates" content="off">'
+    ].join('\n  ');
+
+    return html
+        .replace('</head>', `  ${meta}\n</head>`)
+        // Demo mode and language switching need the API; drop their entry points
+        .replace(/\s*<!-- Demo Mode Button -->[\s\S]*?<\/a>/, '')
+        .replace(/\s*<select class="locale-select"[\s\S]*?<\/select>/, '');
+}
+
+async function exportSite() {
+    const outDir = resolve(ROOT_DIR, getFlag('out') || process.env.EXPORT_DIR || 'dist');
+    const chatUrl = getFlag('chat-url') || process.env.EXPORT_CHAT_URL || '';
+    const lang = getFlag('lang') || process.env.EXPORT_LANG;
+    const siteFlag = getFlag('site-url') || process.env.SITE_URL;
+    const siteUrl = siteFlag ? siteFlag.replace(/\/*$/, '/') : undefined;
+
+    const { data } = await readPortfolio(DEFAULT_TENANT);
+    const validationErrors = validatePortfolio(data);
+    if (validationErrors.length > 0) {
+        validationErrors.forEach(err => console.error(`  ${err.path}: ${err.message}`));
+        throw new Error('portfolio.json does not match the portfolio schema');
+    }
+
+    await rm(outDir, { recursive: true, force: true });
+    await mkdir(join(outDir, 'js'), { recursive: true });
+
+    // Pages and data
+    const posts = await listPosts(DEFAULT_TENANT);
+    const html = await renderIndex(data, DEFAULT_THEME, lang, { hasPosts: posts.length > 0, siteUrl });
+    await writeFile(join(outDir, 'index.html'), toStaticHtml(html, chatUrl), 'utf8');
+    await writeFile(join(outDir, 'portfolio.json'), JSON.stringify(data, null, 2), 'utf8');
+
+    // Project pages as projects/<slug>/index.html
+    for (const slug of getProjectSlugs(data.projects)) {
+        const projectHtml = await renderProjectPage(data, slug, DEFAULT_THEME, lang, {
+            baseHref: '../../',
+            hasPosts: posts.length > 0,
+            siteUrl
+        });
+        await mkdir(join(outDir, 'projects', slug), { recursive: true });
+        await writeFile(join(outDir, 'projects', slug, 'index.html'), toStaticHtml(projectHtml, chatUrl), 'utf8');
+    }
+
+    // Blog pages as blog/index.html and blog/<slug>/index.html (tag filters need the server)
+    if (posts.length > 0) {
+        const blogHtml = await renderBlogIndex(data, posts, DEFAULT_THEME, lang, { baseHref: '../', siteUrl });
+        await mkdir(join(outDir, 'blog'), { recursive: true });
+        await writeFile(join(outDir, 'blog', 'index.html'), toStaticHtml(blogHtml, chatUrl), 'utf8');
+
+        for (const { slug } of posts) {
+            const post = await readPost(DEFAULT_TENANT, slug);
+            const postHtml = await renderBlogPost(data, post, DEFAULT_THEME, lang, { baseHref: '../../', siteUrl });
+            await mkdir(join(outDir, 'blog', slug), { recursive: true });
+            await writeFile(join(outDir, 'blog', slug, 'index.html'), toStaticHtml(postHtml, chatUrl), 'utf8');
+        }
+    }
+
+    // Search engine files and the share card the pages link to (all need absolute URLs)
+    if (siteUrl) {
+        await writeFile(join(outDir, 'sitemap.xml'), renderSitemap(getSitemapEntries(siteUrl, data, posts)), 'utf8');
+        await writeFile(join(outDir, 'robots.txt'), renderRobots(siteUrl), 'utf8');
+        await writeFile(join(outDir, 'og-image.png'), (await getOgImage(DEFAULT_TENANT, DEFAULT_THEME, 'png')).body);
+    }
+
+    // Assets
+    await cp(join(PUBLIC_DIR, 'css'), join(outDir, 'css'), { recursive: true });
+    for (const script of SCRIPTS) {
+        await cp(join(PUBLIC_DIR, 'js', script), join(outDir, 'js', script));
+    }
+    if (existsSync(join(PUBLIC_DIR, 'favicon.jpg'))) {
+        await cp(join(PUBLIC_DIR, 'favicon.jpg'), join(outDir, 'favicon.jpg'));
+    }
+    // Uploads come from the configured storage backend
+    for (const { name } of await listObjects(DEFAULT_TENANT, 'uploads', { recursive: true })) {
+        await mkdir(dirname(join(outDir, 'uploads', name)), { recursive: true });
+        await writeFile(join(outDir, 'uploads', name), await readObject(DEFAULT_TENANT, `uploads/${name}`));
+    }
+
+    console.log(`📦 Static site exported to ${outDir}`);
+    console.log(chatUrl ? `💬 Chatbox uses ${chatUrl}` : '💬 Chatbox disabled (pass --chat-url to enable)');
+    console.log(siteUrl ? `🔎 Sitemap and link previews for ${siteUrl}` : '🔎 No sitemap or link previews (pass --site-url to enable)');
+}
+
+exportSite().catch(error => {
+    console.error('Static export failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,70 @@
+/**
+ * Storage Migration
+ * Copies every tenant's files from one storage backend to another, e.g. from the data/ and
+ * public/uploads/ folders into SQLite or an S3 bucket before switching STORAGE_BACKEND:
+ *
+ * Usage:
+ *   STORAGE_BACKEND=sqlite npm run migrate-storage      # fs -> the configured backend
+ *   npm run migrate-storage -- --from=fs --to=s3
+ *
+ * Files that already exist in the target are overwritten; the source is left untouched.
+ * Tenant directories with their tenant.json and the content history stay on the local disk.
+ */
+
+import dotenv from 'dotenv';
+
+import { loadTenants } from '../lib/tenants.js';
+import { createStorageBackend, listObjects, readObject, STORAGE_BACKENDS } from '../lib/storage.js';
+
+dotenv.config();
+
+// Configuration and the SQLite database itself are not tenant data
+const SKIPPED_FILES = ['tenant.json', 'storage.db', 'storage.db-wal', 'storage.db-shm'];
+
+/**
+ * Read a --name=value command line flag
+ */
+function getFlag(name) {
+    const prefix = `--${name}=`;
+    const arg = process.argv.find(a => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : undefined;
+}
+
+async function migrate() {
+    const from = getFlag('from') || 'fs';
+    const to = getFlag('to') || process.env.STORAGE_BACKEND || 'fs';
+    for (const name of [from, to]) {
+        if (!STORAGE_BACKENDS.includes(name)) {
+            throw new Error(`Unknown backend "${name}" (expected ${STORAGE_BACKENDS.join(', ')})`);
+        }
+    }
+    if (from === to) {
+        throw new Error(`Source and target are both "${from}"; pass --to or set STORAGE_BACKEND`);
+    }
+
+    // Tenants are discovered, and files read, through the source backend
+    process.env.STORAGE_BACKEND = from;
+    const target = await createStorageBackend(to);
+    const tenants = await loadTenants();
+
+    for (const tenant of tenants) {
+        // The default tenant's uploads live outside its data directory on the filesystem
+        const files = new Set([
+            ...(await listObjects(tenant, '', { recursive: true })).map(file => file.name),
+            ...(await listObjects(tenant, 'uploads', { recursive: true })).map(file => `uploads/${file.name}`)
+        ]);
+
+        let copied = 0;
+        for (const name of files) {
+            if (SKIPPED_FILES.includes(name)) continue;
+            await target.write(tenant, name, await readObject(tenant, name));
+            copied++;
+        }
+        console.log(`📦 ${tenant.slug}: copied ${copied} file(s) from ${from} to ${to}`);
+    }
+}
+
+migrate().catch(error => {
+    console.error('Storage migration failed:', error.message);
+    process.exit(1);
+});
@@ -1,9 +1,8 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFile, writeFile, copyFile, mkdir, unlink } from 'fs/promises';
-import { existsSync } from 'fs';
+import { dirname, join, extname } from 'path';
 import multer from 'multer';
+import QRCode from 'qrcode';
 import dotenv from 'dotenv';
 
 // RAG modules
@@ -12,6 +11,66 @@ import { retrieveRelevantChunks } from './rag/retriever.js';
 import { generateResponse } from './rag/llm.js';
 import { getProviderStatus } from './rag/providers.js';
 
+// Shared portfolio schema (also used by the browser)
+import { validatePortfolio } from './public/js/schema.js';
+
+// Portfolio document access and JSON Patch
+import { readPortfolio, savePortfolio, updatePortfolio, matchesIfMatch, computeEtag, EDITABLE_SECTIONS, PortfolioError } from './lib/portfolio.js';
+import { parsePortfolioQuery, isFilteredQuery, queryPortfolio, querySection, PortfolioQueryError } from './lib/portfolio-query.js';
+import { applyPatch, JsonPatchError } from './lib/json-patch.js';
+
+// JSON Resume conversion
+import { isJsonResume, fromJsonResume, toJsonResume } from './lib/jsonresume.js';
+
+// Server-side rendering
+import { renderIndex, renderBlogIndex, renderBlogPost, renderProjectPage, renderEmbed, markAsPreview, getThemeFromCookie, getLocaleFromCookie, parseAcceptLanguage, THEMES, DEFAULT_THEME, EMBED_SECTIONS } from './lib/ssr.js';
+
+// Localized content
+import { localizePortfolio, resolveLocale } from './public/js/i18n.js';
+
+// Backup management
+import { listBackups, readBackup, diffBackup, restoreBackup, pruneBackups, isBackupName, getRetentionPolicy } from './lib/backups.js';
+
+// Storage backends (filesystem, SQLite, S3)
+import { readObject, writeObject, deleteObject, statObject, readJson, updateJson, isStorageName, getStorageBackendName } from './lib/storage.js';
+
+// Multi-tenant hosting
+import { loadTenants, listTenants, getTenant, getTenantByHost, getAdminCredentials, getContactForwardAddress, getCorsOrigins, DEFAULT_TENANT } from './lib/tenants.js';
+
+// Cross-origin reads of the public API
+import { getCorsHeaders } from './lib/cors.js';
+
+// Blog posts (Markdown files)
+import { listPosts, readPost } from './lib/posts.js';
+
+// Search metadata
+import { getSitemapEntries, renderSitemap, renderRobots } from './lib/seo.js';
+import { getOgImage, OG_IMAGE_FORMATS } from './lib/og-image.js';
+
+// Contact card
+import { buildVCard, readCardPhoto, getVCardFilename } from './lib/vcard.js';
+
+// Resume versions
+import { listResumes, saveResume, updateResume, deleteResume, ResumeError } from './lib/resumes.js';
+
+// Contact form inbox
+import { validateContactMessage, detectSpam, checkRateLimit, saveMessage, forwardMessage, listMessages, updateMessage, deleteMessage, ContactError } from './lib/contact.js';
+
+// Media library
+import { listMedia, checkMediaFile, saveMedia, deleteMedia, MediaError } from './lib/media.js';
+
+// Outgoing webhooks
+import { listWebhooks, createWebhook, updateWebhook, deleteWebhook, listDeliveries, pingWebhook, redeliver, triggerWebhooks, resumeDeliveries, summarizePortfolioChange, WEBHOOK_EVENTS, WebhookError } from './lib/webhooks.js';
+
+// Git-backed content history
+import { initHistory, commitHistory, listHistory, getHistoryCommit, revertCommit, isHistoryEnabled, MAX_HISTORY_LIMIT, HistoryError } from './lib/history.js';
+
+// Draft and publish workflow
+import { readDraft, saveDraft, updateDraft, scheduleDraft, discardDraft, publishDraft, isDraftDue, matchesPreviewToken } from './lib/drafts.js';
+
+// Live updates (portfolio.json watcher and Server-Sent Events)
+import { watchPortfolio, addEventClient, announcePortfolioChange, broadcastPortfolioChange } from './lib/live-updates.js';
+
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,15 +79,23 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Paths
-const DATA_DIR = join(__dirname, 'data');
-const PORTFOLIO_PATH = join(DATA_DIR, 'portfolio.json');
-const ANALYTICS_PATH = join(DATA_DIR, 'theme-analytics.json');
-const UPLOADS_DIR = join(__dirname, 'public', 'uploads');
+// Theme switch and like counts, stored per tenant
+const ANALYTICS_FILE = 'theme-analytics.json';
+
+// How often scheduled drafts are checked for publishing
+const DRAFT_SCHEDULE_INTERVAL = 30 * 1000;
+
+// Routes shared by every tenant; req.tenant holds its data paths
+const router = express.Router();
+
+// Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(express.json());
-app.use(express.static(join(__dirname, 'public')));
+app.use(express.json({ type: ['application/json', 'application/json-patch+json'] }));
 
 // Multer for file uploads
 const upload = multer({ storage: multer.memoryStorage() });
@@ -46,10 +113,10 @@ const basicAuth = (req, res, next) => {
     const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
     const [username, password] = credentials.split(':');
 
-    const validUsername = process.env.ADMIN_USERNAME || 'admin';
-    const validPassword = process.env.ADMIN_PASSWORD || 'password';
+    const valid = getAdminCredentials(req.tenant);
 
-    if (username === validUsername && password === validPassword) {
+    if (valid && username === valid.username && password === valid.password) {
+        req.adminUser = username;
         next();
     } else {
         res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
@@ -57,27 +124,421 @@ const basicAuth = (req, res, next) => {
     }
 };
 
+// Select the tenant named by /u/:slug
+const tenantBySlug = (req, res, next) => {
+    const tenant = getTenant(req.params.slug);
+    if (!tenant) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    req.tenant = tenant;
+    next();
+};
+
+// Select the tenant configured for the request hostname (default tenant otherwise)
+const tenantByHost = (req, res, next) => {
+    req.tenant = getTenantByHost(req.hostname);
+    next();
+};
+
+// Serve the tenant's own uploads from storage; never fall through to another tenant's files
+// Media library files have content-hashed names, so they can be cached for good
+const tenantUploads = async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    let name;
+    try {
+        name = `uploads${decodeURIComponent(req.path)}`;
+    } catch {
+        return res.status(400).json({ error: 'Invalid file name' });
+    }
+    if (!isStorageName(name)) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    try {
+        const info = await statObject(req.tenant, name);
+        const body = info && await readObject(req.tenant, name);
+        if (!body) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (name.startsWith('uploads/media/')) {
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        }
+        // send() adds the ETag and answers conditional requests with 304
+        res.type(extname(name) || 'application/octet-stream');
+        res.set('Last-Modified', info.modified.toUTCString());
+        res.send(body);
+    } catch (error) {
+        console.error('Error serving upload:', error);
+        res.status(500).json({ error: 'Failed to read file' });
+    }
+};
+
+// Let the tenant's allowlisted origins read the public API from the browser (writes stay same-origin)
+const publicCors = (req, res, next) => {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+    res.vary('Origin');
+    const headers = getCorsHeaders(getCorsOrigins(req.tenant), req.get('Origin'), req.method === 'OPTIONS');
+    if (!headers) return next();
+
+    res.set(headers);
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+};
+
+// Resolve the :section param to an editable array section, or fall through to later routes
+const editableSection = (req, res, next) => {
+    if (!EDITABLE_SECTIONS.includes(req.params.section)) {
+        return next('route');
+    }
+    next();
+};
+
+// Reject draft writes whose If-Match header does not match the draft's ETag (a missing header is allowed)
+function checkIfMatch(req, res, etag) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesIfMatch(ifMatch, etag)) {
+        res.setHeader('ETag', etag);
+        res.status(412).json({ error: 'Portfolio has been modified since it was loaded. Reload and try again.' });
+        return false;
+    }
+    return true;
+}
+
+// Apply an edit to the portfolio, then re-embed, announce and notify ("source" names the API for webhooks)
+// The If-Match check, edit, validation and save run under the portfolio lock, so of two writes
+// loaded from the same version only the first succeeds. edit() mutates the data or returns a replacement.
+// Returns what updatePortfolio() returned, or null after sending an error response
+async function commitPortfolio(req, res, edit, source) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+        res.status(428).json({ error: 'If-Match header required. Load the portfolio and send its ETag back.' });
+        return null;
+    }
+
+    let saved;
+    try {
+        saved = await updatePortfolio(req.tenant, async data => {
+            const updated = (await edit(data)) ?? data;
+            const validationErrors = validatePortfolio(updated);
+            if (validationErrors.length > 0) {
+                throw new PortfolioError('Invalid portfolio structure', 400, { details: validationErrors });
+            }
+            return updated;
+        }, { ifMatch, backup: true });
+    } catch (error) {
+        if (!(error instanceof PortfolioError)) throw error;
+        if (error.status === 412) res.setHeader('ETag', error.details.etag);
+        res.status(error.status).json({ error: error.message, ...error.details });
+        return null;
+    }
+
+    await announcePortfolioChange(req.tenant, saved.etag);
+    await recordHistory(req, source === 'patch' ? 'Patch portfolio' : `Edit ${req.params.section}`);
+
+    // Reinitialize embeddings with new data
+    await initializeEmbeddings(req.tenant);
+
+    await notifyWebhooks(req, 'portfolio.updated', summarizePortfolioChange(saved.before, saved.data, source));
+
+    res.setHeader('ETag', saved.etag);
+    return saved;
+}
+
+// Pick the response language: ?lang=, then the locale cookie, then Accept-Language
+function getRequestLocale(req, data) {
+    return resolveLocale(
+        data,
+        req.query.lang,
+        getLocaleFromCookie(req.headers.cookie),
+        parseAcceptLanguage(req.get('Accept-Language'))
+    );
+}
+
+// Absolute URL of the tenant's home page, ending in "/" (SITE_URL pins it for the default tenant)
+function getSiteUrl(req) {
+    if (req.tenant === DEFAULT_TENANT && !req.baseUrl && process.env.SITE_URL) {
+        return process.env.SITE_URL.replace(/\/*$/, '/');
+    }
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}/`;
+}
+
+// Send a webhook event for a change made through the API; delivery problems never fail the request
+async function notifyWebhooks(req, event, summary) {
+    try {
+        await triggerWebhooks(req.tenant, event, summary, { url: getSiteUrl(req) });
+    } catch (error) {
+        console.error(`Error sending ${event} webhooks:`, error);
+    }
+}
+
+// Commit portfolio.json to the content history as the signed-in admin; history problems never fail the request
+async function recordHistory(req, action) {
+    try {
+        await commitHistory(req.tenant, action, req.adminUser);
+    } catch (error) {
+        console.error('Error recording content history:', error);
+    }
+}
+
+// Describe a draft for API responses (the preview link is relative to the tenant's base URL)
+function describeDraft(req, draft) {
+    return {
+        updatedAt: draft.updatedAt,
+        publishAt: draft.publishAt,
+        previewUrl: `${req.baseUrl}/preview?token=${draft.previewToken}`
+    };
+}
+
+// Send read API JSON with validators, or 304 when the client's copy is current
+// The stored document keeps its write ETag (for If-Match); other representations get their own
+function sendPortfolioJson(req, res, body, { etag, lastModified }) {
+    res.setHeader('ETag', etag || computeEtag(JSON.stringify(body)));
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Cache-Control', 'no-cache');
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.json(body);
+}
+
+// Parse an item id (array index) for a section, or null if out of range
+// Indices shift when an item is removed; item writes require If-Match, so a stale id fails
+// with 412 instead of changing another item.
+function parseItemId(items, id) {
+    if (!/^\d+$/.test(id)) return null;
+    const index = Number(id);
+    return index < items.length ? index : null;
+}
+
 // ============ API Routes ============
 
 // GET LLM Provider Status
-app.get('/api/llm/status', basicAuth, (req, res) => {
+router.get('/api/llm/status', basicAuth, (req, res) => {
     const status = getProviderStatus();
     res.json(status);
 });
 
-// GET Portfolio JSON
-app.get('/api/portfolio', async (req, res) => {
+// Public read API: cross-origin access for allowlisted origins
+router.use(['/api/portfolio', '/api/posts'], publicCors);
+
+// GET Portfolio JSON (?lang=xx resolves localized fields, otherwise the stored document)
+// ?sections=, ?technology= and ?limit= narrow the response (see lib/portfolio-query.js)
+router.get('/api/portfolio', async (req, res) => {
     try {
-        const data = await readFile(PORTFOLIO_PATH, 'utf8');
-        res.json(JSON.parse(data));
+        const query = parsePortfolioQuery(req.query);
+        const { data, etag, lastModified } = await readPortfolio(req.tenant);
+
+        if (!req.query.lang && !isFilteredQuery(query)) {
+            return sendPortfolioJson(req, res, data, { etag, lastModified });
+        }
+
+        let result = data;
+        if (req.query.lang) {
+            const locale = resolveLocale(data, req.query.lang);
+            res.setHeader('Content-Language', locale);
+            result = localizePortfolio(data, locale);
+        }
+        sendPortfolioJson(req, res, queryPortfolio(result, query), { lastModified });
     } catch (error) {
+        if (error instanceof PortfolioQueryError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Error reading portfolio:', error);
         res.status(500).json({ error: 'Failed to load portfolio data' });
     }
 });
 
+// PATCH Portfolio with RFC 6902 JSON Patch (Auth Required)
+router.patch('/api/portfolio', basicAuth, async (req, res) => {
+    try {
+        const saved = await commitPortfolio(req, res, data => applyPatch(data, req.body), 'patch');
+        if (!saved) return;
+
+        res.json(saved.data);
+    } catch (error) {
+        if (error instanceof JsonPatchError) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Error patching portfolio:', error);
+        res.status(500).json({ error: 'Failed to patch portfolio' });
+    }
+});
+
+// GET Portfolio change events (Server-Sent Events; an event follows every new version)
+router.get('/api/portfolio/events', async (req, res) => {
+    try {
+        await addEventClient(req.tenant, req, res);
+    } catch (error) {
+        console.error('Error opening portfolio event stream:', error);
+        res.end();
+    }
+});
+
+// GET Portfolio Export (JSON Resume)
+router.get('/api/portfolio/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'jsonresume';
+        if (format !== 'jsonresume') {
+            return res.status(400).json({ error: `Unsupported export format: ${format}` });
+        }
+
+        const { data } = await readPortfolio(req.tenant);
+        const { resume, warnings } = toJsonResume(localizePortfolio(data, req.query.lang));
+
+        // ?report=1 returns the conversion warnings alongside the document
+        if (req.query.report === '1') {
+            return res.json({ resume, warnings });
+        }
+
+        res.setHeader('X-Conversion-Warnings', String(warnings.length));
+        res.setHeader('Content-Disposition', 'attachment; filename="resume.json"');
+        res.type('application/json').send(JSON.stringify(resume, null, 2));
+    } catch (error) {
+        console.error('Error exporting portfolio:', error);
+        res.status(500).json({ error: 'Failed to export portfolio' });
+    }
+});
+
+// GET Contact Card (vCard 4.0)
+router.get('/api/portfolio/vcard', async (req, res) => {
+    try {
+        const { data, lastModified } = await readPortfolio(req.tenant);
+        const localized = localizePortfolio(data, getRequestLocale(req, data));
+        const card = buildVCard(localized, {
+            url: getSiteUrl(req),
+            photo: await readCardPhoto(req.tenant, localized.profile?.photo),
+            revision: lastModified
+        });
+
+        res.attachment(getVCardFilename(localized.profile?.name));
+        res.type('text/vcard; charset=utf-8').send(card);
+    } catch (error) {
+        console.error('Error exporting contact card:', error);
+        res.status(500).json({ error: 'Failed to export contact card' });
+    }
+});
+
+// GET QR Code linking to the contact card (SVG, or PNG with ?format=png)
+router.get('/api/portfolio/vcard/qr', async (req, res) => {
+    const format = req.query.format || 'svg';
+    if (format !== 'svg' && format !== 'png') {
+        return res.status(400).json({ error: `Unsupported QR code format: ${format}` });
+    }
+
+    try {
+        const lang = typeof req.query.lang === 'string' ? `?lang=${encodeURIComponent(req.query.lang)}` : '';
+        const cardUrl = `${getSiteUrl(req)}api/portfolio/vcard${lang}`;
+        const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        if (format === 'png') {
+            res.type('image/png').send(await QRCode.toBuffer(cardUrl, { ...options, type: 'png', width: 512 }));
+        } else {
+            res.type('image/svg+xml').send(await QRCode.toString(cardUrl, { ...options, type: 'svg' }));
+        }
+    } catch (error) {
+        console.error('Error rendering QR code:', error);
+        res.status(500).json({ error: 'Failed to render QR code' });
+    }
+});
+
+// GET Portfolio Section (?technology= and ?limit= narrow the list)
+router.get('/api/portfolio/:section', editableSection, async (req, res) => {
+    try {
+        const query = parsePortfolioQuery({ technology: req.query.technology, limit: req.query.limit });
+        const { data, etag, lastModified } = await readPortfolio(req.tenant);
+        const items = data[req.params.section] || [];
+
+        if (!isFilteredQuery(query)) {
+            return sendPortfolioJson(req, res, items, { etag, lastModified });
+        }
+        sendPortfolioJson(req, res, querySection(req.params.section, items, query), { lastModified });
+    } catch (error) {
+        if (error instanceof PortfolioQueryError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error reading portfolio section:', error);
+        res.status(500).json({ error: 'Failed to load portfolio data' });
+    }
+});
+
+// GET Portfolio Section Item
+router.get('/api/portfolio/:section/:id', editableSection, async (req, res) => {
+    try {
+        const { data, etag, lastModified } = await readPortfolio(req.tenant);
+        const items = data[req.params.section] || [];
+        const index = parseItemId(items, req.params.id);
+        if (index === null) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        sendPortfolioJson(req, res, items[index], { etag, lastModified });
+    } catch (error) {
+        console.error('Error reading portfolio item:', error);
+        res.status(500).json({ error: 'Failed to load portfolio data' });
+    }
+});
+
+// POST Add Section Item (Auth Required)
+router.post('/api/portfolio/:section', basicAuth, editableSection, async (req, res) => {
+    try {
+        const saved = await commitPortfolio(req, res, data => {
+            data[req.params.section] = [...(data[req.params.section] || []), req.body];
+        }, 'section');
+        if (!saved) return;
+
+        res.status(201).json({ id: saved.data[req.params.section].length - 1, item: req.body });
+    } catch (error) {
+        console.error('Error adding portfolio item:', error);
+        res.status(500).json({ error: 'Failed to add item' });
+    }
+});
+
+// PUT Replace Section Item (Auth Required)
+router.put('/api/portfolio/:section/:id', basicAuth, editableSection, async (req, res) => {
+    try {
+        let index;
+        const saved = await commitPortfolio(req, res, data => {
+            const items = data[req.params.section] || [];
+            index = parseItemId(items, req.params.id);
+            if (index === null) throw new PortfolioError('Item not found', 404);
+            items[index] = req.body;
+        }, 'section');
+        if (!saved) return;
+
+        res.json({ id: index, item: req.body });
+    } catch (error) {
+        console.error('Error updating portfolio item:', error);
+        res.status(500).json({ error: 'Failed to update item' });
+    }
+});
+
+// DELETE Section Item (Auth Required)
+router.delete('/api/portfolio/:section/:id', basicAuth, editableSection, async (req, res) => {
+    try {
+        let removed;
+        const saved = await commitPortfolio(req, res, data => {
+            const items = data[req.params.section] || [];
+            const index = parseItemId(items, req.params.id);
+            if (index === null) throw new PortfolioError('Item not found', 404);
+            [removed] = items.splice(index, 1);
+        }, 'section');
+        if (!saved) return;
+
+        res.json({ success: true, item: removed });
+    } catch (error) {
+        console.error('Error deleting portfolio item:', error);
+        res.status(500).json({ error: 'Failed to delete item' });
+    }
+});
+
 // POST Upload new Portfolio JSON (Auth Required)
-app.post('/api/upload', basicAuth, upload.single('portfolio'), async (req, res) => {
+router.post('/api/upload', basicAuth, upload.single('portfolio'), async (req, res) => {
     try {
         let jsonData;
 
@@ -91,25 +552,42 @@ app.post('/api/upload', basicAuth, upload.single('portfolio'), async (req, res)
             return res.status(400).json({ error: 'No JSON data provided' });
         }
 
-        // Validate required fields
-        if (!jsonData.profile || !jsonData.profile.name) {
-            return res.status(400).json({ error: 'Invalid portfolio structure: missing profile.name' });
+        // Convert JSON Resume (jsonresume.org) documents into the portfolio structure
+        let format = 'portfolio';
+        let warnings = [];
+        if (isJsonResume(jsonData)) {
+            ({ portfolio: jsonData, warnings } = fromJsonResume(jsonData));
+            format = 'jsonresume';
         }
 
-        // Create backup
-        if (existsSync(PORTFOLIO_PATH)) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = join(DATA_DIR, `portfolio.backup-${timestamp}.json`);
-            await copyFile(PORTFOLIO_PATH, backupPath);
+        // Validate against the portfolio schema
+        const validationErrors = validatePortfolio(jsonData);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid portfolio structure',
+                details: validationErrors
+            });
         }
 
-        // Save new portfolio
-        await writeFile(PORTFOLIO_PATH, JSON.stringify(jsonData, null, 2), 'utf8');
+        // ?draft=1 stores the upload as the draft instead of publishing it
+        if (req.query.draft === '1') {
+            const draft = await saveDraft(req.tenant, jsonData);
+            res.setHeader('ETag', draft.etag);
+            return res.json({ success: true, message: 'Draft saved', format, warnings, draft: describeDraft(req, draft) });
+        }
+
+        // Back up and save new portfolio
+        const { etag, before } = await savePortfolio(req.tenant, jsonData);
+        await announcePortfolioChange(req.tenant, etag);
+        await recordHistory(req, format === 'jsonresume' ? 'Upload JSON Resume' : 'Upload portfolio');
 
         // Reinitialize embeddings with new data
-        await initializeEmbeddings();
+        await initializeEmbeddings(req.tenant);
 
-        res.json({ success: true, message: 'Portfolio updated successfully' });
+        await notifyWebhooks(req, 'portfolio.updated', summarizePortfolioChange(before, jsonData, 'upload'));
+
+        res.setHeader('ETag', etag);
+        res.json({ success: true, message: 'Portfolio updated successfully', format, warnings });
     } catch (error) {
         console.error('Error uploading portfolio:', error);
         if (error instanceof SyntaxError) {
@@ -119,8 +597,277 @@ app.post('/api/upload', basicAuth, upload.single('portfolio'), async (req, res)
     }
 });
 
+// GET Backup List (Auth Required)
+router.get('/api/backups', basicAuth, async (req, res) => {
+    try {
+        const backups = await listBackups(req.tenant);
+        res.json({ backups, retention: getRetentionPolicy() });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+// GET Backup Diff against live portfolio (Auth Required)
+router.get('/api/backups/:name/diff', basicAuth, async (req, res) => {
+    try {
+        if (!isBackupName(req.params.name)) {
+            return res.status(400).json({ error: 'Invalid backup name' });
+        }
+        if (!await statObject(req.tenant, req.params.name)) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+
+        const sections = await diffBackup(req.tenant, req.params.name);
+        res.json({ name: req.params.name, sections });
+    } catch (error) {
+        console.error('Error diffing backup:', error);
+        res.status(500).json({ error: 'Failed to compare backup' });
+    }
+});
+
+// POST Restore Backup (Auth Required)
+router.post('/api/backups/:name/restore', basicAuth, async (req, res) => {
+    try {
+        if (!isBackupName(req.params.name)) {
+            return res.status(400).json({ error: 'Invalid backup name' });
+        }
+        if (!await statObject(req.tenant, req.params.name)) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+
+        // Refuse to restore a backup that would not pass upload validation
+        const validationErrors = validatePortfolio(await readBackup(req.tenant, req.params.name));
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Backup does not match the portfolio schema',
+                details: validationErrors
+            });
+        }
+
+        const { data: restored, etag, before } = await restoreBackup(req.tenant, req.params.name);
+        await announcePortfolioChange(req.tenant, etag);
+        await recordHistory(req, `Restore ${req.params.name}`);
+
+        // Reinitialize embeddings with restored data
+        await initializeEmbeddings(req.tenant);
+
+        await notifyWebhooks(req, 'portfolio.updated', summarizePortfolioChange(before, restored, 'restore'));
+
+        res.json({ success: true, message: `Restored ${req.params.name}` });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({ error: 'Backup contains invalid JSON' });
+        }
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// POST Prune Backups using the retention policy (Auth Required)
+router.post('/api/backups/prune', basicAuth, async (req, res) => {
+    try {
+        const policy = { ...getRetentionPolicy() };
+        if (req.body?.keep !== undefined) policy.keep = parseInt(req.body.keep, 10) || 0;
+        if (req.body?.maxAgeDays !== undefined) policy.maxAgeDays = parseInt(req.body.maxAgeDays, 10) || 0;
+
+        if (!policy.keep && !policy.maxAgeDays) {
+            return res.status(400).json({ error: 'No retention policy configured' });
+        }
+
+        const deleted = await pruneBackups(req.tenant, policy);
+        res.json({ success: true, deleted });
+    } catch (error) {
+        console.error('Error pruning backups:', error);
+        res.status(500).json({ error: 'Failed to prune backups' });
+    }
+});
+
+// Content history routes answer 404 unless PORTFOLIO_HISTORY=git
+const historyEnabled = (req, res, next) => {
+    if (!isHistoryEnabled()) {
+        return res.status(404).json({ error: 'Content history is off (set PORTFOLIO_HISTORY=git)' });
+    }
+    next();
+};
+
+// GET Content History (Auth Required) - newest first; ?limit= (max 200) and ?skip= page through it
+router.get('/api/history', basicAuth, historyEnabled, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY_LIMIT);
+        const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+        res.json(await listHistory(req.tenant, { limit, skip }));
+    } catch (error) {
+        console.error('Error reading content history:', error);
+        res.status(500).json({ error: 'Failed to read content history' });
+    }
+});
+
+// GET History Commit (Auth Required) - section-by-section diff and the patch of portfolio.json
+router.get('/api/history/:commit', basicAuth, historyEnabled, async (req, res) => {
+    try {
+        res.json(await getHistoryCommit(req.tenant, req.params.commit));
+    } catch (error) {
+        if (error instanceof HistoryError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error reading history commit:', error);
+        res.status(500).json({ error: 'Failed to read commit' });
+    }
+});
+
+// POST Revert a History Commit (Auth Required) - undoes its section changes as a new commit
+router.post('/api/history/:commit/revert', basicAuth, historyEnabled, async (req, res) => {
+    try {
+        // Revert against the live document under the portfolio lock, so no edit slips in between
+        let commit;
+        const { data, etag, before } = await updatePortfolio(req.tenant, async current => {
+            const reverted = await revertCommit(req.tenant, req.params.commit, current);
+            const validationErrors = validatePortfolio(reverted.data);
+            if (validationErrors.length > 0) {
+                throw new PortfolioError('Reverted portfolio does not match the schema', 400, { details: validationErrors });
+            }
+            commit = reverted.commit;
+            return reverted.data;
+        }, { backup: true });
+        await announcePortfolioChange(req.tenant, etag);
+        const hash = await commitHistory(req.tenant, `Revert ${commit.shortHash}`, req.adminUser);
+
+        // Reinitialize embeddings with the reverted data
+        await initializeEmbeddings(req.tenant);
+
+        await notifyWebhooks(req, 'portfolio.updated', summarizePortfolioChange(before, data, 'revert'));
+
+        res.setHeader('ETag', etag);
+        res.json({ success: true, message: `Reverted ${commit.shortHash}`, commit: hash });
+    } catch (error) {
+        if (error instanceof HistoryError || error instanceof PortfolioError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error reverting commit:', error);
+        res.status(500).json({ error: 'Failed to revert commit' });
+    }
+});
+
+// GET Draft (Auth Required)
+router.get('/api/draft', basicAuth, async (req, res) => {
+    try {
+        const draft = await readDraft(req.tenant);
+        if (!draft) {
+            return res.status(404).json({ error: 'No draft' });
+        }
+
+        res.setHeader('ETag', draft.etag);
+        res.json({ portfolio: draft.data, ...describeDraft(req, draft) });
+    } catch (error) {
+        console.error('Error reading draft:', error);
+        res.status(500).json({ error: 'Failed to load draft' });
+    }
+});
+
+// PUT Save Draft (Auth Required)
+router.put('/api/draft', basicAuth, async (req, res) => {
+    try {
+        const existing = await readDraft(req.tenant);
+        if (existing && !checkIfMatch(req, res, existing.etag)) return;
+        if (!existing && req.get('If-Match')) {
+            return res.status(412).json({ error: 'The draft has been published or discarded since it was loaded.' });
+        }
+
+        const validationErrors = validatePortfolio(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid portfolio structure',
+                details: validationErrors
+            });
+        }
+
+        const draft = await saveDraft(req.tenant, req.body);
+        res.setHeader('ETag', draft.etag);
+        res.json({ success: true, ...describeDraft(req, draft) });
+    } catch (error) {
+        console.error('Error saving draft:', error);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+// PUT Schedule Draft Publishing (Auth Required)
+router.put('/api/draft/schedule', basicAuth, async (req, res) => {
+    try {
+        const publishAt = req.body?.publishAt ?? null;
+        if (publishAt !== null && (typeof publishAt !== 'string' || isNaN(Date.parse(publishAt)))) {
+            return res.status(400).json({ error: 'publishAt must be an ISO date or null' });
+        }
+        if (publishAt !== null && Date.parse(publishAt) <= Date.now()) {
+            return res.status(400).json({ error: 'publishAt must be in the future' });
+        }
+
+        const draft = await scheduleDraft(req.tenant, publishAt && new Date(publishAt).toISOString());
+        if (!draft) {
+            return res.status(404).json({ error: 'No draft' });
+        }
+
+        res.json({ success: true, ...describeDraft(req, draft) });
+    } catch (error) {
+        console.error('Error scheduling draft:', error);
+        res.status(500).json({ error: 'Failed to schedule draft' });
+    }
+});
+
+// POST Publish Draft (Auth Required)
+router.post('/api/draft/publish', basicAuth, async (req, res) => {
+    try {
+        const draft = await readDraft(req.tenant);
+        if (!draft) {
+            return res.status(404).json({ error: 'No draft' });
+        }
+
+        const validationErrors = validatePortfolio(draft.data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Draft does not match the portfolio schema',
+                details: validationErrors
+            });
+        }
+
+        const published = await publishDraft(req.tenant);
+        // The scheduler or another request may have published or discarded it meanwhile
+        if (!published) {
+            return res.status(404).json({ error: 'No draft' });
+        }
+        const { data, etag, before } = published;
+        await announcePortfolioChange(req.tenant, etag);
+        await recordHistory(req, 'Publish draft');
+
+        // Reinitialize embeddings with the published data
+        await initializeEmbeddings(req.tenant);
+
+        await notifyWebhooks(req, 'portfolio.updated', summarizePortfolioChange(before, data, 'publish'));
+
+        res.setHeader('ETag', etag);
+        res.json({ success: true, message: 'Draft published' });
+    } catch (error) {
+        console.error('Error publishing draft:', error);
+        res.status(500).json({ error: 'Failed to publish draft' });
+    }
+});
+
+// DELETE Discard Draft (Auth Required)
+router.delete('/api/draft', basicAuth, async (req, res) => {
+    try {
+        const deleted = await discardDraft(req.tenant);
+        res.json({
+            success: true,
+            message: deleted ? 'Draft discarded' : 'No draft to discard'
+        });
+    } catch (error) {
+        console.error('Error discarding draft:', error);
+        res.status(500).json({ error: 'Failed to discard draft' });
+    }
+});
+
 // POST Upload Profile Photo (Auth Required)
-app.post('/api/upload-photo', basicAuth, upload.single('photo'), async (req, res) => {
+router.post('/api/upload-photo', basicAuth, upload.single('photo'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No photo file provided' });
@@ -137,41 +884,35 @@ app.post('/api/upload-photo', basicAuth, upload.single('photo'), async (req, res
             return res.status(400).json({ error: 'File too large. Maximum size: 5MB' });
         }
 
-        // Ensure uploads directory exists
-        if (!existsSync(UPLOADS_DIR)) {
-            await mkdir(UPLOADS_DIR, { recursive: true });
-        }
-
         // Generate unique filename
         const ext = req.file.originalname.split('.').pop() || 'jpg';
         const filename = `profile-photo.${ext}`;
-        const filePath = join(UPLOADS_DIR, filename);
 
         // Delete old profile photo if exists (different extension)
         const extensions = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
         for (const oldExt of extensions) {
-            const oldPath = join(UPLOADS_DIR, `profile-photo.${oldExt}`);
-            if (existsSync(oldPath) && oldPath !== filePath) {
-                try {
-                    await unlink(oldPath);
-                } catch (e) {
-                    // Ignore errors deleting old files
-                }
+            if (oldExt === ext) continue;
+            try {
+                await deleteObject(req.tenant, `uploads/profile-photo.${oldExt}`);
+            } catch (e) {
+                // Ignore errors deleting old files
             }
         }
 
         // Save the file
-        await writeFile(filePath, req.file.buffer);
+        await writeObject(req.tenant, `uploads/${filename}`, req.file.buffer);
 
         // Update portfolio.json with the new photo path
-        const photoUrl = `/uploads/${filename}`;
+        const photoUrl = `${req.tenant.uploadsUrl}/${filename}`;
         try {
-            const portfolioData = JSON.parse(await readFile(PORTFOLIO_PATH, 'utf8'));
-            portfolioData.profile.photo = photoUrl;
-            await writeFile(PORTFOLIO_PATH, JSON.stringify(portfolioData, null, 2), 'utf8');
+            await updatePortfolio(req.tenant, portfolioData => { portfolioData.profile.photo = photoUrl; });
+            await updateDraft(req.tenant, draft => { draft.profile.photo = photoUrl; });
         } catch (e) {
             console.error('Failed to update portfolio with photo path:', e);
         }
+        await recordHistory(req, 'Upload photo');
+
+        await notifyWebhooks(req, 'photo.updated', { photoUrl, type: req.file.mimetype, size: req.file.size });
 
         res.json({
             success: true,
@@ -185,28 +926,30 @@ app.post('/api/upload-photo', basicAuth, upload.single('photo'), async (req, res
 });
 
 // DELETE Profile Photo (Auth Required)
-app.delete('/api/upload-photo', basicAuth, async (req, res) => {
+router.delete('/api/upload-photo', basicAuth, async (req, res) => {
     try {
         // Remove photo from all possible extensions
         const extensions = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
         let deleted = false;
 
         for (const ext of extensions) {
-            const filePath = join(UPLOADS_DIR, `profile-photo.${ext}`);
-            if (existsSync(filePath)) {
-                await unlink(filePath);
+            if (await deleteObject(req.tenant, `uploads/profile-photo.${ext}`)) {
                 deleted = true;
             }
         }
 
         // Update portfolio.json to remove photo path
         try {
-            const portfolioData = JSON.parse(await readFile(PORTFOLIO_PATH, 'utf8'));
-            delete portfolioData.profile.photo;
-            await writeFile(PORTFOLIO_PATH, JSON.stringify(portfolioData, null, 2), 'utf8');
+            await updatePortfolio(req.tenant, portfolioData => { delete portfolioData.profile.photo; });
+            await updateDraft(req.tenant, draft => { delete draft.profile.photo; });
         } catch (e) {
             console.error('Failed to update portfolio:', e);
         }
+        await recordHistory(req, 'Remove photo');
+
+        if (deleted) {
+            await notifyWebhooks(req, 'photo.deleted', {});
+        }
 
         res.json({
             success: true,
@@ -218,97 +961,330 @@ app.delete('/api/upload-photo', basicAuth, async (req, res) => {
     }
 });
 
-// POST Upload Resume (Auth Required)
-app.post('/api/upload-resume', basicAuth, upload.single('resume'), async (req, res) => {
+// GET Resumes (Auth Required)
+router.get('/api/resumes', basicAuth, async (req, res) => {
+    try {
+        res.json({ resumes: await listResumes(req.tenant) });
+    } catch (error) {
+        console.error('Error listing resumes:', error);
+        res.status(500).json({ error: 'Failed to list resumes' });
+    }
+});
+
+// POST Upload Resume (Auth Required) - optional "name", "label", "downloadName" and "default" fields
+// select the version; without a name the default resume is replaced
+router.post('/api/upload-resume', basicAuth, upload.single('resume'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No resume file provided' });
         }
 
-        // Validate file type (PDF only)
-        if (req.file.mimetype !== 'application/pdf') {
-            return res.status(400).json({ error: 'Invalid file type. Only PDF files are allowed.' });
-        }
+        const resume = await saveResume(req.tenant, req.file, {
+            name: req.body.name || undefined,
+            label: req.body.label,
+            downloadName: req.body.downloadName,
+            isDefault: req.body.default === 'true'
+        });
+        await announcePortfolioChange(req.tenant);
+        await recordHistory(req, `Upload resume ${resume.name}`);
+
+        // Re-embed so the chatbot can answer from the resume text
+        await initializeEmbeddings(req.tenant);
+
+        await notifyWebhooks(req, 'resume.updated', { resume });
 
-        // Limit file size (10MB)
-        if (req.file.size > 10 * 1024 * 1024) {
-            return res.status(400).json({ error: 'File too large. Maximum size: 10MB' });
+        res.json({
+            success: true,
+            message: 'Resume uploaded successfully',
+            resume,
+            resumeUrl: resume.url
+        });
+    } catch (error) {
+        if (error instanceof ResumeError) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Error uploading resume:', error);
+        res.status(500).json({ error: 'Failed to upload resume' });
+    }
+});
 
-        // Ensure uploads directory exists
-        if (!existsSync(UPLOADS_DIR)) {
-            await mkdir(UPLOADS_DIR, { recursive: true });
+// PUT Resume Details (Auth Required) - { label, downloadName, default }
+router.put('/api/upload-resume/:name', basicAuth, async (req, res) => {
+    try {
+        const { label, downloadName } = req.body || {};
+        if ((label !== undefined && typeof label !== 'string') || (downloadName !== undefined && typeof downloadName !== 'string')) {
+            return res.status(400).json({ error: 'label and downloadName must be strings' });
         }
 
-        // Use fixed filename for resume
-        const filename = 'resume.pdf';
-        const filePath = join(UPLOADS_DIR, filename);
+        const resume = await updateResume(req.tenant, req.params.name, {
+            label,
+            downloadName,
+            isDefault: req.body?.default === true
+        });
+        await recordHistory(req, `Update resume ${resume.name}`);
 
-        // Delete old resume if exists
-        if (existsSync(filePath)) {
-            try {
-                await unlink(filePath);
-            } catch (e) {
-                // Ignore errors deleting old file
-            }
+        res.json({ success: true, message: 'Resume updated', resume });
+    } catch (error) {
+        if (error instanceof ResumeError) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Error updating resume:', error);
+        res.status(500).json({ error: 'Failed to update resume' });
+    }
+});
 
-        // Save the file
-        await writeFile(filePath, req.file.buffer);
+// DELETE Resume (Auth Required) - without a name the default resume is deleted
+router.delete('/api/upload-resume/:name?', basicAuth, async (req, res) => {
+    try {
+        const deleted = await deleteResume(req.tenant, req.params.name);
+        await announcePortfolioChange(req.tenant);
+        await recordHistory(req, `Delete resume ${deleted?.name || ''}`.trim());
 
-        // Update portfolio.json with the new resume path
-        const resumeUrl = `/uploads/${filename}`;
-        try {
-            const portfolioData = JSON.parse(await readFile(PORTFOLIO_PATH, 'utf8'));
-            portfolioData.profile.resume = resumeUrl;
-            await writeFile(PORTFOLIO_PATH, JSON.stringify(portfolioData, null, 2), 'utf8');
-        } catch (e) {
-            console.error('Failed to update portfolio with resume path:', e);
+        // Re-embed to drop the resume chunks
+        await initializeEmbeddings(req.tenant);
+
+        if (deleted) {
+            await notifyWebhooks(req, 'resume.deleted', { resume: deleted });
         }
 
         res.json({
             success: true,
-            message: 'Resume uploaded successfully',
-            resumeUrl
+            message: deleted ? 'Resume deleted' : 'No resume to delete'
         });
     } catch (error) {
-        console.error('Error uploading resume:', error);
-        res.status(500).json({ error: 'Failed to upload resume' });
+        if (error instanceof ResumeError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting resume:', error);
+        res.status(500).json({ error: 'Failed to delete resume' });
     }
 });
 
-// DELETE Resume (Auth Required)
-app.delete('/api/upload-resume', basicAuth, async (req, res) => {
+// GET Media Library (Auth Required)
+router.get('/api/media', basicAuth, async (req, res) => {
     try {
-        const filePath = join(UPLOADS_DIR, 'resume.pdf');
-        let deleted = false;
+        res.json({ media: await listMedia(req.tenant) });
+    } catch (error) {
+        console.error('Error listing media:', error);
+        res.status(500).json({ error: 'Failed to list media' });
+    }
+});
 
-        if (existsSync(filePath)) {
-            await unlink(filePath);
-            deleted = true;
+// POST Media Upload (Auth Required) - one or more files in the "files" field
+router.post('/api/media', basicAuth, upload.array('files', 20), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files provided' });
         }
 
-        // Update portfolio.json to remove resume path
-        try {
-            const portfolioData = JSON.parse(await readFile(PORTFOLIO_PATH, 'utf8'));
-            delete portfolioData.profile.resume;
-            await writeFile(PORTFOLIO_PATH, JSON.stringify(portfolioData, null, 2), 'utf8');
-        } catch (e) {
-            console.error('Failed to update portfolio:', e);
+        // Reject the whole batch before storing anything
+        req.files.forEach(checkMediaFile);
+
+        const media = [];
+        for (const file of req.files) {
+            media.push(await saveMedia(req.tenant, file));
         }
 
         res.json({
             success: true,
-            message: deleted ? 'Resume deleted' : 'No resume to delete'
+            message: `${media.length} file(s) uploaded`,
+            media
         });
     } catch (error) {
-        console.error('Error deleting resume:', error);
-        res.status(500).json({ error: 'Failed to delete resume' });
+        if (error instanceof MediaError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error uploading media:', error);
+        res.status(500).json({ error: 'Failed to upload media' });
+    }
+});
+
+// DELETE Media (Auth Required) - refused while the portfolio or draft still uses it
+router.delete('/api/media/:id', basicAuth, async (req, res) => {
+    try {
+        await deleteMedia(req.tenant, req.params.id);
+        res.json({ success: true, message: 'Media deleted' });
+    } catch (error) {
+        if (error instanceof MediaError) {
+            return res.status(error.status).json({ error: error.message, references: error.details });
+        }
+        console.error('Error deleting media:', error);
+        res.status(500).json({ error: 'Failed to delete media' });
+    }
+});
+
+// GET Webhooks (Auth Required) - subscriptions and the events they can subscribe to
+router.get('/api/webhooks', basicAuth, async (req, res) => {
+    try {
+        res.json({ webhooks: await listWebhooks(req.tenant), events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+// POST Webhook (Auth Required) - { url, events, description }; the response carries the signing secret
+router.post('/api/webhooks', basicAuth, async (req, res) => {
+    try {
+        const webhook = await createWebhook(req.tenant, req.body || {});
+        res.status(201).json({ success: true, message: 'Webhook added', webhook });
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error adding webhook:', error);
+        res.status(500).json({ error: 'Failed to add webhook' });
+    }
+});
+
+// GET Webhook Deliveries (Auth Required) - newest first, with every attempt
+router.get('/api/webhooks/deliveries', basicAuth, async (req, res) => {
+    try {
+        res.json({ deliveries: await listDeliveries(req.tenant) });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+});
+
+// POST Redeliver a logged delivery's payload (Auth Required)
+router.post('/api/webhooks/deliveries/:id/redeliver', basicAuth, async (req, res) => {
+    try {
+        const delivery = await redeliver(req.tenant, req.params.id);
+        res.status(202).json({ success: true, message: 'Redelivery queued', delivery });
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+});
+
+// PUT Webhook (Auth Required) - { url, events, description, active }
+router.put('/api/webhooks/:id', basicAuth, async (req, res) => {
+    try {
+        const webhook = await updateWebhook(req.tenant, req.params.id, req.body || {});
+        res.json({ success: true, message: 'Webhook updated', webhook });
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// DELETE Webhook (Auth Required)
+router.delete('/api/webhooks/:id', basicAuth, async (req, res) => {
+    try {
+        await deleteWebhook(req.tenant, req.params.id);
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// POST Send a test ping to a webhook (Auth Required)
+router.post('/api/webhooks/:id/ping', basicAuth, async (req, res) => {
+    try {
+        const delivery = await pingWebhook(req.tenant, req.params.id, { url: getSiteUrl(req) });
+        res.status(202).json({ success: true, message: 'Test event queued', delivery });
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error pinging webhook:', error);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+});
+
+// POST Contact Message - { name, email, subject, message } plus the "website" honeypot and "startedAt" time trap
+router.post('/api/contact', async (req, res) => {
+    const accepted = { success: true, message: 'Thanks! Your message has been sent.' };
+
+    try {
+        const validationErrors = validateContactMessage(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Please check the highlighted fields.',
+                details: validationErrors
+            });
+        }
+
+        // Look like a normal success to bots
+        const spamReason = detectSpam(req.body);
+        if (spamReason) {
+            console.warn(`Dropped contact message (${spamReason}) from ${req.ip}`);
+            return res.json(accepted);
+        }
+
+        const { allowed, retryAfter } = checkRateLimit(req.tenant, req.ip);
+        if (!allowed) {
+            res.setHeader('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many messages. Please try again later.' });
+        }
+
+        const message = await saveMessage(req.tenant, req.body);
+        await forwardMessage(req.tenant, message, getContactForwardAddress(req.tenant));
+
+        res.json(accepted);
+    } catch (error) {
+        if (error instanceof ContactError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving contact message:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// GET Inbox (Auth Required)
+router.get('/api/inbox', basicAuth, async (req, res) => {
+    try {
+        res.json(await listMessages(req.tenant));
+    } catch (error) {
+        console.error('Error reading inbox:', error);
+        res.status(500).json({ error: 'Failed to read inbox' });
+    }
+});
+
+// PATCH Inbox Message (Auth Required) - { read: true|false }
+router.patch('/api/inbox/:id', basicAuth, async (req, res) => {
+    try {
+        if (typeof req.body?.read !== 'boolean') {
+            return res.status(400).json({ error: '"read" must be true or false' });
+        }
+        const message = await updateMessage(req.tenant, req.params.id, { read: req.body.read });
+        res.json({ success: true, message });
+    } catch (error) {
+        if (error instanceof ContactError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error updating message:', error);
+        res.status(500).json({ error: 'Failed to update message' });
+    }
+});
+
+// DELETE Inbox Message (Auth Required)
+router.delete('/api/inbox/:id', basicAuth, async (req, res) => {
+    try {
+        await deleteMessage(req.tenant, req.params.id);
+        res.json({ success: true, message: 'Message deleted' });
+    } catch (error) {
+        if (error instanceof ContactError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
     }
 });
 
 // POST Theme Analytics
-app.post('/api/theme-analytics', async (req, res) => {
+router.post('/api/theme-analytics', async (req, res) => {
     try {
         const { theme, action = 'switch' } = req.body;
 
@@ -316,36 +1292,32 @@ app.post('/api/theme-analytics', async (req, res) => {
             return res.status(400).json({ error: 'Invalid theme name' });
         }
 
-        let analytics = {
-            minimal: { switches: 0, likes: 0 },
-            modern: { switches: 0, likes: 0 },
-            elegant: { switches: 0, likes: 0 },
-            retro: { switches: 0, likes: 0 }
-        };
-
-        try {
-            const data = await readFile(ANALYTICS_PATH, 'utf8');
-            const parsed = JSON.parse(data);
+        // Read, count and write under the file's lock so concurrent requests don't lose increments
+        const analytics = await updateJson(req.tenant, ANALYTICS_FILE, stored => {
+            const defaults = {
+                minimal: { switches: 0, likes: 0 },
+                modern: { switches: 0, likes: 0 },
+                elegant: { switches: 0, likes: 0 },
+                retro: { switches: 0, likes: 0 }
+            };
 
             // Migration logic
-            for (const [key, value] of Object.entries(parsed)) {
+            for (const [key, value] of Object.entries(stored)) {
                 if (typeof value === 'number') {
-                    if (analytics[key]) analytics[key].switches = value;
+                    if (defaults[key]) defaults[key].switches = value;
                 } else if (typeof value === 'object') {
-                    if (analytics[key]) analytics[key] = { ...analytics[key], ...value };
+                    if (defaults[key]) defaults[key] = { ...defaults[key], ...value };
                 }
             }
-        } catch {
-            // File doesn't exist, use defaults
-        }
+            Object.assign(stored, defaults);
 
-        if (action === 'switch') {
-            analytics[theme].switches++;
-        } else if (action === 'like') {
-            analytics[theme].likes++;
-        }
-
-        await writeFile(ANALYTICS_PATH, JSON.stringify(analytics, null, 2), 'utf8');
+            if (action === 'switch') {
+                stored[theme].switches++;
+            } else if (action === 'like') {
+                stored[theme].likes++;
+            }
+            return stored;
+        }, {});
 
         res.json({ success: true, stats: analytics });
     } catch (error) {
@@ -355,41 +1327,69 @@ app.post('/api/theme-analytics', async (req, res) => {
 });
 
 // GET Public Theme Stats (No Auth)
-app.get('/api/public-theme-stats', async (req, res) => {
+router.get('/api/public-theme-stats', async (req, res) => {
     try {
-        const data = await readFile(ANALYTICS_PATH, 'utf8');
-        res.json(JSON.parse(data));
+        res.json(await readJson(req.tenant, ANALYTICS_FILE, {}));
     } catch (error) {
-        // Return empty stats if file doesn't exist
+        // Return empty stats if the file is unreadable
         res.json({});
     }
 });
 
 // GET Theme Stats (Auth Required)
-app.get('/admin/theme-stats', basicAuth, async (req, res) => {
+router.get('/admin/theme-stats', basicAuth, async (req, res) => {
     try {
-        const data = await readFile(ANALYTICS_PATH, 'utf8');
-        res.json(JSON.parse(data));
+        const analytics = await readJson(req.tenant, ANALYTICS_FILE);
+        if (!analytics) {
+            throw new Error(`No ${ANALYTICS_FILE} yet`);
+        }
+        res.json(analytics);
     } catch (error) {
         console.error('Error reading analytics:', error);
         res.status(500).json({ error: 'Failed to load analytics' });
     }
 });
 
+// GET Blog Posts (?tag= filters by tag)
+router.get('/api/posts', async (req, res) => {
+    try {
+        const posts = await listPosts(req.tenant, { tag: req.query.tag });
+        res.json({ posts });
+    } catch (error) {
+        console.error('Error listing posts:', error);
+        res.status(500).json({ error: 'Failed to load posts' });
+    }
+});
+
+// GET Blog Post (with its body rendered to sanitized HTML)
+router.get('/api/posts/:slug', async (req, res) => {
+    try {
+        const post = await readPost(req.tenant, req.params.slug);
+        if (!post) {
+            return res.status(404).json({ error: 'Post not found' });
+        }
+        res.json(post);
+    } catch (error) {
+        console.error('Error reading post:', error);
+        res.status(500).json({ error: 'Failed to load post' });
+    }
+});
+
 // POST Chat (RAG)
-app.post('/api/chat', async (req, res) => {
+router.post('/api/chat', async (req, res) => {
     try {
-        const { message } = req.body;
+        const { message, lang } = req.body;
 
         if (!message || typeof message !== 'string') {
             return res.status(400).json({ error: 'Message is required' });
         }
 
-        // Retrieve relevant chunks
-        const relevantChunks = await retrieveRelevantChunks(message);
+        // Retrieve relevant chunks (from this tenant's embeddings, in the page language)
+        const { data } = await readPortfolio(req.tenant);
+        const relevantChunks = await retrieveRelevantChunks(message, req.tenant, resolveLocale(data, lang));
 
         // Generate response using LLM
-        const response = await generateResponse(message, relevantChunks);
+        const response = await generateResponse(message, relevantChunks, data.profile?.name);
 
         res.json({ response });
     } catch (error) {
@@ -399,26 +1399,278 @@ app.post('/api/chat', async (req, res) => {
 });
 
 // Serve HTML pages
-app.get('/', (req, res) => {
-    res.sendFile(join(__dirname, 'public', 'index.html'));
+router.get('/', async (req, res) => {
+    // Pages use relative URLs, so /u/:slug needs its trailing slash
+    const [path, query] = req.originalUrl.split('?');
+    if (req.baseUrl && !path.endsWith('/')) {
+        return res.redirect(301, `${path}/${query ? `?${query}` : ''}`);
+    }
+
+    // Demo mode renders sessionStorage data on the client
+    if (req.query.demo === '1') {
+        return res.sendFile(join(__dirname, 'public', 'index.html'));
+    }
+
+    try {
+        const { data } = await readPortfolio(req.tenant);
+        const locale = getRequestLocale(req, data);
+        const posts = await listPosts(req.tenant);
+        const html = await renderIndex(data, getThemeFromCookie(req.headers.cookie), locale, {
+            hasPosts: posts.length > 0,
+            resume: typeof req.query.resume === 'string' ? req.query.resume : undefined,
+            contactForm: true,
+            contactCard: true,
+            siteUrl: getSiteUrl(req)
+        });
+        res.setHeader('Content-Language', locale);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering portfolio page:', error);
+        // Fall back to the client-rendered shell
+        res.sendFile(join(__dirname, 'public', 'index.html'));
+    }
+});
+
+// GET Draft Preview (the token in the link stands in for authentication)
+router.get('/preview', async (req, res) => {
+    try {
+        const draft = await readDraft(req.tenant);
+        if (!matchesPreviewToken(draft, req.query.token)) {
+            return res.status(404).json({ error: 'Preview not found' });
+        }
+
+        const posts = await listPosts(req.tenant);
+        const html = await renderIndex(draft.data, getThemeFromCookie(req.headers.cookie), getRequestLocale(req, draft.data), {
+            hasPosts: posts.length > 0,
+            resume: typeof req.query.resume === 'string' ? req.query.resume : undefined,
+            contactForm: true,
+            contactCard: true
+        });
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Referrer-Policy', 'no-referrer');
+        res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+        res.type('html').send(markAsPreview(html, draft.publishAt));
+    } catch (error) {
+        console.error('Error rendering draft preview:', error);
+        res.status(500).json({ error: 'Failed to render preview' });
+    }
 });
 
-app.get('/demo', (req, res) => {
+// Blog pages live below the site root; <base href> keeps the page's relative links working
+router.get('/blog', async (req, res) => {
+    try {
+        const { data } = await readPortfolio(req.tenant);
+        const locale = getRequestLocale(req, data);
+        const tag = typeof req.query.tag === 'string' ? req.query.tag : undefined;
+        const posts = await listPosts(req.tenant, { tag });
+        const html = await renderBlogIndex(data, posts, getThemeFromCookie(req.headers.cookie), locale, {
+            baseHref: `${req.baseUrl}/`,
+            tag,
+            siteUrl: getSiteUrl(req)
+        });
+        res.setHeader('Content-Language', locale);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering blog:', error);
+        res.status(500).json({ error: 'Failed to render blog' });
+    }
+});
+
+router.get('/blog/:slug', async (req, res) => {
+    try {
+        const post = await readPost(req.tenant, req.params.slug);
+        if (!post) {
+            return res.status(404).json({ error: 'Post not found' });
+        }
+
+        const { data } = await readPortfolio(req.tenant);
+        const locale = getRequestLocale(req, data);
+        const html = await renderBlogPost(data, post, getThemeFromCookie(req.headers.cookie), locale, {
+            baseHref: `${req.baseUrl}/`,
+            siteUrl: getSiteUrl(req)
+        });
+        res.setHeader('Content-Language', locale);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering post:', error);
+        res.status(500).json({ error: 'Failed to render post' });
+    }
+});
+
+// Project detail pages (same <base href> treatment as the blog)
+router.get('/projects/:slug', async (req, res) => {
+    try {
+        const { data } = await readPortfolio(req.tenant);
+        const locale = getRequestLocale(req, data);
+        const posts = await listPosts(req.tenant);
+        const html = await renderProjectPage(data, req.params.slug, getThemeFromCookie(req.headers.cookie), locale, {
+            baseHref: `${req.baseUrl}/`,
+            hasPosts: posts.length > 0,
+            siteUrl: getSiteUrl(req)
+        });
+        if (!html) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.setHeader('Content-Language', locale);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering project page:', error);
+        res.status(500).json({ error: 'Failed to render project' });
+    }
+});
+
+// Embeddable profile card, framed on other sites by the loader in public/js/embed.js
+// (?sections=hero,skills picks sections, ?theme= the colors, ?chat=1 adds the chat launcher)
+router.get('/embed', async (req, res) => {
+    try {
+        const { data } = await readPortfolio(req.tenant);
+        const locale = getRequestLocale(req, data);
+        const sections = typeof req.query.sections === 'string'
+            ? req.query.sections.split(',').map(section => section.trim()).filter(section => EMBED_SECTIONS.includes(section))
+            : [];
+
+        const html = await renderEmbed(data, THEMES.includes(req.query.theme) ? req.query.theme : DEFAULT_THEME, locale, {
+            sections: sections.length > 0 ? sections : undefined,
+            chat: req.query.chat === '1' || req.query.chat === 'true',
+            baseHref: `${req.baseUrl}/`
+        });
+
+        // Any site may frame the card
+        res.setHeader('Content-Security-Policy', 'frame-ancestors *');
+        res.setHeader('Content-Language', locale);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering embed card:', error);
+        res.status(500).json({ error: 'Failed to render embed card' });
+    }
+});
+
+// Search engine files listing the published pages (drafts and previews stay out)
+router.get('/sitemap.xml', async (req, res) => {
+    try {
+        const { data } = await readPortfolio(req.tenant);
+        const posts = await listPosts(req.tenant);
+        res.type('application/xml').send(renderSitemap(getSitemapEntries(getSiteUrl(req), data, posts)));
+    } catch (error) {
+        console.error('Error rendering sitemap:', error);
+        res.status(500).json({ error: 'Failed to render sitemap' });
+    }
+});
+
+router.get('/robots.txt', (req, res) => {
+    res.type('text/plain').send(renderRobots(getSiteUrl(req)));
+});
+
+// Share card for link previews (/og-image is the PNG; ?theme= picks the colors, else the visitor's theme)
+router.get(['/og-image', `/og-image.:format(${OG_IMAGE_FORMATS.join('|')})`], async (req, res) => {
+    try {
+        const themed = THEMES.includes(req.query.theme);
+        const theme = themed ? req.query.theme : getThemeFromCookie(req.headers.cookie);
+        const image = await getOgImage(req.tenant, theme, req.params.format || 'png');
+
+        res.setHeader('ETag', image.etag);
+        if (themed) {
+            res.setHeader('Cache-Control', 'public, max-age=3600');
+        } else {
+            // Chosen by the theme cookie: shared caches must not hand one visitor's colors to another
+            res.setHeader('Cache-Control', 'private, max-age=3600');
+            res.setHeader('Vary', 'Cookie');
+        }
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        res.type(image.type).send(image.body);
+    } catch (error) {
+        console.error('Error rendering share image:', error);
+        res.status(500).json({ error: 'Failed to render share image' });
+    }
+});
+
+router.get('/demo', (req, res) => {
     res.sendFile(join(__dirname, 'public', 'demo.html'));
 });
 
-app.get('/admin', (req, res) => {
+router.get('/admin', (req, res) => {
     res.sendFile(join(__dirname, 'public', 'admin.html'));
 });
 
+router.use('/uploads', tenantUploads);
+
+// Mount the routes for /u/:slug tenants and for hostname-based (or default) tenants
+app.use('/u/:slug', tenantBySlug, router);
+app.use(tenantByHost, router);
+app.use(express.static(join(__dirname, 'public'), { index: false }));
+
+// Publish drafts whose scheduled time has passed
+async function publishScheduledDrafts() {
+    for (const tenant of listTenants()) {
+        try {
+            const draft = await readDraft(tenant);
+            if (!isDraftDue(draft)) continue;
+
+            if (validatePortfolio(draft.data).length > 0) {
+                console.error(`Scheduled draft for tenant "${tenant.slug}" is invalid; not publishing`);
+                await scheduleDraft(tenant, null);
+                continue;
+            }
+
+            const published = await publishDraft(tenant);
+            if (!published) continue;
+            const { data, etag, before } = published;
+            await announcePortfolioChange(tenant, etag);
+            await commitHistory(tenant, 'Publish scheduled draft')
+                .catch(error => console.error('Error recording content history:', error));
+            await initializeEmbeddings(tenant);
+            console.log(`Published scheduled draft for tenant "${tenant.slug}"`);
+
+            await triggerWebhooks(tenant, 'portfolio.updated', summarizePortfolioChange(before, data, 'schedule'))
+                .catch(error => console.error('Error sending portfolio.updated webhooks:', error));
+        } catch (error) {
+            console.error('Error publishing scheduled draft:', error);
+        }
+    }
+}
+
 // Initialize and Start Server
 async function startServer() {
     try {
-        // Initialize RAG embeddings on startup
+        console.log(`Storage backend: ${getStorageBackendName()}`);
+        const tenants = await loadTenants();
+        console.log(`Serving ${tenants.length} portfolio(s): ${tenants.map(tenant => tenant.slug).join(', ')}`);
+
+        // Initialize RAG embeddings on startup, one cache per tenant
         console.log('Initializing RAG embeddings...');
-        await initializeEmbeddings();
+        for (const tenant of tenants) {
+            await initializeEmbeddings(tenant);
+        }
         console.log('RAG embeddings initialized.');
 
+        // Start the content history with the current portfolio (PORTFOLIO_HISTORY=git)
+        if (isHistoryEnabled()) {
+            for (const tenant of tenants) {
+                await initHistory(tenant);
+            }
+            console.log('Content history: committing portfolio.json changes to .history/');
+        }
+
+        // Rebuild embeddings and update open pages when portfolio.json changes by other means
+        // (an edit on disk, a photo change); routes that re-embed announce their own writes
+        for (const tenant of tenants) {
+            await watchPortfolio(tenant, async etag => {
+                await initializeEmbeddings(tenant);
+                broadcastPortfolioChange(tenant, etag);
+            });
+        }
+
+        // Retry webhook deliveries that were still pending when the server stopped
+        for (const tenant of tenants) {
+            await resumeDeliveries(tenant);
+        }
+
+        // Apply scheduled publishes, including any that fell due while the server was down
+        await publishScheduledDrafts();
+        setInterval(publishScheduledDrafts, DRAFT_SCHEDULE_INTERVAL);
+
         app.listen(PORT, () => {
             console.log(`🚀 Portfolio server running at http://localhost:${PORT}`);
             console.log(`📁 Admin panel: http://localhost:${PORT}/admin`);
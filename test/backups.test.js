@@ -0,0 +1,69 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+import { listBackups, readBackup, restoreBackup, pruneBackups } from '../lib/backups.js';
+import { readPortfolio, savePortfolio } from '../lib/portfolio.js';
+
+let tenant;
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-backups-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+});
+
+beforeEach(async () => {
+    delete process.env.BACKUP_RETENTION_COUNT;
+    for (const { name } of await listBackups(tenant)) {
+        await rm(join(tenant.dataDir, name));
+    }
+    await writeFile(join(tenant.dataDir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Version 0' } }));
+});
+
+after(() => rm(tenant.dataDir, { recursive: true, force: true }));
+
+/**
+ * Save numbered versions; backup names have millisecond timestamps, so keep them apart
+ */
+async function saveVersions(from, to) {
+    for (let version = from; version <= to; version++) {
+        await sleep(5);
+        await savePortfolio(tenant, { profile: { name: `Version ${version}` } });
+    }
+}
+
+test('every save keeps only the configured number of backups', async () => {
+    process.env.BACKUP_RETENTION_COUNT = '3';
+    await saveVersions(1, 5);
+
+    const backups = await listBackups(tenant);
+    assert.equal(backups.length, 3);
+    // The newest backups are kept: versions 4, 3 and 2 (the ones replaced by saves 5, 4 and 3)
+    const names = await Promise.all(backups.map(async ({ name }) => (await readBackup(tenant, name)).profile.name));
+    assert.deepEqual(names, ['Version 4', 'Version 3', 'Version 2']);
+});
+
+test('pruning by age deletes only old backups', async () => {
+    await saveVersions(1, 2);
+    await writeFile(join(tenant.dataDir, 'portfolio.backup-2020-01-01T00-00-00-000Z.json'), '{}');
+
+    assert.deepEqual(await pruneBackups(tenant, { maxAgeDays: 30 }), ['portfolio.backup-2020-01-01T00-00-00-000Z.json']);
+    assert.equal((await listBackups(tenant)).length, 2);
+});
+
+test('restoring a chosen backup brings back that version and backs up the live one', async () => {
+    await saveVersions(1, 3);
+    const [, chosen] = await listBackups(tenant);
+    assert.equal((await readBackup(tenant, chosen.name)).profile.name, 'Version 1');
+
+    await sleep(5);
+    const { before } = await restoreBackup(tenant, chosen.name);
+    assert.equal(before.profile.name, 'Version 3');
+    assert.equal((await readPortfolio(tenant)).data.profile.name, 'Version 1');
+
+    const [newest] = await listBackups(tenant);
+    assert.equal((await readBackup(tenant, newest.name)).profile.name, 'Version 3');
+});
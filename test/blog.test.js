@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderPost, renderPostList } from '../public/js/render.js';
+
+const post = { slug: 'hello', title: 'Hello', date: '2024-03-01', tags: ['data'], summary: 'First post', html: '<p>Hi</p>' };
+
+test('formats post dates for the locale', () => {
+    assert.match(renderPost(post, 'en'), /<time class="post-date" datetime="2024-03-01">March 1, 2024<\/time>/);
+    assert.match(renderPostList([post], 'Writing', undefined, 'de'), /<time class="post-date" datetime="2024-03-01">1\. März 2024<\/time>/);
+});
+
+test('escapes date text once', () => {
+    const html = renderPost({ ...post, date: "Spring & O'Neil" }, 'en');
+    assert.ok(html.includes('>Spring &amp; O&#39;Neil</time>'));
+    assert.ok(!html.includes('&amp;amp;'));
+});
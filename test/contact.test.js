@@ -0,0 +1,83 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { validateContactMessage, detectSpam, checkRateLimit, saveMessage, forwardMessage, listMessages, CONTACT_RATE_LIMIT } from '../lib/contact.js';
+import { setMailTransport } from '../lib/mailer.js';
+
+const body = { name: 'Ada\r\nBcc: spam@example.com', email: 'ada@example.com', subject: 'Hello', message: 'I would like to talk about a role.' };
+
+let tenant;
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-contact-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+});
+
+after(() => rm(tenant.dataDir, { recursive: true, force: true }));
+
+afterEach(() => setMailTransport(undefined));
+
+test('validates the submitted fields', () => {
+    assert.deepEqual(validateContactMessage(body), []);
+    assert.deepEqual(
+        validateContactMessage({ name: '', email: 'not-an-address', message: 'short' }).map(error => error.path),
+        ['/name', '/email', '/message']
+    );
+});
+
+test('flags honeypot and time-trap hits', () => {
+    const now = Date.now();
+    assert.equal(detectSpam({ website: 'https://spam.example.com', startedAt: now - 60000 }, now), 'honeypot');
+    assert.equal(detectSpam({ startedAt: now - 500 }, now), 'submitted too fast');
+    assert.equal(detectSpam({}, now), 'missing time trap');
+    assert.equal(detectSpam({ startedAt: now - 60000 }, now), null);
+    assert.throws(() => detectSpam({ startedAt: now - 2 * 24 * 60 * 60 * 1000 }, now), { name: 'ContactError' });
+});
+
+test('limits submissions per client', () => {
+    const now = Date.now();
+    for (let i = 0; i < CONTACT_RATE_LIMIT; i++) {
+        assert.equal(checkRateLimit(tenant, '203.0.113.9', now + i).allowed, true);
+    }
+    const blocked = checkRateLimit(tenant, '203.0.113.9', now + CONTACT_RATE_LIMIT);
+    assert.equal(blocked.allowed, false);
+    assert.ok(blocked.retryAfter > 0);
+    assert.equal(checkRateLimit(tenant, '203.0.113.10', now).allowed, true);
+});
+
+test('forwards a stored message through the mail transport', async () => {
+    const sent = [];
+    setMailTransport({ sendMail: async message => { sent.push(message); return { messageId: '<1@test>' }; } });
+
+    const message = await forwardMessage(tenant, await saveMessage(tenant, body), 'jane@example.com');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'jane@example.com');
+    assert.deepEqual(sent[0].replyTo, { name: 'Ada Bcc: spam@example.com', address: 'ada@example.com' });
+    assert.equal(sent[0].subject, 'Portfolio contact: Hello');
+    assert.ok(message.forwardedAt);
+
+    const { messages } = await listMessages(tenant);
+    assert.equal(messages.find(item => item.id === message.id).forwardedAt, message.forwardedAt);
+});
+
+test('records a failed forward on the message instead of throwing', async () => {
+    setMailTransport({ sendMail: async () => { throw new Error('Connection refused'); } });
+
+    const message = await forwardMessage(tenant, await saveMessage(tenant, body), 'jane@example.com');
+
+    assert.equal(message.forwardError, 'Connection refused');
+    const { messages, unread } = await listMessages(tenant);
+    assert.equal(messages.find(item => item.id === message.id).forwardError, 'Connection refused');
+    assert.equal(unread, 2);
+});
+
+test('sends nothing without a forwarding address or transport', async () => {
+    setMailTransport(null);
+    const message = await saveMessage(tenant, body);
+    assert.equal(await forwardMessage(tenant, message, 'jane@example.com'), message);
+    assert.equal(await forwardMessage(tenant, message, null), message);
+});
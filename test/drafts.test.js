@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { saveDraft, readDraft, publishDraft } from '../lib/drafts.js';
+import { readPortfolio } from '../lib/portfolio.js';
+
+let tenant;
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-drafts-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' } }));
+});
+
+after(() => rm(tenant.dataDir, { recursive: true, force: true }));
+
+test('publishDraft returns null without a draft', async () => {
+    assert.equal(await publishDraft(tenant), null);
+});
+
+test('only one of two concurrent publishes gets the draft', async () => {
+    await saveDraft(tenant, { profile: { name: 'Jane Draft' } });
+
+    const results = await Promise.all([publishDraft(tenant), publishDraft(tenant)]);
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(results.find(Boolean).data.profile.name, 'Jane Draft');
+    assert.equal(await readDraft(tenant), null);
+    assert.equal((await readPortfolio(tenant)).data.profile.name, 'Jane Draft');
+});
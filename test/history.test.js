@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { initHistory, commitHistory, listHistory, getHistoryCommit, revertCommit, HistoryError } from '../lib/history.js';
+import { readPortfolio, savePortfolio } from '../lib/portfolio.js';
+
+let tenant;
+
+before(async () => {
+    process.env.PORTFOLIO_HISTORY = 'git';
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-history-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' }, skills: [] }));
+    await initHistory(tenant);
+});
+
+after(async () => {
+    delete process.env.PORTFOLIO_HISTORY;
+    await rm(tenant.dataDir, { recursive: true, force: true });
+});
+
+test('commits each write with the changed sections in the message', async () => {
+    await savePortfolio(tenant, { profile: { name: 'Jane Doe' }, skills: [{ category: 'Data', items: ['SQL'] }] });
+    await commitHistory(tenant, 'Edit skills', 'jane');
+    const { data } = await readPortfolio(tenant);
+    await savePortfolio(tenant, { ...data, profile: { name: 'Jane Q. Doe' }, interests: ['Chess'] });
+    await commitHistory(tenant, 'Upload portfolio', 'jane');
+
+    // Nothing changed: no commit
+    assert.equal(await commitHistory(tenant, 'Upload portfolio', 'jane'), null);
+
+    const { total, commits } = await listHistory(tenant);
+    assert.equal(total, 3);
+    assert.deepEqual(commits.map(commit => commit.subject), [
+        'Upload portfolio: profile changed, interests added',
+        'Edit skills: skills changed',
+        'Start content history'
+    ]);
+    assert.equal(commits[0].author, 'jane');
+    assert.deepEqual(commits[0].changes, [{ section: 'profile', status: 'changed' }, { section: 'interests', status: 'added' }]);
+
+    const detail = await getHistoryCommit(tenant, commits[1].shortHash);
+    assert.equal(detail.hash, commits[1].hash);
+    assert.deepEqual(detail.sections.find(section => section.section === 'skills').after, [{ category: 'Data', items: ['SQL'] }]);
+});
+
+test('reverts one commit and leaves later changes alone', async () => {
+    const { commits } = await listHistory(tenant);
+    const { data } = await revertCommit(tenant, commits[1].hash, (await readPortfolio(tenant)).data);
+    assert.deepEqual(data.skills, []);
+    assert.equal(data.profile.name, 'Jane Q. Doe');
+});
+
+test('rejects invalid and unknown commit hashes', async () => {
+    for (const commit of ['HEAD', '--all', '../portfolio.json', 'abc']) {
+        await assert.rejects(getHistoryCommit(tenant, commit), error => error instanceof HistoryError && error.status === 400, commit);
+    }
+    await assert.rejects(getHistoryCommit(tenant, 'deadbeef'), { status: 404 });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyPatch, JsonPatchError } from '../lib/json-patch.js';
+
+const portfolio = () => ({ profile: { name: 'Jane', title: 'Engineer' }, skills: ['SQL', 'Python'] });
+
+test('applies operations to a copy of the document', () => {
+    const document = portfolio();
+    const result = applyPatch(document, [
+        { op: 'replace', path: '/profile/title', value: 'Data Engineer' },
+        { op: 'add', path: '/skills/-', value: 'Spark' },
+        { op: 'remove', path: '/skills/0' },
+        { op: 'copy', from: '/profile/name', path: '/profile/shortName' },
+        { op: 'move', from: '/profile/shortName', path: '/nickname' }
+    ]);
+
+    assert.deepEqual(result, {
+        profile: { name: 'Jane', title: 'Data Engineer' },
+        skills: ['Python', 'Spark'],
+        nickname: 'Jane'
+    });
+    assert.deepEqual(document, portfolio());
+});
+
+test('applies every operation or none', () => {
+    assert.throws(
+        () => applyPatch(portfolio(), [
+            { op: 'replace', path: '/profile/title', value: 'Data Engineer' },
+            { op: 'remove', path: '/missing' }
+        ]),
+        { name: 'JsonPatchError', message: 'Operation 1: Path "/missing" not found' }
+    );
+});
+
+test('rejects paths that reach Object.prototype', () => {
+    for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted']) {
+        assert.throws(() => applyPatch(portfolio(), [{ op: 'add', path, value: 'yes' }]), JsonPatchError);
+        assert.throws(() => applyPatch(portfolio(), [{ op: 'replace', path, value: 'yes' }]), JsonPatchError);
+    }
+    assert.equal({}.polluted, undefined);
+});
+
+test('does not treat inherited properties as part of the document', () => {
+    assert.throws(
+        () => applyPatch(portfolio(), [{ op: 'replace', path: '/profile/toString', value: 'x' }]),
+        { message: 'Operation 0: Path "/profile/toString" not found' }
+    );
+    assert.throws(
+        () => applyPatch(portfolio(), [{ op: 'add', path: '/hasOwnProperty/x', value: 'x' }]),
+        JsonPatchError
+    );
+});
+
+test('test compares values structurally, ignoring key order', () => {
+    const document = { meta: { a: 1, b: [1, { c: 2, d: 3 }] } };
+    assert.doesNotThrow(() => applyPatch(document, [
+        { op: 'test', path: '/meta', value: { b: [1, { d: 3, c: 2 }], a: 1 } }
+    ]));
+    assert.throws(
+        () => applyPatch(document, [{ op: 'test', path: '/meta', value: { a: 1, b: [{ d: 3, c: 2 }, 1] } }]),
+        { message: 'Operation 0: Test failed at "/meta"' }
+    );
+    assert.throws(
+        () => applyPatch(document, [{ op: 'test', path: '/meta/a', value: '1' }]),
+        JsonPatchError
+    );
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fromJsonResume, toJsonResume } from '../lib/jsonresume.js';
+
+test('imports numeric years from hand-written files', () => {
+    const { portfolio } = fromJsonResume({
+        basics: { name: 'Jane Doe' },
+        education: [{ institution: 'TU Munich', studyType: 'MSc', area: 'Informatics', startDate: 2017, endDate: 2019 }],
+        certificates: [{ name: 'CKA', issuer: 'CNCF', date: 2021 }]
+    });
+
+    assert.equal(portfolio.education[0].year, '2017 - 2019');
+    assert.equal(portfolio.certifications[0].year, '2021');
+});
+
+test('reports portfolio fields that JSON Resume cannot hold', () => {
+    const { resume, warnings } = toJsonResume({
+        profile: { name: 'Jane Doe' },
+        experience: [{ company: 'Acme', role: 'Engineer', period: '2020 - Present', logo: '/uploads/acme.png' }],
+        certifications: [{ name: 'CKA', issuer: 'CNCF', year: 2021, logo: '/uploads/cka.png' }],
+        projects: [{
+            title: 'Lakehouse',
+            slug: 'lakehouse',
+            description: 'Delta Lake platform',
+            technologies: ['Spark'],
+            caseStudy: { problem: 'Slow reports' },
+            screenshots: [{ src: '/uploads/lakehouse.png' }]
+        }]
+    });
+
+    assert.equal(resume.projects[0].name, 'Lakehouse');
+    assert.deepEqual(warnings.map(warning => warning.path).sort(), [
+        '/certifications/0/logo',
+        '/experience/0/logo',
+        '/projects/0/caseStudy',
+        '/projects/0/screenshots',
+        '/projects/0/slug'
+    ]);
+});
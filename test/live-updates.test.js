@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { get } from 'http';
+import express from 'express';
+
+import { watchPortfolio, announcePortfolioChange, addEventClient } from '../lib/live-updates.js';
+import { savePortfolio } from '../lib/portfolio.js';
+
+let tenant;
+let stop;
+const changes = [];
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-live-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' } }));
+    stop = await watchPortfolio(tenant, async etag => { changes.push(etag); });
+});
+
+after(async () => {
+    stop();
+    await rm(tenant.dataDir, { recursive: true, force: true });
+});
+
+test('reports an edit made on disk once it is valid JSON', async () => {
+    await writeFile(join(tenant.dataDir, 'portfolio.json'), '{"profile": {"name": "Jane');
+    await sleep(600);
+    assert.equal(changes.length, 0);
+
+    await writeFile(join(tenant.dataDir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Edited' } }));
+    await sleep(600);
+    assert.equal(changes.length, 1);
+});
+
+test('skips a version the server announced itself', async () => {
+    const { etag } = await savePortfolio(tenant, { profile: { name: 'Jane Saved' } });
+    await announcePortfolioChange(tenant, etag);
+    await sleep(600);
+    assert.equal(changes.length, 1);
+});
+
+test('caps open event streams per client IP and per tenant', async () => {
+    const app = express();
+    app.get('/:slug/events', (req, res) => addEventClient({ ...tenant, slug: req.params.slug }, req, res));
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const streams = [];
+    const open = slug => new Promise((resolve, reject) => {
+        const request = get(`http://127.0.0.1:${server.address().port}/${slug}/events`, response => {
+            streams.push(request);
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+    });
+
+    try {
+        process.env.LIVE_UPDATES_MAX_CLIENTS_PER_IP = '2';
+        assert.deepEqual([await open('a'), await open('b'), await open('a')], [200, 200, 503]);
+
+        process.env.LIVE_UPDATES_MAX_CLIENTS_PER_IP = '10';
+        process.env.LIVE_UPDATES_MAX_CLIENTS = '2';
+        assert.deepEqual([await open('a'), await open('a'), await open('c')], [200, 503, 200]);
+
+        // A closed stream frees its place
+        streams[0].destroy();
+        await sleep(100);
+        assert.equal(await open('a'), 200);
+    } finally {
+        delete process.env.LIVE_UPDATES_MAX_CLIENTS_PER_IP;
+        delete process.env.LIVE_UPDATES_MAX_CLIENTS;
+        streams.forEach(request => request.destroy());
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
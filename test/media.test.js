@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+
+import { saveMedia, deleteMedia, MediaError } from '../lib/media.js';
+
+let tenant;
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-media-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads'), uploadsUrl: '/uploads' };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' } }));
+});
+
+after(() => rm(tenant.dataDir, { recursive: true, force: true }));
+
+async function createImage(width, height, color) {
+    const buffer = await sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+    return { buffer, originalname: 'photo.png', size: buffer.length };
+}
+
+const listFiles = () => readdir(join(tenant.uploadsDir, 'media'));
+
+test('stores images under a content hash with resized WebP variants', async () => {
+    const file = await createImage(700, 400, '#336699');
+    const entry = await saveMedia(tenant, file);
+
+    assert.match(entry.filename, /^[a-f0-9]{16}-700w\.png$/);
+    assert.equal(entry.url, `/uploads/media/${entry.filename}`);
+    assert.deepEqual(entry.variants.map(variant => variant.width), [320, 640, 700]);
+
+    const variant = await sharp(join(tenant.uploadsDir, 'media', `${entry.id}-320w.webp`)).metadata();
+    assert.equal(variant.format, 'webp');
+    assert.equal(variant.width, 320);
+
+    // The same content is stored once
+    assert.equal((await saveMedia(tenant, { ...file, originalname: 'copy.png' })).id, entry.id);
+    assert.equal((await listFiles()).filter(name => name.startsWith(entry.id)).length, 4);
+});
+
+test('refuses to delete media the portfolio still uses', async () => {
+    const entry = await saveMedia(tenant, await createImage(400, 400, '#993366'));
+    await writeFile(join(tenant.dataDir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe', photo: entry.variants[0].url } }));
+
+    await assert.rejects(deleteMedia(tenant, entry.id), error => {
+        assert.ok(error instanceof MediaError);
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.details, [{ document: 'portfolio', path: '/profile/photo' }]);
+        return true;
+    });
+    assert.ok((await listFiles()).includes(entry.filename));
+
+    await writeFile(join(tenant.dataDir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' } }));
+    await deleteMedia(tenant, entry.id);
+    assert.ok(!(await listFiles()).some(name => name.startsWith(entry.id)));
+    await assert.rejects(deleteMedia(tenant, entry.id), { status: 404 });
+});
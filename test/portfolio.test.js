@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { readPortfolio, savePortfolio, updatePortfolio, PortfolioError } from '../lib/portfolio.js';
+
+let tenant;
+
+before(async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify({ profile: { name: 'Jane Doe' }, skills: [] }));
+});
+
+after(() => rm(tenant.dataDir, { recursive: true, force: true }));
+
+test('of two writes with the same If-Match only one succeeds', async () => {
+    const { etag } = await readPortfolio(tenant);
+    const addSkill = name => updatePortfolio(tenant, data => { data.skills.push({ name }); }, { ifMatch: etag });
+
+    const results = await Promise.allSettled([addSkill('Python'), addSkill('SQL')]);
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.equal(rejected.length, 1);
+    assert.ok(rejected[0].reason instanceof PortfolioError);
+    assert.equal(rejected[0].reason.status, 412);
+
+    const { data, etag: current } = await readPortfolio(tenant);
+    assert.equal(data.skills.length, 1);
+    assert.equal(results.find(result => result.status === 'fulfilled').value.etag, current);
+});
+
+test('a rejected update leaves portfolio.json untouched', async () => {
+    const { etag } = await readPortfolio(tenant);
+    await assert.rejects(updatePortfolio(tenant, data => {
+        data.profile.name = 'Changed';
+        throw new PortfolioError('Item not found', 404);
+    }), { status: 404 });
+    assert.equal((await readPortfolio(tenant)).etag, etag);
+});
+
+test('a photo update and a section update at the same time both stick', async () => {
+    await Promise.all([
+        updatePortfolio(tenant, data => { data.profile.photo = '/uploads/photo.jpg'; }),
+        updatePortfolio(tenant, data => { data.skills.push({ name: 'Go' }); })
+    ]);
+
+    const { data } = await readPortfolio(tenant);
+    assert.equal(data.profile.photo, '/uploads/photo.jpg');
+    assert.ok(data.skills.some(skill => skill.name === 'Go'));
+});
+
+test('savePortfolio replaces the document and reports the previous one', async () => {
+    const { data: current } = await readPortfolio(tenant);
+    const saved = await savePortfolio(tenant, { profile: { name: 'Jane Saved' }, projects: [{ title: 'My App' }] });
+
+    assert.deepEqual(saved.before, current);
+    assert.equal(saved.data.projects[0].slug, 'my-app');
+    assert.equal((await readPortfolio(tenant)).etag, saved.etag);
+});
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { initializeEmbeddings } from '../rag/embed.js';
+import { retrieveRelevantChunks } from '../rag/retriever.js';
+
+const tenants = {};
+
+async function createTenant(slug, portfolio) {
+    const dir = await mkdtemp(join(tmpdir(), `portfolio-rag-${slug}-`));
+    tenants[slug] = { slug, dataDir: dir, uploadsDir: join(dir, 'uploads') };
+    await writeFile(join(dir, 'portfolio.json'), JSON.stringify(portfolio));
+}
+
+before(async () => {
+    // No embedding provider: chunks are matched by keyword
+    process.env.LLM_PROVIDER = 'openai';
+    delete process.env.OPENAI_API_KEY;
+
+    await createTenant('alice', {
+        i18n: { defaultLocale: 'en', locales: ['en', 'de'] },
+        profile: { name: 'Alice Archer', summary: { en: 'Alice builds data pipelines', de: 'Alice baut Datenpipelines' } },
+        projects: [{ title: 'Quiver', description: 'Alice streaming project', technologies: ['Kafka'] }]
+    });
+    await createTenant('bob', {
+        profile: { name: 'Bob Builder', summary: 'Bob builds data pipelines too' },
+        projects: [{ title: 'Hammer', description: 'Bob streaming project', technologies: ['Flink'] }]
+    });
+    await Promise.all(Object.values(tenants).map(tenant => initializeEmbeddings(tenant)));
+});
+
+after(() => Promise.all(Object.values(tenants).map(tenant => rm(tenant.dataDir, { recursive: true, force: true }))));
+
+test('retrieval only returns chunks of the asking tenant', async () => {
+    for (const [slug, other] of [['alice', 'Bob'], ['bob', 'Alice']]) {
+        const chunks = await retrieveRelevantChunks('Who builds streaming data pipelines?', tenants[slug]);
+        assert.ok(chunks.length > 0);
+        assert.ok(chunks.every(chunk => !chunk.text.includes(other)), `${slug} got a chunk of ${other}`);
+    }
+});
+
+test('retrieval only returns chunks in the requested locale', async () => {
+    const german = await retrieveRelevantChunks('Wer baut Datenpipelines?', tenants.alice, 'de');
+    assert.ok(german.some(chunk => chunk.text.includes('Alice baut Datenpipelines')));
+    assert.ok(german.every(chunk => !chunk.text.includes('Alice builds data pipelines')));
+
+    const english = await retrieveRelevantChunks('Who builds data pipelines?', tenants.alice, 'en');
+    assert.ok(english.every(chunk => !chunk.text.includes('Alice baut')));
+});
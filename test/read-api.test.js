@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePortfolioQuery, isFilteredQuery, queryPortfolio, querySection, PortfolioQueryError } from '../lib/portfolio-query.js';
+import { getCorsHeaders } from '../lib/cors.js';
+import { getCorsOrigins, DEFAULT_TENANT } from '../lib/tenants.js';
+
+const portfolio = {
+    profile: { name: 'Jane Doe' },
+    projects: [
+        { title: 'Lakehouse', technologies: ['Databricks', 'Spark'] },
+        { title: 'Notebook', technologies: ['PySpark'] },
+        { title: 'Chatbot', technologies: ['RAG', 'OpenAI'] }
+    ],
+    experience: [
+        { company: 'Acme', role: 'Data Engineer', description: { en: 'Built Spark jobs', de: 'Spark-Jobs gebaut' } },
+        { company: 'Initech', role: 'Analyst', highlights: ['Dashboards in PySpark'] }
+    ],
+    skills: [{ category: 'Data', items: ['SQL'] }, { category: 'Cloud', items: ['AWS'] }]
+};
+
+test('selects sections', () => {
+    const result = queryPortfolio(portfolio, parsePortfolioQuery({ sections: 'profile,skills' }));
+    assert.deepEqual(Object.keys(result), ['profile', 'skills']);
+    assert.throws(() => parsePortfolioQuery({ sections: 'profile,secrets' }), PortfolioQueryError);
+});
+
+test('filters projects and jobs by technology as a whole word', () => {
+    const query = parsePortfolioQuery({ technology: 'spark' });
+    assert.deepEqual(querySection('projects', portfolio.projects, query).map(project => project.title), ['Lakehouse']);
+    assert.deepEqual(querySection('experience', portfolio.experience, query).map(job => job.company), ['Acme']);
+
+    // Comma-separated values match any of them; other sections are not filtered
+    const any = queryPortfolio(portfolio, parsePortfolioQuery({ technology: 'PySpark,RAG' }));
+    assert.deepEqual(any.projects.map(project => project.title), ['Notebook', 'Chatbot']);
+    assert.equal(any.skills.length, 2);
+});
+
+test('limits every list section', () => {
+    const result = queryPortfolio(portfolio, parsePortfolioQuery({ limit: '1' }));
+    assert.equal(result.projects.length, 1);
+    assert.equal(result.skills.length, 1);
+    assert.deepEqual(result.profile, portfolio.profile);
+
+    for (const limit of ['0', '1.5', 'ten', '101']) {
+        assert.throws(() => parsePortfolioQuery({ limit }), PortfolioQueryError, limit);
+    }
+    assert.equal(isFilteredQuery(parsePortfolioQuery({})), false);
+});
+
+test('sends CORS headers only to allowlisted origins', () => {
+    const origins = ['https://blog.example.com'];
+    assert.equal(getCorsHeaders(origins, 'https://evil.example.com'), null);
+    assert.equal(getCorsHeaders(origins, undefined), null);
+
+    const headers = getCorsHeaders(origins, 'https://blog.example.com');
+    assert.equal(headers['Access-Control-Allow-Origin'], 'https://blog.example.com');
+    assert.match(headers['Access-Control-Expose-Headers'], /ETag/);
+    assert.equal(headers['Access-Control-Allow-Methods'], undefined);
+
+    const preflight = getCorsHeaders(origins, 'https://blog.example.com', true);
+    assert.equal(preflight['Access-Control-Allow-Methods'], 'GET, HEAD');
+    assert.equal(getCorsHeaders(['*'], 'https://any.example.com')['Access-Control-Allow-Origin'], '*');
+});
+
+test('reads allowed origins from CORS_ORIGINS or tenant.json', () => {
+    process.env.CORS_ORIGINS = 'https://blog.example.com/, https://dash.example.com';
+    try {
+        assert.deepEqual(getCorsOrigins(DEFAULT_TENANT), ['https://blog.example.com', 'https://dash.example.com']);
+    } finally {
+        delete process.env.CORS_ORIGINS;
+    }
+    assert.deepEqual(getCorsOrigins({ slug: 'jane', cors: { origins: ['https://jane.example.com'] } }), ['https://jane.example.com']);
+    assert.deepEqual(getCorsOrigins({ slug: 'jane' }), []);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderIndex, renderEmbed, markAsPreview } from '../lib/ssr.js';
+
+// Replacement patterns that String.prototype.replace expands in a replacement string
+const DOLLARS = '$$ $& $` $\' $1';
+
+const portfolio = (profile = {}) => ({
+    profile: { name: 'Jane Doe', title: 'Engineer', summary: 'Builds data platforms.', ...profile },
+    projects: [{ title: 'Pricing', description: `Plans from $$5, ${DOLLARS}`, technologies: ['SQL'] }]
+});
+
+const getMain = html => html.match(/<main id="portfolio-content"[\s\S]*<\/main>/)[0];
+
+test('renders the portfolio into the page', async () => {
+    const html = await renderIndex(portfolio(), 'modern', undefined, {});
+    assert.match(getMain(html), /^<main id="portfolio-content" data-rendered="server">[\s\S]*Pricing/);
+    assert.match(html, /<a href="\.\/" class="logo">Jane<\/a>/);
+});
+
+test('keeps dollar signs in the page content literally', async () => {
+    const html = await renderIndex(portfolio({ name: `$$Jane$& Doe` }), 'modern', undefined, {});
+    assert.ok(getMain(html).includes('Plans from $$5, $$ $&amp; $` $&#39; $1'));
+    assert.equal(html.match(/<main id="portfolio-content"/g).length, 1);
+    assert.match(html, /<a href="\.\/" class="logo">\$\$Jane\$&amp;<\/a>/);
+});
+
+test('keeps dollar signs in the title and meta tags literally', async () => {
+    const html = await renderIndex(portfolio({ name: `Jane ${DOLLARS}`, summary: `Saved $$$ and ${DOLLARS}` }), 'modern', undefined, {
+        siteUrl: 'https://jane.example.com/'
+    });
+    const head = html.slice(0, html.indexOf('</head>'));
+
+    assert.equal(html.match(/<!DOCTYPE html>/g).length, 1);
+    assert.ok(head.includes('<title>Jane $$ $&amp; $` $&#39; $1 | Portfolio</title>'));
+    assert.ok(head.includes('<meta name="description" content="Saved $$$ and $$ $&amp; $` $&#39; $1">'));
+    assert.match(head, /<meta property="og:title" content="Jane \$\$ \$&amp; \$` \$&#39; \$1 — Engineer">/);
+});
+
+test('keeps dollar signs in the embeddable card literally', async () => {
+    const html = await renderEmbed(portfolio({ name: `Jane ${DOLLARS}` }), 'modern', undefined, { sections: ['hero', 'projects'] });
+    const main = html.match(/<main id="embed-content" class="embed-card">[\s\S]*<\/main>/)[0];
+
+    assert.equal(html.match(/<!DOCTYPE html>/g).length, 1);
+    assert.ok(html.includes('<title>Jane $$ $&amp; $` $&#39; $1 | Portfolio Card</title>'));
+    assert.ok(main.includes('Plans from $$5, $$ $&amp; $` $&#39; $1'));
+    assert.equal(html.match(/<main id="embed-content"/g).length, 1);
+});
+
+test('marks draft previews without expanding dollar signs', () => {
+    const html = markAsPreview('<html><head></head><body>$&</body></html>', '2026-03-01T09:00:00Z');
+    assert.ok(html.includes('<meta name="robots" content="noindex, nofollow">'));
+    assert.ok(html.includes('<div class="preview-banner">Draft preview — not published · scheduled for Sun, 01 Mar 2026 09:00:00 GMT</div>'));
+    assert.equal(html.match(/<body>/g).length, 1);
+});
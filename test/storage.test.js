@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+import { createStorageBackend, updateJson, readJson, isStorageName } from '../lib/storage.js';
+
+// S3 runs against a real bucket only when one is configured, e.g. the dev compose file's MinIO:
+//   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=portfolio S3_ACCESS_KEY_ID=minioadmin \
+//   S3_SECRET_ACCESS_KEY=minioadmin S3_FORCE_PATH_STYLE=true npm test
+const BACKENDS = [
+    { name: 'fs' },
+    { name: 'sqlite' },
+    { name: 's3', skip: !(process.env.S3_ENDPOINT && process.env.S3_BUCKET) && 'S3_ENDPOINT and S3_BUCKET are not set' }
+];
+
+let dir;
+let savedSqlitePath;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'portfolio-storage-'));
+    savedSqlitePath = process.env.STORAGE_SQLITE_PATH;
+    process.env.STORAGE_SQLITE_PATH = join(dir, 'storage.db');
+});
+
+after(async () => {
+    if (savedSqlitePath === undefined) delete process.env.STORAGE_SQLITE_PATH;
+    else process.env.STORAGE_SQLITE_PATH = savedSqlitePath;
+    await rm(dir, { recursive: true, force: true });
+});
+
+for (const { name, skip } of BACKENDS) {
+    describe(`${name} backend`, { skip }, () => {
+        let storage;
+        let tenant;
+
+        before(async () => {
+            storage = await createStorageBackend(name);
+            // A fresh slug keeps runs against a shared bucket apart
+            const slug = `test-${randomUUID()}`;
+            tenant = { slug, dataDir: join(dir, name, slug, 'data'), uploadsDir: join(dir, name, slug, 'uploads') };
+        });
+
+        test('reads back what was written', async () => {
+            await storage.write(tenant, 'portfolio.json', Buffer.from('{"profile":{}}'));
+            assert.equal((await storage.read(tenant, 'portfolio.json')).toString(), '{"profile":{}}');
+
+            await storage.write(tenant, 'portfolio.json', Buffer.from('{"profile":{"name":"Jane"}}'));
+            assert.equal((await storage.read(tenant, 'portfolio.json')).toString(), '{"profile":{"name":"Jane"}}');
+
+            const info = await storage.stat(tenant, 'portfolio.json');
+            assert.equal(info.size, 27);
+            assert.ok(info.modified instanceof Date);
+        });
+
+        test('reports missing files', async () => {
+            assert.equal(await storage.read(tenant, 'missing.json'), null);
+            assert.equal(await storage.stat(tenant, 'missing.json'), null);
+            assert.equal(await storage.remove(tenant, 'missing.json'), false);
+        });
+
+        test('lists folders, recursively on request', async () => {
+            await storage.write(tenant, 'posts/hello.md', Buffer.from('# Hello'));
+            await storage.write(tenant, 'uploads/photo.jpg', Buffer.from('jpeg'));
+            await storage.write(tenant, 'uploads/media/a.webp', Buffer.from('webp'));
+
+            const names = async (folder, options) => (await storage.list(tenant, folder, options)).map(file => file.name).sort();
+            assert.deepEqual(await names('posts'), ['hello.md']);
+            assert.deepEqual(await names('uploads'), ['photo.jpg']);
+            assert.deepEqual(await names('uploads', { recursive: true }), ['media/a.webp', 'photo.jpg']);
+            assert.deepEqual(await names('empty'), []);
+        });
+
+        test('deletes files', async () => {
+            assert.equal(await storage.remove(tenant, 'posts/hello.md'), true);
+            assert.equal(await storage.read(tenant, 'posts/hello.md'), null);
+        });
+
+        if (name === 'fs') {
+            test('keeps the original layout and leaves no temporary files', async () => {
+                assert.deepEqual((await readdir(tenant.uploadsDir)).sort(), ['media', 'photo.jpg']);
+                assert.deepEqual((await readdir(tenant.dataDir)).sort(), ['portfolio.json', 'posts']);
+            });
+        }
+    });
+}
+
+test('checks storage names', () => {
+    assert.equal(isStorageName('uploads/media/a.webp'), true);
+    for (const name of ['', '/etc/passwd', '../portfolio.json', 'uploads//a', 'uploads/./a', 'a\\b']) {
+        assert.equal(isStorageName(name), false, name);
+    }
+});
+
+test('updateJson runs concurrent updates one at a time', async () => {
+    const tenant = { slug: 'locks', dataDir: join(dir, 'locks'), uploadsDir: join(dir, 'locks', 'uploads') };
+    await Promise.all(Array.from({ length: 20 }, () =>
+        updateJson(tenant, 'counter.json', counter => { counter.value++; }, { value: 0 })
+    ));
+    assert.deepEqual(await readJson(tenant, 'counter.json'), { value: 20 });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildVCard } from '../lib/vcard.js';
+
+// Unfold continuation lines (RFC 6350 section 3.2) and split into properties
+const getLines = card => card.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+test('builds a vCard from the profile and socials', () => {
+    const lines = getLines(buildVCard({
+        profile: { name: 'Jane Doe', title: 'Data Engineer', email: 'jane@example.com' },
+        socials: [{ platform: 'GitHub', url: 'https://github.com/jane' }]
+    }, { url: 'https://jane.example.com/' }));
+
+    assert.equal(lines[0], 'BEGIN:VCARD');
+    assert.ok(lines.includes('FN:Jane Doe'));
+    assert.ok(lines.includes('N:Doe;Jane;;;'));
+    assert.ok(lines.includes('EMAIL;TYPE=work:jane@example.com'));
+    assert.ok(lines.includes('URL;TYPE=work:https://jane.example.com/'));
+    assert.ok(lines.includes('SOCIALPROFILE;SERVICE-TYPE=GitHub:https://github.com/jane'));
+    assert.equal(lines[lines.length - 1], 'END:VCARD');
+});
+
+test('keeps line breaks in URLs from adding properties', () => {
+    const lines = getLines(buildVCard({
+        profile: { name: 'Jane Doe', photo: 'https://cdn.example.com/jane.jpg\r\nNOTE:photo' },
+        socials: [{ platform: 'GitHub', url: 'https://github.com/jane\r\nTEL:+1-555-0100' }]
+    }, { url: 'https://jane.example.com/\nX-INJECTED:1' }));
+
+    assert.ok(!lines.some(line => /^(TEL|X-INJECTED|NOTE):/.test(line)));
+    assert.ok(lines.includes('URL:https://github.com/janeTEL:+1-555-0100'));
+    assert.ok(lines.includes('URL;TYPE=work:https://jane.example.com/X-INJECTED:1'));
+});
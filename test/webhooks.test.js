@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+import { createWebhook, triggerWebhooks, pingWebhook, listDeliveries, signPayload, WebhookError } from '../lib/webhooks.js';
+
+let tenant;
+let receiver;
+let receiverUrl;
+const received = [];
+// Status the receiver answers with, per path
+const statuses = { '/ok': 204, '/broken': 500, '/gone': 410 };
+
+before(async () => {
+    // The receiver listens on 127.0.0.1
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    const dir = await mkdtemp(join(tmpdir(), 'portfolio-webhooks-'));
+    tenant = { slug: 'test', dataDir: dir, uploadsDir: join(dir, 'uploads') };
+
+    receiver = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(statuses[req.url] || 404).end('received');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    await new Promise(resolve => receiver.close(resolve));
+    await rm(tenant.dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Wait until a delivery has left the "pending" state
+ */
+async function waitForDelivery(id) {
+    for (let i = 0; i < 50; i++) {
+        const delivery = (await listDeliveries(tenant)).find(item => item.id === id);
+        if (delivery.status !== 'pending') return delivery;
+        await sleep(50);
+    }
+    throw new Error(`Delivery ${id} is still pending`);
+}
+
+test('rejects invalid subscriptions', async () => {
+    await assert.rejects(createWebhook(tenant, { url: 'ftp://example.com', events: ['portfolio.updated'] }), WebhookError);
+    await assert.rejects(createWebhook(tenant, { url: `${receiverUrl}/ok`, events: ['portfolio.deleted'] }), WebhookError);
+});
+
+test('delivers signed events to matching subscriptions', async () => {
+    const webhook = await createWebhook(tenant, { url: `${receiverUrl}/ok`, events: ['portfolio.updated'] });
+    await createWebhook(tenant, { url: `${receiverUrl}/other`, events: ['photo.updated'] });
+
+    const [delivery] = await triggerWebhooks(tenant, 'portfolio.updated', { source: 'patch', changes: [] });
+    assert.equal((await waitForDelivery(delivery.id)).status, 'delivered');
+
+    const request = received.find(item => item.headers['x-portfolio-delivery'] === delivery.id);
+    assert.equal(request.path, '/ok');
+    assert.equal(request.headers['x-portfolio-event'], 'portfolio.updated');
+    assert.equal(request.headers['x-portfolio-signature'], signPayload(webhook.secret, request.headers['x-portfolio-timestamp'], request.body));
+    assert.equal(JSON.parse(request.body).portfolio.slug, 'test');
+    assert.ok(!received.some(item => item.path === '/other'));
+});
+
+test('retries server errors and gives up on client errors', async () => {
+    const broken = await createWebhook(tenant, { url: `${receiverUrl}/broken`, events: ['resume.updated'] });
+    const gone = await createWebhook(tenant, { url: `${receiverUrl}/gone`, events: ['resume.updated'] });
+
+    const retrying = await waitForDelivery((await pingWebhook(tenant, broken.id)).id);
+    assert.equal(retrying.status, 'retrying');
+    assert.equal(retrying.attempts[0].status, 500);
+    assert.ok(Date.parse(retrying.nextAttemptAt) > Date.now());
+
+    const failed = await waitForDelivery((await pingWebhook(tenant, gone.id)).id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.nextAttemptAt, null);
+});
+
+test('refuses private and link-local targets unless WEBHOOK_ALLOW_PRIVATE is on', async () => {
+    const webhook = await createWebhook(tenant, { url: `${receiverUrl}/ok`, events: ['photo.deleted'] });
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'false';
+    try {
+        for (const url of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/', 'http://[::1]/', 'http://[::ffff:192.168.1.1]/', 'http://localhost/']) {
+            await assert.rejects(createWebhook(tenant, { url, events: ['photo.deleted'] }), WebhookError, url);
+        }
+
+        // Checked again at delivery time: the saved URL is refused without a retry
+        const refused = await waitForDelivery((await pingWebhook(tenant, webhook.id)).id);
+        assert.equal(refused.status, 'failed');
+        assert.match(refused.attempts[0].error, /private/);
+    } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    }
+});